@@ -1,6 +1,7 @@
 // context/AuthContext.jsx
 import React, { createContext, useState, useEffect } from 'react';
 import supabase from '../utils/supabase';
+import { clearCache } from '../utils/offlineStore';
 
 export const AuthContext = createContext({});
 
@@ -36,6 +37,8 @@ const AuthProvider = ({ children }) => {
           if (window.studentData) delete window.studentData;
           if (window.csvData) delete window.csvData;
           if (window.emailData) delete window.emailData;
+          // Cached rosters are removed; registers waiting to sync are kept
+          clearCache().catch(error => console.error('Error clearing offline cache:', error));
         }
       }
     );
@@ -0,0 +1,22 @@
+import { useCallback } from "react";
+import { useCatalogue } from "./useCatalogue";
+
+// Loads the absence reason list. Inactive reasons are included so existing
+// marks keep their label; use activeReasons for pickers.
+const useAbsenceReasons = () => {
+  const { items: reasons, activeItems: activeReasons, loading, reload } = useCatalogue({
+    table: "absence_reasons",
+    columns: "id, label, sort_order, is_active",
+    cacheKey: "absenceReasons",
+    name: "absence reasons",
+  });
+
+  const getReasonLabel = useCallback(
+    (id) => reasons.find((reason) => reason.id === id)?.label || "",
+    [reasons]
+  );
+
+  return { reasons, activeReasons, loading, getReasonLabel, reload };
+};
+
+export { useAbsenceReasons };
@@ -0,0 +1,23 @@
+import { useCallback } from "react";
+import { findStatus } from "../utils/attendanceStatus";
+import { useCatalogue } from "./useCatalogue";
+
+const STATUS_COLUMNS =
+  "code, label, short_code, color, icon, counts_as_present, captures_arrival_time, sort_order, is_active";
+
+// Loads the attendance status catalogue. Inactive statuses are included so
+// existing marks keep rendering; use activeStatuses for pickers.
+const useAttendanceStatuses = () => {
+  const { items: statuses, activeItems: activeStatuses, loading, reload } = useCatalogue({
+    table: "attendance_statuses",
+    columns: STATUS_COLUMNS,
+    cacheKey: "statuses",
+    name: "attendance statuses",
+  });
+
+  const getStatus = useCallback((code) => findStatus(statuses, code), [statuses]);
+
+  return { statuses, activeStatuses, loading, getStatus, reload };
+};
+
+export { useAttendanceStatuses };
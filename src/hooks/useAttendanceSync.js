@@ -0,0 +1,100 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { useOnlineStatus } from "./useOnlineStatus";
+import { getQueuedRegisters } from "../utils/offlineStore";
+import { isNetworkError, syncQueuedRegisters } from "../utils/attendance";
+
+// Tracks registers saved offline and replays them when the connection returns.
+// onSynced is called with the sync results after any register was replayed.
+const useAttendanceSync = (teacherId, onSynced) => {
+  const isOnline = useOnlineStatus();
+  const [pendingCount, setPendingCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const onSyncedRef = useRef(onSynced);
+
+  useEffect(() => {
+    onSyncedRef.current = onSynced;
+  }, [onSynced]);
+
+  const refreshPending = useCallback(async () => {
+    if (!teacherId) return;
+    try {
+      const entries = await getQueuedRegisters();
+      setPendingCount(entries.filter((entry) => entry.teacherId === teacherId).length);
+    } catch (error) {
+      console.error("Error reading offline queue:", error);
+    }
+  }, [teacherId]);
+
+  const syncNow = useCallback(async () => {
+    if (!teacherId || syncingRef.current) return;
+
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const results = await syncQueuedRegisters(teacherId);
+      if (results.length === 0) return;
+
+      const saved = results.reduce((total, result) => total + result.saved, 0);
+      const conflicts = results.flatMap((result) =>
+        result.conflicts.map((conflict) => ({ ...conflict, entry: result.entry }))
+      );
+
+      if (saved > 0) {
+        toast.success(`Synced ${saved} offline attendance records.`);
+      }
+      const locked = results.filter((result) => result.locked);
+      if (locked.length > 0) {
+        console.warn("Offline registers rejected because they are locked:", locked);
+        toast.error(
+          `${locked.length} offline ${locked.length === 1 ? "register was" : "registers were"} not saved because the register has been locked.`,
+          { duration: 8000 }
+        );
+      }
+      const failed = results.filter((result) => result.error);
+      if (failed.length > 0) {
+        const registers = failed
+          .map(({ entry }) => `${entry.className || "Unknown class"} on ${entry.date}`)
+          .join(", ");
+        toast.error(
+          `${failed.length} offline ${failed.length === 1 ? "register was" : "registers were"} rejected and not saved (${registers}). Please take ${failed.length === 1 ? "it" : "them"} again.`,
+          { duration: 8000 }
+        );
+      }
+      if (conflicts.length > 0) {
+        console.warn("Offline attendance conflicts:", conflicts);
+        toast.error(
+          `${conflicts.length} offline marks were not applied because someone else updated them in the meantime.`,
+          { duration: 8000 }
+        );
+      }
+
+      onSyncedRef.current?.(results);
+    } catch (error) {
+      console.error("Error syncing offline attendance:", error);
+      if (!isNetworkError(error)) {
+        toast.error("Failed to sync offline attendance. It will be retried.");
+      }
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refreshPending();
+    }
+  }, [teacherId, refreshPending]);
+
+  useEffect(() => {
+    refreshPending();
+  }, [refreshPending]);
+
+  // Replay the queue whenever we come (back) online
+  useEffect(() => {
+    if (isOnline) {
+      syncNow();
+    }
+  }, [isOnline, syncNow]);
+
+  return { isOnline, pendingCount, syncing, syncNow, refreshPending };
+};
+
+export { useAttendanceSync };
@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import supabase from "../utils/supabase";
+import { isNetworkError } from "../utils/attendance";
+import { cacheGet, cacheSet } from "../utils/offlineStore";
+
+// Loads an admin-managed list such as the attendance statuses, ordered by
+// sort_order. The last list loaded is cached under cacheKey and used when
+// offline. Inactive entries are included so existing marks keep rendering;
+// use activeItems for pickers. name describes the list in error messages.
+const useCatalogue = ({ table, columns, cacheKey, name }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reloadToken, setReloadToken] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadItems = async () => {
+      try {
+        let { data, error } = await supabase
+          .from(table)
+          .select(columns)
+          .order("sort_order", { ascending: true });
+
+        if (error && isNetworkError(error)) {
+          data = await cacheGet(cacheKey);
+          error = data ? null : error;
+        } else if (!error) {
+          cacheSet(cacheKey, data || []).catch((cacheError) => {
+            console.error(`Error caching ${name}:`, cacheError);
+          });
+        }
+
+        if (cancelled) return;
+
+        if (error) {
+          console.error(`Error loading ${name}:`, error);
+          toast.error(`Failed to load ${name}`);
+          return;
+        }
+
+        setItems(data || []);
+      } catch (error) {
+        console.error(`Error loading ${name}:`, error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadItems();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [table, columns, cacheKey, name, reloadToken]);
+
+  const activeItems = useMemo(() => items.filter((item) => item.is_active), [items]);
+
+  const reload = useCallback(() => setReloadToken((token) => token + 1), []);
+
+  return { items, activeItems, loading, reload };
+};
+
+export { useCatalogue };
@@ -0,0 +1,45 @@
+import { useEffect, useRef } from "react";
+import supabase from "../utils/supabase";
+
+// Subscribes to attendance changes for one class register (date and session).
+// onChange receives the Realtime payload ({ eventType, new, old }).
+const useRegisterRealtime = (classId, date, sessionId, onChange) => {
+  const onChangeRef = useRef(onChange);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  useEffect(() => {
+    if (!classId || !date || !sessionId) return;
+
+    const channel = supabase
+      .channel(`attendance:${classId}:${date}:${sessionId}`)
+      .on(
+        "postgres_changes",
+        {
+          event: "*",
+          schema: "public",
+          table: "attendance_records",
+          // Realtime filters support a single column, date and session are checked below
+          filter: `class_id=eq.${classId}`,
+        },
+        (payload) => {
+          const record = payload.eventType === "DELETE" ? payload.old : payload.new;
+          if (record?.attendance_date !== date || record?.session_id !== sessionId) return;
+          onChangeRef.current?.(payload);
+        }
+      )
+      .subscribe((status, error) => {
+        if (error) {
+          console.error("Attendance realtime subscription error:", status, error);
+        }
+      });
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [classId, date, sessionId]);
+};
+
+export { useRegisterRealtime };
@@ -1,5 +1,5 @@
 import { StrictMode } from "react";
-import { BrowserRouter, Route, Routes } from "react-router";
+import { createBrowserRouter, Outlet, RouterProvider } from "react-router";
 import { createRoot } from "react-dom/client";
 import { Toaster } from "react-hot-toast";
 
@@ -14,11 +14,83 @@ import githubLogo from "/github.svg";
 // Auth pages
 import SignIn from "./pages/auth/SignIn.jsx";
 import SignUp from "./pages/auth/SignUp.jsx";
+import AcceptInvite from "./pages/auth/AcceptInvite.jsx";
 
 // Dashboard pages
 import TeacherDashboard from "./pages/teacher/TeacherDashboard.jsx";
 import AdminDashboard from "./pages/admin/AdminDashboard.jsx";
 import AttendancePage from "./pages/teacher/AttendancePage.jsx";
+import RegisterGridPage from "./pages/teacher/RegisterGridPage.jsx";
+
+// A data router, so pages can block navigation while they have unsaved changes
+const router = createBrowserRouter([
+  {
+    element: (
+      <>
+        <AppBar />
+        <Outlet />
+      </>
+    ),
+    children: [
+      // Public routes
+      { path: "/auth/sign-in", element: <SignIn /> },
+      { path: "/auth/sign-up", element: <SignUp /> },
+      { path: "/auth/accept-invite", element: <AcceptInvite /> },
+
+      // Protected routes
+      {
+        path: "/",
+        element: (
+          <ProtectedRoute>
+            <RoleBasedRoute>
+              <App />
+            </RoleBasedRoute>
+          </ProtectedRoute>
+        ),
+      },
+      {
+        path: "/teacher",
+        element: (
+          <ProtectedRoute>
+            <RoleBasedRoute>
+              <TeacherDashboard />
+            </RoleBasedRoute>
+          </ProtectedRoute>
+        ),
+      },
+      {
+        path: "/teacher/attendance/:classId?",
+        element: (
+          <ProtectedRoute>
+            <RoleBasedRoute>
+              <AttendancePage />
+            </RoleBasedRoute>
+          </ProtectedRoute>
+        ),
+      },
+      {
+        path: "/teacher/register/:classId?",
+        element: (
+          <ProtectedRoute>
+            <RoleBasedRoute>
+              <RegisterGridPage />
+            </RoleBasedRoute>
+          </ProtectedRoute>
+        ),
+      },
+      {
+        path: "/admin",
+        element: (
+          <ProtectedRoute>
+            <RoleBasedRoute>
+              <AdminDashboard />
+            </RoleBasedRoute>
+          </ProtectedRoute>
+        ),
+      },
+    ],
+  },
+]);
 
 createRoot(document.getElementById("root")).render(
   <div
@@ -38,47 +110,7 @@ createRoot(document.getElementById("root")).render(
     >
       <StrictMode>
         <AuthProvider>
-          <BrowserRouter>
-            <AppBar />
-            <Routes>
-              {/* Public routes */}
-              <Route path="/auth/sign-in" element={<SignIn />} />
-              <Route path="/auth/sign-up" element={<SignUp />} />
-              
-              {/* Protected routes */}
-              <Route path="/" element={
-                <ProtectedRoute>
-                  <RoleBasedRoute>
-                    <App />
-                  </RoleBasedRoute>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/teacher" element={
-                <ProtectedRoute>
-                  <RoleBasedRoute>
-                    <TeacherDashboard />
-                  </RoleBasedRoute>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/teacher/attendance/:classId?" element={
-                <ProtectedRoute>
-                  <RoleBasedRoute>
-                    <AttendancePage />
-                  </RoleBasedRoute>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/admin" element={
-                <ProtectedRoute>
-                  <RoleBasedRoute>
-                    <AdminDashboard />
-                  </RoleBasedRoute>
-                </ProtectedRoute>
-              } />
-            </Routes>
-          </BrowserRouter>
+          <RouterProvider router={router} />
         </AuthProvider>
 
         <Toaster />
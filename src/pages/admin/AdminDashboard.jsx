@@ -1,8 +1,64 @@
 import { useState, useEffect, useContext } from 'react';
+import { useFormik } from 'formik';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import MenuItem from '@mui/material/MenuItem';
+import TextField from '@mui/material/TextField';
 import { AuthContext } from '../../context/AuthContext';
+import { useAttendanceStatuses } from '../../hooks/useAttendanceStatuses';
+import { useAbsenceReasons } from '../../hooks/useAbsenceReasons';
 import supabase from '../../utils/supabase';
+import { getStatusBgColor } from '../../utils/attendanceStatus';
+import { downloadCsv } from '../../utils/csv';
+import { addDays, getToday } from '../../utils/dates';
+import { studentValidationSchema, teacherValidationSchema } from '../../utils/validation';
+import { ASSIGNMENT_ROLE_LABELS } from '../../utils/classes';
+import { downloadAttendanceExport, fetchAttendanceForExport } from '../../utils/attendanceExport';
+import { downloadRegisterPdf, fetchMonthlyRegister } from '../../utils/registerPdf';
+import { guessColumnMapping, readSpreadsheet } from '../../utils/spreadsheet';
+import { STUDENT_IMPORT_FIELDS, validateImportRows } from '../../utils/studentImport';
+import { TEACHER_IMPORT_FIELDS, validateInvitationRows } from '../../utils/teacherImport';
 import toast from 'react-hot-toast';
 
+const AUDIT_EVENT_LIMIT = 500;
+
+// Most invitations the invite-users function accepts in one request
+const INVITATION_BATCH_SIZE = 100;
+
+const AUDIT_ENTITY_LABELS = {
+  profiles: 'Users',
+  classes: 'Classes',
+  students: 'Students',
+  attendance_records: 'Attendance'
+};
+
+const AUDIT_ACTIONS = ['create', 'update', 'suspend', 'reactivate', 'delete'];
+
+const AUDIT_ACTION_COLORS = {
+  create: '#4CAF50',
+  update: '#2196F3',
+  suspend: '#FF9800',
+  reactivate: '#009688',
+  delete: '#F44336'
+};
+
+// "field: old → new" for each changed value, or every value set on a create or delete
+const describeAuditChanges = (event) => {
+  if (event.old_values && event.new_values) {
+    return Object.keys(event.new_values)
+      .map(key => `${key}: ${JSON.stringify(event.old_values[key])} → ${JSON.stringify(event.new_values[key])}`)
+      .join('; ');
+  }
+
+  return Object.entries(event.new_values || event.old_values || {})
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('; ');
+};
+
 const AdminDashboard = () => {
   const { user } = useContext(AuthContext);
   const [activeTab, setActiveTab] = useState('overview');
@@ -11,6 +67,7 @@ const AdminDashboard = () => {
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({});
+  const [lateSummary, setLateSummary] = useState([]);
   
   // Teacher form state
   const [teacherForm, setTeacherForm] = useState({
@@ -34,10 +91,295 @@ const AdminDashboard = () => {
   });
   const [editingStudent, setEditingStudent] = useState(null);
 
+  // Spreadsheets being imported: their header row, data rows and column mapping
+  const [studentImport, setStudentImport] = useState(null);
+  const [teacherImport, setTeacherImport] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  // Edit dialogs. Both forms reset whenever a different record is opened.
+  const teacherEditForm = useFormik({
+    initialValues: {
+      full_name: editingTeacher?.full_name || '',
+      role: editingTeacher?.role || 'teacher',
+      default_class_id: editingTeacher?.default_class_id || ''
+    },
+    enableReinitialize: true,
+    validationSchema: teacherValidationSchema,
+    onSubmit: async (values, { setFieldError }) => {
+      if (editingTeacher.id === user?.id && values.role !== 'admin') {
+        setFieldError('role', 'You cannot remove your own admin role');
+        return;
+      }
+
+      try {
+        const { error } = await supabase
+          .from('profiles')
+          .update({
+            full_name: values.full_name.trim(),
+            role: values.role,
+            default_class_id: values.default_class_id || null
+          })
+          .eq('id', editingTeacher.id);
+
+        if (error) throw error;
+
+        toast.success('Teacher updated successfully!');
+        setEditingTeacher(null);
+        loadDashboardData();
+
+      } catch (error) {
+        console.error('Error updating teacher:', error);
+        if (error.code === '23503') {
+          setFieldError('default_class_id', 'This class no longer exists');
+        } else {
+          toast.error('Failed to update teacher');
+        }
+      }
+    }
+  });
+
+  const studentEditForm = useFormik({
+    initialValues: {
+      student_number: editingStudent?.student_number || '',
+      first_name: editingStudent?.first_name || '',
+      last_name: editingStudent?.last_name || '',
+      class_id: editingStudent?.class_id || '',
+      date_of_birth: editingStudent?.date_of_birth || '',
+      enrollment_date: editingStudent?.enrollment_date || ''
+    },
+    enableReinitialize: true,
+    validationSchema: studentValidationSchema,
+    onSubmit: async (values, { setFieldError }) => {
+      try {
+        const { error } = await supabase
+          .from('students')
+          .update({
+            student_number: values.student_number.trim(),
+            first_name: values.first_name.trim(),
+            last_name: values.last_name.trim(),
+            class_id: values.class_id,
+            date_of_birth: values.date_of_birth || null,
+            enrollment_date: values.enrollment_date
+          })
+          .eq('id', editingStudent.id);
+
+        if (error) throw error;
+
+        toast.success('Student updated successfully!');
+        setEditingStudent(null);
+        loadDashboardData();
+
+      } catch (error) {
+        console.error('Error updating student:', error);
+        if (error.code === '23505') {
+          setFieldError('student_number', 'Another student already has this number');
+        } else if (error.code === '23503') {
+          setFieldError('class_id', 'This class no longer exists');
+        } else {
+          toast.error('Failed to update student');
+        }
+      }
+    }
+  });
+
+  // Props shared by every text field in the edit dialogs
+  const getEditFieldProps = (form, name) => ({
+    id: name,
+    name,
+    fullWidth: true,
+    margin: 'normal',
+    value: form.values[name],
+    onChange: form.handleChange,
+    onBlur: form.handleBlur,
+    error: form.touched[name] && Boolean(form.errors[name]),
+    helperText: form.touched[name] && form.errors[name]
+  });
+
+  // Class form state
+  const emptyClassForm = {
+    name: '',
+    year_level: '',
+    section: '',
+    start_time: ''
+  };
+  const [classForm, setClassForm] = useState(emptyClassForm);
+  const [editingClassId, setEditingClassId] = useState(null);
+
+  // Teacher assignments, with the unsaved "add teacher" picker of each class
+  const [assignments, setAssignments] = useState([]);
+  const [assignmentDrafts, setAssignmentDrafts] = useState({});
+
+  // Attendance status catalogue state
+  const { statuses, getStatus, reload: reloadStatuses } = useAttendanceStatuses();
+  const emptyStatusForm = {
+    code: '',
+    label: '',
+    short_code: '',
+    color: '#9E9E9E',
+    icon: '',
+    counts_as_present: false,
+    captures_arrival_time: false,
+    sort_order: 0
+  };
+  const [statusForm, setStatusForm] = useState(emptyStatusForm);
+  const [editingStatusCode, setEditingStatusCode] = useState(null);
+
+  // Pending excuses state
+  const { activeReasons, getReasonLabel } = useAbsenceReasons();
+  const [pendingExcuses, setPendingExcuses] = useState([]);
+  const [pendingLoading, setPendingLoading] = useState(false);
+  const [pendingMinDays, setPendingMinDays] = useState(3);
+  const [pendingOnlyUnexplained, setPendingOnlyUnexplained] = useState(true);
+  // Reason and note being entered per record before it is saved
+  const [excuseDrafts, setExcuseDrafts] = useState({});
+
+  // Audit log, filtered on the server
+  const [auditEvents, setAuditEvents] = useState([]);
+  const [auditLoading, setAuditLoading] = useState(false);
+  const [auditFilters, setAuditFilters] = useState(() => {
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    return {
+      actor_id: '',
+      entity: '',
+      action: '',
+      from: weekAgo.toISOString().split('T')[0],
+      to: new Date().toISOString().split('T')[0]
+    };
+  });
+
+  // Attendance export filters. Blank class, year level or status exports all.
+  const [exportFilters, setExportFilters] = useState(() => ({
+    from: `${getToday().slice(0, 7)}-01`,
+    to: getToday(),
+    class_id: '',
+    year_level: '',
+    status: ''
+  }));
+  const [exporting, setExporting] = useState(false);
+  // Month of the printed registers, for every active class or one year level
+  const [registerFilters, setRegisterFilters] = useState(() => ({
+    month: getToday().slice(0, 7),
+    year_level: ''
+  }));
+
+  // School-wide settings. Blank auto-lock days turns automatic locking off.
+  const [autoLockDays, setAutoLockDays] = useState('');
+
   useEffect(() => {
     loadDashboardData();
   }, []);
 
+  useEffect(() => {
+    // Absences that have not been excused and are at least pendingMinDays old
+    const loadPendingExcuses = async () => {
+      const absenceCodes = statuses
+        .filter(status => !status.counts_as_present)
+        .map(status => status.code);
+
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - (Number(pendingMinDays) || 0));
+
+      setPendingLoading(true);
+      try {
+        let query = supabase
+          .from('attendance_records')
+          .select(`
+            id,
+            attendance_date,
+            status,
+            notes,
+            absence_reason_id,
+            students (
+              first_name,
+              last_name,
+              student_number
+            ),
+            classes (
+              name
+            ),
+            attendance_sessions (
+              short_name
+            )
+          `)
+          .eq('is_excused', false)
+          .in('status', absenceCodes)
+          .lte('attendance_date', cutoff.toISOString().split('T')[0])
+          .order('attendance_date', { ascending: true })
+          .limit(200);
+
+        if (pendingOnlyUnexplained) {
+          query = query.is('absence_reason_id', null);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+          console.error('Error loading pending excuses:', error);
+          toast.error('Failed to load pending excuses');
+          return;
+        }
+
+        setPendingExcuses(data || []);
+        setExcuseDrafts({});
+
+      } catch (error) {
+        console.error('Error in loadPendingExcuses:', error);
+        toast.error('Failed to load pending excuses');
+      } finally {
+        setPendingLoading(false);
+      }
+    };
+
+    if (activeTab === 'excuses' && statuses.length > 0) {
+      loadPendingExcuses();
+    }
+  }, [activeTab, statuses, pendingMinDays, pendingOnlyUnexplained]);
+
+  useEffect(() => {
+    const loadAuditEvents = async () => {
+      setAuditLoading(true);
+      try {
+        let query = supabase
+          .from('audit_events')
+          .select('id, occurred_at, actor_id, actor_name, entity, entity_id, entity_label, action, old_values, new_values')
+          .order('occurred_at', { ascending: false })
+          .limit(AUDIT_EVENT_LIMIT);
+
+        if (auditFilters.actor_id === 'system') {
+          query = query.is('actor_id', null);
+        } else if (auditFilters.actor_id) {
+          query = query.eq('actor_id', auditFilters.actor_id);
+        }
+        if (auditFilters.entity) query = query.eq('entity', auditFilters.entity);
+        if (auditFilters.action) query = query.eq('action', auditFilters.action);
+        // Dates are inclusive, so the end of the range runs to the next midnight
+        if (auditFilters.from) query = query.gte('occurred_at', auditFilters.from);
+        if (auditFilters.to) query = query.lt('occurred_at', addDays(auditFilters.to, 1));
+
+        const { data, error } = await query;
+
+        if (error) {
+          console.error('Error loading audit events:', error);
+          toast.error('Failed to load audit log');
+          return;
+        }
+
+        setAuditEvents(data || []);
+
+      } catch (error) {
+        console.error('Error in loadAuditEvents:', error);
+        toast.error('Failed to load audit log');
+      } finally {
+        setAuditLoading(false);
+      }
+    };
+
+    if (activeTab === 'audit') {
+      loadAuditEvents();
+    }
+  }, [activeTab, auditFilters]);
+
   const loadDashboardData = async () => {
     setLoading(true);
     try {
@@ -75,8 +417,9 @@ const AdminDashboard = () => {
           year_level,
           section,
           is_active,
+          start_time,
           created_at,
-          students!inner (id)
+          students (id, is_active)
         `)
         .order('year_level', { ascending: true });
 
@@ -84,15 +427,27 @@ const AdminDashboard = () => {
         console.error('Error loading classes:', classesError);
         toast.error('Failed to load classes');
       } else {
-        // Transform to include student counts
+        // Transform to include active student counts
         const classesWithCounts = classesData?.map(cls => ({
           ...cls,
-          student_count: cls.students?.length || 0,
+          student_count: cls.students?.filter(student => student.is_active).length || 0,
           students: undefined
         })) || [];
         setClasses(classesWithCounts);
       }
 
+      // Load teacher assignments
+      const { data: assignmentsData, error: assignmentsError } = await supabase
+        .from('teacher_class_assignments')
+        .select('id, teacher_id, class_id, role, starts_on, ends_on');
+
+      if (assignmentsError) {
+        console.error('Error loading assignments:', assignmentsError);
+        toast.error('Failed to load class assignments');
+      } else {
+        setAssignments(assignmentsData || []);
+      }
+
       // Load students
       const { data: studentsData, error: studentsError } = await supabase
         .from('students')
@@ -120,12 +475,49 @@ const AdminDashboard = () => {
         setStudents(studentsData || []);
       }
 
+      // Load late arrival totals per class for the last 7 days
+      const sevenDaysAgo = new Date();
+      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+
+      const { data: lateData, error: lateError } = await supabase
+        .from('attendance_daily_summary')
+        .select('class_id, late_count, late_minutes')
+        .gte('attendance_date', sevenDaysAgo.toISOString().split('T')[0])
+        .gt('late_count', 0);
+
+      const lateByClass = {};
+      if (lateError) {
+        console.error('Error loading late arrivals:', lateError);
+      } else {
+        (lateData || []).forEach(day => {
+          const totals = lateByClass[day.class_id] || { class_id: day.class_id, late_count: 0, late_minutes: 0 };
+          totals.late_count += Number(day.late_count);
+          totals.late_minutes += Number(day.late_minutes);
+          lateByClass[day.class_id] = totals;
+        });
+      }
+      setLateSummary(Object.values(lateByClass).sort((a, b) => b.late_minutes - a.late_minutes));
+
+      // Load settings
+      const { data: settingsData, error: settingsError } = await supabase
+        .from('app_settings')
+        .select('auto_lock_after_days')
+        .eq('id', 1)
+        .single();
+
+      if (settingsError) {
+        console.error('Error loading settings:', settingsError);
+      } else {
+        setAutoLockDays(settingsData.auto_lock_after_days?.toString() || '');
+      }
+
       // Calculate stats
       const statsData = {
         totalTeachers: teachersData?.filter(t => t.role === 'teacher' && t.status === 'active').length || 0,
         totalAdmins: teachersData?.filter(t => t.role === 'admin' && t.status === 'active').length || 0,
         totalClasses: classesData?.filter(c => c.is_active).length || 0,
-        totalStudents: studentsData?.filter(s => s.is_active).length || 0
+        totalStudents: studentsData?.filter(s => s.is_active).length || 0,
+        lateMinutes: Object.values(lateByClass).reduce((total, cls) => total + cls.late_minutes, 0)
       };
       setStats(statsData);
 
@@ -137,6 +529,57 @@ const AdminDashboard = () => {
     }
   };
 
+  const handleExcuseDraftChange = (recordId, field, value) => {
+    setExcuseDrafts(prev => ({
+      ...prev,
+      [recordId]: {
+        ...prev[recordId],
+        [field]: value
+      }
+    }));
+  };
+
+  // Saves the reason, and excuses the absence when excuse is true
+  const handleResolveAbsence = async (record, excuse) => {
+    const draft = excuseDrafts[record.id] || {};
+    const reasonId = draft.absence_reason_id ?? record.absence_reason_id;
+
+    if (!reasonId) {
+      toast.error('Please choose a reason first');
+      return;
+    }
+
+    const updates = { absence_reason_id: reasonId };
+    if (excuse) {
+      updates.is_excused = true;
+      updates.excuse_note = draft.excuse_note?.trim() || null;
+    }
+
+    try {
+      const { error } = await supabase
+        .from('attendance_records')
+        .update(updates)
+        .eq('id', record.id);
+
+      if (error) throw error;
+
+      toast.success(excuse ? 'Absence excused' : 'Reason saved');
+
+      // Explained absences leave the queue unless it lists every absence
+      if (excuse || pendingOnlyUnexplained) {
+        setPendingExcuses(prev => prev.filter(item => item.id !== record.id));
+      } else {
+        setPendingExcuses(prev => prev.map(item =>
+          item.id === record.id ? { ...item, absence_reason_id: reasonId } : item
+        ));
+      }
+
+    } catch (error) {
+      console.error('Error updating absence:', error);
+      toast.error('Failed to update absence');
+    }
+  };
+
   const handleCreateTeacher = async () => {
     if (!teacherForm.email || !teacherForm.full_name || !teacherForm.password) {
       toast.error('Please fill in all required fields');
@@ -145,37 +588,27 @@ const AdminDashboard = () => {
 
     setSaving(true);
     try {
-      // Create user in Supabase Auth
-      const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-        email: teacherForm.email,
-        password: teacherForm.password,
-        email_confirm: true,
-        user_metadata: {
-          full_name: teacherForm.full_name,
-          role: teacherForm.role
-        }
-      });
-
-      if (authError) {
-        console.error('Auth error:', authError);
-        throw authError;
-      }
-
-      // Create profile
-      const { error: profileError } = await supabase
-        .from('profiles')
-        .insert({
-          id: authData.user.id,
+      // Auth user and profile are created server-side, the service role key
+      // never reaches the browser
+      const { error } = await supabase.functions.invoke('create-user', {
+        body: {
           email: teacherForm.email,
           full_name: teacherForm.full_name,
+          password: teacherForm.password,
           role: teacherForm.role,
-          default_class_id: teacherForm.default_class_id || null,
-          status: 'active'
-        });
+          default_class_id: teacherForm.default_class_id || null
+        }
+      });
 
-      if (profileError) {
-        console.error('Profile error:', profileError);
-        throw profileError;
+      if (error) {
+        // Non-2xx responses carry { error: { code, message } } in the body
+        let body = null;
+        try {
+          body = await error.context.json();
+        } catch {
+          // Network or relay error without a JSON body
+        }
+        throw body?.error || error;
       }
 
       toast.success(`${teacherForm.role === 'admin' ? 'Admin' : 'Teacher'} created successfully!`);
@@ -190,8 +623,12 @@ const AdminDashboard = () => {
 
     } catch (error) {
       console.error('Error creating teacher:', error);
-      if (error.message?.includes('User already registered')) {
+      if (error.code === 'email_exists') {
         toast.error('A user with this email already exists');
+      } else if (error.code === 'forbidden') {
+        toast.error('Access denied. Admin privileges required.');
+      } else if (error.code?.startsWith('invalid_')) {
+        toast.error(error.message);
       } else {
         toast.error('Failed to create teacher. Please try again.');
       }
@@ -230,6 +667,94 @@ const AdminDashboard = () => {
     }
   };
 
+  // Rows already invited are hidden from the preview, and rows the server
+  // rejected keep its reason as an error
+  const getValidatedInvitationRows = () => validateInvitationRows(
+    teacherImport.rows,
+    teacherImport.mapping,
+    classes,
+    new Set(teachers.map(teacher => teacher.email.toLowerCase()))
+  )
+    .filter(row => !teacherImport.invitedRows?.includes(row.rowNumber))
+    .map(row => teacherImport.failures?.[row.rowNumber]
+      ? { ...row, errors: [...row.errors, teacherImport.failures[row.rowNumber]], invitation: null }
+      : row);
+
+  const handleSendInvitations = async (validatedRows) => {
+    const readyRows = validatedRows.filter(row => row.invitation);
+    const confirmed = window.confirm(
+      `Send ${readyRows.length} invitations? Each person gets an email with a link to choose their password.`
+    );
+    if (!confirmed) return;
+
+    setImporting(true);
+    const invitedRows = [];
+    const failures = {};
+    try {
+      for (let start = 0; start < readyRows.length; start += INVITATION_BATCH_SIZE) {
+        const batch = readyRows.slice(start, start + INVITATION_BATCH_SIZE);
+        const { data, error } = await supabase.functions.invoke('invite-users', {
+          body: {
+            invitations: batch.map(row => row.invitation),
+            redirect_to: `${window.location.origin}/auth/accept-invite`
+          }
+        });
+
+        if (error) {
+          // Non-2xx responses carry { error: { code, message } } in the body
+          let body = null;
+          try {
+            body = await error.context.json();
+          } catch {
+            // Network or relay error without a JSON body
+          }
+          throw body?.error || error;
+        }
+
+        // Results come back in the order the invitations were sent
+        data.results.forEach((result, index) => {
+          if (result.status === 'invited') {
+            invitedRows.push(batch[index].rowNumber);
+          } else {
+            failures[batch[index].rowNumber] = result.error.message;
+          }
+        });
+      }
+
+    } catch (error) {
+      console.error('Error sending invitations:', error);
+      if (error.code === 'forbidden') {
+        toast.error('Access denied. Admin privileges required.');
+      } else {
+        toast.error('Failed to send invitations. Please try again.');
+      }
+    } finally {
+      setImporting(false);
+    }
+
+    const failedCount = Object.keys(failures).length;
+    if (invitedRows.length > 0) {
+      toast.success(`Invited ${invitedRows.length} staff`);
+    }
+    if (failedCount > 0) {
+      toast.error(`${failedCount} invitations failed. The preview shows why.`);
+    }
+
+    if (invitedRows.length === validatedRows.length) {
+      setTeacherImport(null);
+    } else {
+      setTeacherImport(prev => ({
+        ...prev,
+        invitedRows: [...(prev.invitedRows || []), ...invitedRows],
+        failures: { ...prev.failures, ...failures }
+      }));
+    }
+
+    if (invitedRows.length > 0) {
+      loadDashboardData();
+    }
+  };
+
   const handleCreateStudent = async () => {
     if (!studentForm.student_number || !studentForm.first_name || !studentForm.last_name || !studentForm.class_id) {
       toast.error('Please fill in all required fields');
@@ -300,98 +825,490 @@ const AdminDashboard = () => {
     }
   };
 
-  const renderOverviewTab = () => (
-    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '20px' }}>
-      {/* Stats Cards */}
-      <div style={{
-        backgroundColor: 'white',
-        padding: '25px',
-        borderRadius: '10px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
-        textAlign: 'center'
-      }}>
-        <h3 style={{ color: '#4CAF50', fontSize: '32px', margin: '0 0 10px 0' }}>
-          {stats.totalTeachers}
-        </h3>
-        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
-          Active Teachers
-        </p>
-      </div>
+  const handleEditStatus = (status) => {
+    setEditingStatusCode(status.code);
+    setStatusForm({
+      code: status.code,
+      label: status.label,
+      short_code: status.short_code,
+      color: status.color,
+      icon: status.icon,
+      counts_as_present: status.counts_as_present,
+      captures_arrival_time: status.captures_arrival_time,
+      sort_order: status.sort_order
+    });
+  };
 
-      <div style={{
-        backgroundColor: 'white',
-        padding: '25px',
-        borderRadius: '10px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
-        textAlign: 'center'
-      }}>
-        <h3 style={{ color: '#2196F3', fontSize: '32px', margin: '0 0 10px 0' }}>
-          {stats.totalClasses}
-        </h3>
-        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
-          Active Classes
-        </p>
-      </div>
+  const handleCancelStatusEdit = () => {
+    setEditingStatusCode(null);
+    setStatusForm(emptyStatusForm);
+  };
 
-      <div style={{
-        backgroundColor: 'white',
-        padding: '25px',
-        borderRadius: '10px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
-        textAlign: 'center'
-      }}>
-        <h3 style={{ color: '#FF9800', fontSize: '32px', margin: '0 0 10px 0' }}>
-          {stats.totalStudents}
-        </h3>
-        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
-          Active Students
-        </p>
-      </div>
+  const handleSaveStatus = async () => {
+    if (!statusForm.code || !statusForm.label || !statusForm.short_code) {
+      toast.error('Please fill in all required fields');
+      return;
+    }
 
-      <div style={{
-        backgroundColor: 'white',
-        padding: '25px',
-        borderRadius: '10px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
-        textAlign: 'center'
-      }}>
-        <h3 style={{ color: '#9C27B0', fontSize: '32px', margin: '0 0 10px 0' }}>
-          {stats.totalAdmins}
-        </h3>
-        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
-          System Admins
-        </p>
-      </div>
-    </div>
-  );
+    if (!/^[a-z][a-z0-9_]*$/.test(statusForm.code)) {
+      toast.error('Code must start with a letter and use lowercase letters, numbers or underscores');
+      return;
+    }
 
-  const renderTeachersTab = () => (
-    <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '20px' }}>
-      {/* Create Teacher Form */}
-      <div style={{
-        backgroundColor: 'white',
-        padding: '25px',
-        borderRadius: '10px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
-        height: 'fit-content'
-      }}>
-        <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
-          Create New User
-        </h3>
-        
-        <div style={{ marginBottom: '15px' }}>
-          <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
-            Role *
-          </label>
-          <select
-            value={teacherForm.role}
-            onChange={(e) => setTeacherForm(prev => ({ ...prev, role: e.target.value }))}
-            style={{
-              width: '100%',
-              padding: '10px',
-              border: '1px solid #ddd',
-              borderRadius: '6px',
-              fontSize: '14px'
+    setSaving(true);
+    try {
+      const statusData = {
+        label: statusForm.label.trim(),
+        short_code: statusForm.short_code.trim().toUpperCase(),
+        color: statusForm.color,
+        icon: statusForm.icon.trim() || '•',
+        counts_as_present: statusForm.counts_as_present,
+        captures_arrival_time: statusForm.captures_arrival_time,
+        sort_order: Number(statusForm.sort_order) || 0
+      };
+
+      const { error } = editingStatusCode
+        ? await supabase
+          .from('attendance_statuses')
+          .update(statusData)
+          .eq('code', editingStatusCode)
+        : await supabase
+          .from('attendance_statuses')
+          .insert({ code: statusForm.code, ...statusData });
+
+      if (error) throw error;
+
+      toast.success(`Status ${editingStatusCode ? 'updated' : 'created'} successfully!`);
+      handleCancelStatusEdit();
+      reloadStatuses();
+
+    } catch (error) {
+      console.error('Error saving status:', error);
+      if (error.code === '23505') {
+        toast.error('A status with this code or short code already exists');
+      } else {
+        toast.error('Failed to save status');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleStatusActive = async (status) => {
+    const confirmed = window.confirm(
+      `Are you sure you want to ${status.is_active ? 'retire' : 'restore'} the "${status.label}" status? ${status.is_active ? 'Existing marks keep it, but it can no longer be selected.' : ''}`
+    );
+
+    if (confirmed) {
+      try {
+        const { error } = await supabase
+          .from('attendance_statuses')
+          .update({ is_active: !status.is_active })
+          .eq('code', status.code);
+
+        if (error) throw error;
+
+        toast.success(`Status ${status.is_active ? 'retired' : 'restored'} successfully!`);
+        reloadStatuses();
+
+      } catch (error) {
+        console.error('Error updating status:', error);
+        toast.error('Failed to update status');
+      }
+    }
+  };
+
+  const handleEditClass = (cls) => {
+    setEditingClassId(cls.id);
+    setClassForm({
+      name: cls.name,
+      year_level: String(cls.year_level),
+      section: cls.section || '',
+      start_time: cls.start_time?.slice(0, 5) || ''
+    });
+  };
+
+  const handleCancelClassEdit = () => {
+    setEditingClassId(null);
+    setClassForm(emptyClassForm);
+  };
+
+  const handleSaveClass = async () => {
+    if (!classForm.name.trim() || classForm.year_level === '') {
+      toast.error('Please fill in all required fields');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const classData = {
+        name: classForm.name.trim(),
+        year_level: Number(classForm.year_level),
+        section: classForm.section.trim() || null,
+        start_time: classForm.start_time || null
+      };
+
+      const { error } = editingClassId
+        ? await supabase
+          .from('classes')
+          .update(classData)
+          .eq('id', editingClassId)
+        : await supabase
+          .from('classes')
+          .insert({ ...classData, is_active: true });
+
+      if (error) throw error;
+
+      toast.success(`Class ${editingClassId ? 'updated' : 'created'} successfully!`);
+      handleCancelClassEdit();
+      loadDashboardData();
+
+    } catch (error) {
+      console.error('Error saving class:', error);
+      if (error.code === '23505') {
+        toast.error('A class with this name already exists');
+      } else {
+        toast.error('Failed to save class');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleClassActive = async (cls) => {
+    if (cls.is_active) {
+      // The database refuses this too; checking first gives a clearer message
+      const defaultTeachers = teachers.filter(teacher =>
+        teacher.default_class_id === cls.id && teacher.status !== 'deleted'
+      );
+      if (cls.student_count > 0 || defaultTeachers.length > 0) {
+        toast.error(
+          `${cls.name} cannot be archived while it has ${cls.student_count} active students` +
+          (defaultTeachers.length > 0
+            ? ` and is the default class of ${defaultTeachers.map(teacher => teacher.full_name).join(', ')}`
+            : '') +
+          '. Move them to another class first.',
+          { duration: 6000 }
+        );
+        return;
+      }
+    }
+
+    const confirmed = window.confirm(
+      `Are you sure you want to ${cls.is_active ? 'archive' : 'restore'} ${cls.name}? ${cls.is_active ? 'Its attendance history is kept, but it will no longer appear in registers.' : ''}`
+    );
+
+    if (confirmed) {
+      try {
+        const { error } = await supabase
+          .from('classes')
+          .update({ is_active: !cls.is_active })
+          .eq('id', cls.id);
+
+        if (error) throw error;
+
+        toast.success(`Class ${cls.is_active ? 'archived' : 'restored'} successfully!`);
+        loadDashboardData();
+
+      } catch (error) {
+        console.error('Error updating class:', error);
+        if (error.code === '55000') {
+          toast.error(`${cls.name} still has active students or teachers. Move them to another class first.`);
+        } else {
+          toast.error('Failed to update class');
+        }
+      }
+    }
+  };
+
+  const handleAssignmentDraftChange = (classId, field, value) => {
+    setAssignmentDrafts(prev => ({
+      ...prev,
+      [classId]: { role: 'lead', ...prev[classId], [field]: value }
+    }));
+  };
+
+  const handleAddAssignment = async (cls) => {
+    const draft = assignmentDrafts[cls.id];
+    if (!draft?.teacher_id) {
+      toast.error('Select a teacher to assign');
+      return;
+    }
+
+    // Substitutes only have access for the dates they cover
+    const isSubstitute = draft.role === 'substitute';
+    if (isSubstitute && (!draft.starts_on || !draft.ends_on || draft.ends_on < draft.starts_on)) {
+      toast.error('Enter the first and last day of cover');
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from('teacher_class_assignments')
+        .insert({
+          teacher_id: draft.teacher_id,
+          class_id: cls.id,
+          role: draft.role,
+          starts_on: isSubstitute ? draft.starts_on : null,
+          ends_on: isSubstitute ? draft.ends_on : null
+        });
+
+      if (error) throw error;
+
+      toast.success(`Teacher assigned to ${cls.name}`);
+      setAssignmentDrafts(prev => ({ ...prev, [cls.id]: undefined }));
+      loadDashboardData();
+
+    } catch (error) {
+      console.error('Error assigning teacher:', error);
+      if (error.code === '23505') {
+        toast.error('This teacher is already assigned to the class');
+      } else {
+        toast.error('Failed to assign teacher');
+      }
+    }
+  };
+
+  // Switching to substitute starts with cover for today only
+  const handleChangeAssignmentRole = async (assignment, role) => {
+    const today = getToday();
+    await handleUpdateAssignment(assignment, {
+      role,
+      starts_on: role === 'substitute' ? assignment.starts_on || today : null,
+      ends_on: role === 'substitute' ? assignment.ends_on || today : null
+    });
+  };
+
+  const handleChangeCoverDate = async (assignment, field, value) => {
+    const updates = { starts_on: assignment.starts_on, ends_on: assignment.ends_on, [field]: value };
+    if (!updates.starts_on || !updates.ends_on || updates.ends_on < updates.starts_on) {
+      toast.error('Cover must end on or after the day it starts');
+      return;
+    }
+    await handleUpdateAssignment(assignment, updates);
+  };
+
+  const handleUpdateAssignment = async (assignment, updates) => {
+    try {
+      const { error } = await supabase
+        .from('teacher_class_assignments')
+        .update(updates)
+        .eq('id', assignment.id);
+
+      if (error) throw error;
+
+      setAssignments(prev => prev.map(item =>
+        item.id === assignment.id ? { ...item, ...updates } : item
+      ));
+      toast.success('Assignment updated');
+
+    } catch (error) {
+      console.error('Error updating assignment:', error);
+      toast.error('Failed to update assignment');
+    }
+  };
+
+  const handleRemoveAssignment = async (assignment, cls) => {
+    const teacher = teachers.find(item => item.id === assignment.teacher_id);
+    if (teacher?.default_class_id === cls.id) {
+      toast.error(`${cls.name} is the default class of ${teacher.full_name}. Change their default class first.`);
+      return;
+    }
+
+    const confirmed = window.confirm(
+      `Remove ${teacher?.full_name || 'this teacher'} from ${cls.name}? They will no longer be able to see or mark its register.`
+    );
+
+    if (confirmed) {
+      try {
+        const { error } = await supabase
+          .from('teacher_class_assignments')
+          .delete()
+          .eq('id', assignment.id);
+
+        if (error) throw error;
+
+        setAssignments(prev => prev.filter(item => item.id !== assignment.id));
+        toast.success('Teacher removed from class');
+
+      } catch (error) {
+        console.error('Error removing assignment:', error);
+        toast.error('Failed to remove teacher from class');
+      }
+    }
+  };
+
+  const renderOverviewTab = () => (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '20px' }}>
+      {/* Stats Cards */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        textAlign: 'center'
+      }}>
+        <h3 style={{ color: '#4CAF50', fontSize: '32px', margin: '0 0 10px 0' }}>
+          {stats.totalTeachers}
+        </h3>
+        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
+          Active Teachers
+        </p>
+      </div>
+
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        textAlign: 'center'
+      }}>
+        <h3 style={{ color: '#2196F3', fontSize: '32px', margin: '0 0 10px 0' }}>
+          {stats.totalClasses}
+        </h3>
+        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
+          Active Classes
+        </p>
+      </div>
+
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        textAlign: 'center'
+      }}>
+        <h3 style={{ color: '#FF9800', fontSize: '32px', margin: '0 0 10px 0' }}>
+          {stats.totalStudents}
+        </h3>
+        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
+          Active Students
+        </p>
+      </div>
+
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        textAlign: 'center'
+      }}>
+        <h3 style={{ color: '#9C27B0', fontSize: '32px', margin: '0 0 10px 0' }}>
+          {stats.totalAdmins}
+        </h3>
+        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
+          System Admins
+        </p>
+      </div>
+
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        textAlign: 'center'
+      }}>
+        <h3 style={{ color: '#F44336', fontSize: '32px', margin: '0 0 10px 0' }}>
+          {stats.lateMinutes}
+        </h3>
+        <p style={{ color: '#666', margin: 0, fontSize: '16px', fontWeight: 'bold' }}>
+          Minutes Late (7 Days)
+        </p>
+      </div>
+
+      {/* Late Arrivals by Class */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        gridColumn: '1 / -1'
+      }}>
+        <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          Late Arrivals by Class (Last 7 Days)
+        </h3>
+
+        {lateSummary.length === 0 ? (
+          <p style={{ color: '#666', fontStyle: 'italic', margin: 0 }}>
+            No late arrivals recorded in the last 7 days
+          </p>
+        ) : (
+          <table style={{
+            width: '100%',
+            borderCollapse: 'collapse',
+            fontSize: '14px',
+            color: '#333'
+          }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f8f9fa', textAlign: 'left' }}>
+                <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0' }}>Class</th>
+                <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0', textAlign: 'center' }}>Late Arrivals</th>
+                <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0', textAlign: 'center' }}>Minutes Late</th>
+                <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0', textAlign: 'center' }}>Average</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lateSummary.map(row => (
+                <tr key={row.class_id}>
+                  <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0' }}>
+                    {classes.find(cls => cls.id === row.class_id)?.name || 'Unknown class'}
+                  </td>
+                  <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0', textAlign: 'center' }}>
+                    {row.late_count}
+                  </td>
+                  <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0', textAlign: 'center', fontWeight: 'bold', color: '#FF9800' }}>
+                    {row.late_minutes}
+                  </td>
+                  <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0', textAlign: 'center' }}>
+                    {Math.round(row.late_minutes / row.late_count)} min
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderTeachersTab = () => (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '20px' }}>
+      {renderSpreadsheetImport({
+        title: 'Invite Staff',
+        hint: 'Role is teacher or admin and defaults to teacher. List classes by name separated by ";"; the first becomes the default class.',
+        fields: TEACHER_IMPORT_FIELDS,
+        importState: teacherImport,
+        setImportState: setTeacherImport,
+        validatedRows: teacherImport ? getValidatedInvitationRows() : [],
+        commitLabel: count => `Send ${count} Invitations`,
+        onCommit: handleSendInvitations
+      })}
+
+      {/* Create Teacher Form */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        height: 'fit-content'
+      }}>
+        <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          Create New User
+        </h3>
+        
+        <div style={{ marginBottom: '15px' }}>
+          <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+            Role *
+          </label>
+          <select
+            value={teacherForm.role}
+            onChange={(e) => setTeacherForm(prev => ({ ...prev, role: e.target.value }))}
+            style={{
+              width: '100%',
+              padding: '10px',
+              border: '1px solid #ddd',
+              borderRadius: '6px',
+              fontSize: '14px'
             }}
           >
             <option value="teacher">Teacher</option>
@@ -519,7 +1436,7 @@ const AdminDashboard = () => {
               borderRadius: '8px',
               padding: '15px',
               marginBottom: '10px',
-              backgroundColor: teacher.status === 'paused' ? '#ffebee' : '#fafafa'
+              backgroundColor: teacher.status === 'paused' ? '#ffebee' : teacher.status === 'invited' ? '#fff8e1' : '#fafafa'
             }}>
               <div style={{
                 display: 'flex',
@@ -554,8 +1471,21 @@ const AdminDashboard = () => {
                         SUSPENDED
                       </span>
                     )}
-                  </h4>
-                  <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '14px' }}>
+                    {teacher.status === 'invited' && (
+                      <span style={{
+                        backgroundColor: '#FF9800',
+                        color: 'white',
+                        fontSize: '10px',
+                        padding: '2px 6px',
+                        borderRadius: '10px',
+                        marginLeft: '5px',
+                        textTransform: 'uppercase'
+                      }}>
+                        INVITED
+                      </span>
+                    )}
+                  </h4>
+                  <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '14px' }}>
                     {teacher.email}
                   </p>
                   {teacher.classes && (
@@ -566,21 +1496,24 @@ const AdminDashboard = () => {
                 </div>
                 
                 <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-                  <button
-                    onClick={() => handleToggleTeacherStatus(teacher.id, teacher.status)}
-                    style={{
-                      backgroundColor: teacher.status === 'paused' ? '#4CAF50' : '#FF9800',
-                      color: 'white',
-                      border: 'none',
-                      padding: '6px 12px',
-                      borderRadius: '4px',
-                      cursor: 'pointer',
-                      fontSize: '12px',
-                      fontWeight: 'bold'
-                    }}
-                  >
-                    {teacher.status === 'paused' ? 'Reactivate' : 'Suspend'}
-                  </button>
+                  {/* Invited accounts become active when the invitation is accepted */}
+                  {teacher.status !== 'invited' && (
+                    <button
+                      onClick={() => handleToggleTeacherStatus(teacher.id, teacher.status)}
+                      style={{
+                        backgroundColor: teacher.status === 'paused' ? '#4CAF50' : '#FF9800',
+                        color: 'white',
+                        border: 'none',
+                        padding: '6px 12px',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '12px',
+                        fontWeight: 'bold'
+                      }}
+                    >
+                      {teacher.status === 'paused' ? 'Reactivate' : 'Suspend'}
+                    </button>
+                  )}
                   
                   <button
                     onClick={() => setEditingTeacher(teacher)}
@@ -606,8 +1539,291 @@ const AdminDashboard = () => {
     </div>
   );
 
+  const handleImportFileChange = async (e, fields, setImportState) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const [headers = [], ...rows] = await readSpreadsheet(file);
+      if (rows.length === 0) {
+        toast.error('The file has no rows below the header');
+        return;
+      }
+
+      setImportState({
+        fileName: file.name,
+        headers,
+        rows,
+        mapping: guessColumnMapping(headers, fields)
+      });
+
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      toast.error('Could not read the file. Use a .csv or .xlsx file, saving older .xls workbooks as .xlsx first.');
+    }
+  };
+
+  const handleImportMappingChange = (setImportState, field, columnIndex) => {
+    setImportState(prev => ({
+      ...prev,
+      mapping: { ...prev.mapping, [field]: Number(columnIndex) }
+    }));
+  };
+
+  const handleDownloadImportErrors = (importState, fields, validatedRows) => {
+    downloadCsv(
+      [
+        { header: 'Row', value: row => row.rowNumber },
+        ...fields.map(field => ({ header: field.label, value: row => row.values[field.key] })),
+        { header: 'Errors', value: row => row.errors.join('; ') }
+      ],
+      validatedRows.filter(row => row.errors.length > 0),
+      `${importState.fileName.replace(/\.[^.]+$/, '')}-errors.csv`
+    );
+  };
+
+  const getValidatedStudentRows = () => validateImportRows(
+    studentImport.rows,
+    studentImport.mapping,
+    classes,
+    new Set(students.map(student => student.student_number.toLowerCase()))
+  );
+
+  // Valid rows are inserted in one request, so either all of them are
+  // created or none are
+  const handleCommitStudentImport = async (validatedRows) => {
+    const newStudents = validatedRows.filter(row => row.student).map(row => row.student);
+    const skipped = validatedRows.length - newStudents.length;
+    const confirmed = window.confirm(
+      `Import ${newStudents.length} students?${skipped > 0 ? ` ${skipped} rows with errors will be skipped.` : ''}`
+    );
+    if (!confirmed) return;
+
+    setImporting(true);
+    try {
+      const { error } = await supabase
+        .from('students')
+        .insert(newStudents);
+
+      if (error) throw error;
+
+      toast.success(`Imported ${newStudents.length} students`);
+      setStudentImport(null);
+      loadDashboardData();
+
+    } catch (error) {
+      console.error('Error importing students:', error);
+      if (error.code === '23505') {
+        toast.error('Some student numbers were added by someone else in the meantime. Reload and try again.');
+      } else {
+        toast.error('Import failed. No students were added.');
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // Upload, column mapping and row-by-row preview shared by the student
+  // import and the staff invitations
+  const renderSpreadsheetImport = ({
+    title,
+    hint,
+    fields,
+    importState,
+    setImportState,
+    validatedRows,
+    commitLabel,
+    onCommit
+  }) => {
+    const validCount = validatedRows.filter(row => row.errors.length === 0).length;
+    const errorCount = validatedRows.length - validCount;
+    const cellStyle = { padding: '6px 8px', borderBottom: '1px solid #f0f0f0', whiteSpace: 'nowrap' };
+
+    return (
+      <div style={{
+        gridColumn: '1 / -1',
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: '15px'
+        }}>
+          <h3 style={{ margin: 0, color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+            {title}{importState && ` from ${importState.fileName}`}
+          </h3>
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+            <label style={{
+              backgroundColor: '#2196F3',
+              color: 'white',
+              padding: '8px 16px',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '14px',
+              fontWeight: 'bold'
+            }}>
+              {importState ? 'Choose Another File' : '⬆ Choose CSV or Excel File'}
+              <input
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={(e) => handleImportFileChange(e, fields, setImportState)}
+                style={{ display: 'none' }}
+              />
+            </label>
+            {importState && (
+              <button
+                onClick={() => setImportState(null)}
+                style={{
+                  backgroundColor: '#6c757d',
+                  color: 'white',
+                  border: 'none',
+                  padding: '8px 16px',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: 'bold'
+                }}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+
+        {!importState && (
+          <p style={{ margin: '10px 0 0 0', color: '#666', fontSize: '14px' }}>
+            The first row must hold column headings. {hint}
+          </p>
+        )}
+
+        {importState && (
+          <>
+            {/* Column Mapping */}
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+              gap: '10px',
+              margin: '20px 0'
+            }}>
+              {fields.map(field => (
+                <label key={field.key} style={{ color: '#333', fontSize: '13px', fontWeight: 'bold' }}>
+                  {field.label}{field.required && ' *'}
+                  <select
+                    value={importState.mapping[field.key]}
+                    onChange={(e) => handleImportMappingChange(setImportState, field.key, e.target.value)}
+                    style={{
+                      display: 'block',
+                      width: '100%',
+                      marginTop: '4px',
+                      padding: '6px',
+                      border: '1px solid #ddd',
+                      borderRadius: '6px',
+                      fontSize: '13px',
+                      fontWeight: 'normal'
+                    }}
+                  >
+                    <option value={-1}>{field.required ? 'Select column...' : 'Not imported'}</option>
+                    {importState.headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            {/* Preview */}
+            <div style={{ maxHeight: '40vh', overflow: 'auto', marginBottom: '15px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: '#333' }}>
+                <thead>
+                  <tr style={{ backgroundColor: '#f8f9fa', textAlign: 'left' }}>
+                    <th style={cellStyle}>Row</th>
+                    {fields.map(field => (
+                      <th key={field.key} style={cellStyle}>{field.label}</th>
+                    ))}
+                    <th style={cellStyle}>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {validatedRows.map(row => (
+                    <tr key={row.rowNumber} style={{ backgroundColor: row.errors.length > 0 ? '#ffebee' : undefined }}>
+                      <td style={cellStyle}>{row.rowNumber}</td>
+                      {fields.map(field => (
+                        <td key={field.key} style={cellStyle}>{row.values[field.key]}</td>
+                      ))}
+                      <td style={{ ...cellStyle, whiteSpace: 'normal', color: row.errors.length > 0 ? '#C62828' : '#2E7D32' }}>
+                        {row.errors.length > 0 ? row.errors.join('; ') : '✓ Ready'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px' }}>
+              <span style={{ color: '#666', fontSize: '14px' }}>
+                {validCount} ready to import • {errorCount} with errors
+              </span>
+              <div style={{ display: 'flex', gap: '10px' }}>
+                {errorCount > 0 && (
+                  <button
+                    onClick={() => handleDownloadImportErrors(importState, fields, validatedRows)}
+                    style={{
+                      backgroundColor: 'white',
+                      color: '#F44336',
+                      border: '1px solid #F44336',
+                      padding: '8px 16px',
+                      borderRadius: '6px',
+                      cursor: 'pointer',
+                      fontSize: '14px',
+                      fontWeight: 'bold'
+                    }}
+                  >
+                    ⬇ Error Report
+                  </button>
+                )}
+                <button
+                  onClick={() => onCommit(validatedRows)}
+                  disabled={importing || validCount === 0}
+                  style={{
+                    backgroundColor: importing || validCount === 0 ? '#ccc' : '#4CAF50',
+                    color: 'white',
+                    border: 'none',
+                    padding: '8px 16px',
+                    borderRadius: '6px',
+                    cursor: importing || validCount === 0 ? 'not-allowed' : 'pointer',
+                    fontSize: '14px',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  {importing ? 'Working...' : commitLabel(validCount)}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
   const renderStudentsTab = () => (
     <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '20px' }}>
+      {renderSpreadsheetImport({
+        title: 'Import Students',
+        hint: 'Classes are matched by name, and dates can be written as YYYY-MM-DD or DD/MM/YYYY.',
+        fields: STUDENT_IMPORT_FIELDS,
+        importState: studentImport,
+        setImportState: setStudentImport,
+        validatedRows: studentImport ? getValidatedStudentRows() : [],
+        commitLabel: count => `Import ${count} Students`,
+        onCommit: handleCommitStudentImport
+      })}
+
       {/* Create Student Form */}
       <div style={{
         backgroundColor: 'white',
@@ -856,166 +2072,1433 @@ const AdminDashboard = () => {
     </div>
   );
 
-  const renderClassesTab = () => (
-    <div style={{
-      backgroundColor: 'white',
-      padding: '25px',
-      borderRadius: '10px',
-      boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
-    }}>
-      <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
-        All Classes ({classes.length})
-      </h3>
-      
-      <div style={{
-        display: 'grid',
-        gridTemplateColumns: 'repeat(auto-fill, minmax(250px, 1fr))',
-        gap: '20px'
-      }}>
-        {classes.map(cls => (
-          <div key={cls.id} style={{
-            border: '1px solid #e0e0e0',
-            borderRadius: '8px',
-            padding: '20px',
-            backgroundColor: cls.is_active ? '#fafafa' : '#ffebee'
-          }}>
-            <h4 style={{ margin: '0 0 10px 0', color: '#333', fontSize: '18px', fontWeight: 'bold' }}>
-              {cls.name}
-              {!cls.is_active && (
-                <span style={{
-                  backgroundColor: '#F44336',
-                  color: 'white',
-                  fontSize: '10px',
-                  padding: '2px 6px',
-                  borderRadius: '10px',
-                  marginLeft: '8px',
-                  textTransform: 'uppercase'
-                }}>
-                  INACTIVE
-                </span>
-              )}
-            </h4>
-            
-            <div style={{ marginBottom: '15px' }}>
-              <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '14px' }}>
-                Year Level: {cls.year_level === 0 ? 'Reception' : `Year ${cls.year_level}`}
-              </p>
-              {cls.section && (
-                <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '14px' }}>
-                  Section: {cls.section}
-                </p>
-              )}
-              <p style={{ margin: 0, color: '#666', fontSize: '14px' }}>
-                Students: {cls.student_count}
-              </p>
-            </div>
-            
-            <div style={{
-              display: 'flex',
-              justifyContent: 'center',
-              alignItems: 'center',
-              backgroundColor: '#4CAF50',
-              color: 'white',
-              padding: '15px',
-              borderRadius: '6px',
-              fontSize: '24px',
-              fontWeight: 'bold'
-            }}>
-              {cls.student_count}
-            </div>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
 
-  if (loading) {
-    return (
-      <div style={{
-        display: 'flex',
-        justifyContent: 'center',
-        alignItems: 'center',
-        minHeight: '400px'
-      }}>
-        <div style={{
-          width: '50px',
-          height: '50px',
-          border: '3px solid #f3f3f3',
-          borderTop: '3px solid #4CAF50',
-          borderRadius: '50%',
-          animation: 'spin 1s linear infinite'
-        }}></div>
-        <style>
-          {`
-            @keyframes spin {
-              0% { transform: rotate(0deg); }
-              100% { transform: rotate(360deg); }
-            }
-          `}
-        </style>
-      </div>
-    );
-  }
+    const days = autoLockDays.trim() === '' ? null : Number(autoLockDays);
+    if (days !== null && (!Number.isInteger(days) || days < 1)) {
+      toast.error('Auto-lock must be a whole number of days, or blank to turn it off');
+      return;
+    }
 
-  return (
-    <div style={{
-      padding: '20px',
-      backgroundColor: '#f5f5f5',
-      minHeight: '100vh'
-    }}>
-      {/* Header */}
-      <div style={{
-        backgroundColor: 'white',
-        padding: '25px',
-        borderRadius: '10px',
-        marginBottom: '20px',
-        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
-      }}>
-        <h1 style={{
-          color: '#333',
-          margin: '0 0 10px 0',
-          fontSize: '28px',
-          fontWeight: 'bold'
-        }}>
-          🔧 Admin Dashboard
-        </h1>
-        <p style={{
-          color: '#666',
-          margin: 0,
-          fontSize: '16px'
-        }}>
-          Manage teachers, students, and system settings
-        </p>
-      </div>
+    setSaving(true);
+    try {
+      const { error } = await supabase
+        .from('app_settings')
+        .update({ auto_lock_after_days: days })
+        .eq('id', 1);
 
-      {/* Tabs */}
+      if (error) throw error;
+
+      toast.success('Settings saved');
+
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      toast.error('Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderClassesTab = () => (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '20px' }}>
+      {/* Class Form */}
       <div style={{
         backgroundColor: 'white',
+        padding: '25px',
         borderRadius: '10px',
         boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
-        marginBottom: '20px'
+        height: 'fit-content'
       }}>
-        <div style={{
-          display: 'flex',
-          borderBottom: '1px solid #e0e0e0'
-        }}>
-          {['overview', 'teachers', 'students', 'classes'].map(tab => (
-            <button
-              key={tab}
-              onClick={() => setActiveTab(tab)}
+        <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          {editingClassId ? 'Edit Class' : 'Add New Class'}
+        </h3>
+
+        <div style={{ marginBottom: '15px' }}>
+          <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+            Name *
+          </label>
+          <input
+            type="text"
+            value={classForm.name}
+            onChange={(e) => setClassForm(prev => ({ ...prev, name: e.target.value }))}
+            style={{
+              width: '100%',
+              padding: '10px',
+              border: '1px solid #ddd',
+              borderRadius: '6px',
+              fontSize: '14px'
+            }}
+            placeholder="4B"
+          />
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginBottom: '15px' }}>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+              Year Level *
+            </label>
+            <select
+              value={classForm.year_level}
+              onChange={(e) => setClassForm(prev => ({ ...prev, year_level: e.target.value }))}
               style={{
-                backgroundColor: activeTab === tab ? '#4CAF50' : 'transparent',
-                color: activeTab === tab ? 'white' : '#666',
-                border: 'none',
-                padding: '15px 25px',
-                cursor: 'pointer',
-                fontSize: '16px',
-                fontWeight: 'bold',
-                textTransform: 'capitalize',
-                borderRadius: activeTab === tab ? '10px 10px 0 0' : '0'
+                width: '100%',
+                padding: '10px',
+                border: '1px solid #ddd',
+                borderRadius: '6px',
+                fontSize: '14px'
               }}
             >
-              {tab}
+              <option value="">Select year</option>
+              {Array.from({ length: 14 }, (_, year) => (
+                <option key={year} value={year}>
+                  {year === 0 ? 'Reception' : `Year ${year}`}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+              Section
+            </label>
+            <input
+              type="text"
+              value={classForm.section}
+              onChange={(e) => setClassForm(prev => ({ ...prev, section: e.target.value }))}
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: '1px solid #ddd',
+                borderRadius: '6px',
+                fontSize: '14px'
+              }}
+              placeholder="B"
+            />
+          </div>
+        </div>
+
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+            Start Time
+          </label>
+          <input
+            type="time"
+            value={classForm.start_time}
+            onChange={(e) => setClassForm(prev => ({ ...prev, start_time: e.target.value }))}
+            style={{
+              width: '100%',
+              padding: '10px',
+              border: '1px solid #ddd',
+              borderRadius: '6px',
+              fontSize: '14px'
+            }}
+          />
+          <p style={{ margin: '5px 0 0 0', color: '#666', fontSize: '12px' }}>
+            Minutes late are measured from this time for the first session of the day.
+          </p>
+        </div>
+
+        <div style={{ display: 'flex', gap: '10px' }}>
+          {editingClassId && (
+            <button
+              onClick={handleCancelClassEdit}
+              style={{
+                flex: 1,
+                backgroundColor: '#6c757d',
+                color: 'white',
+                border: 'none',
+                padding: '12px',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '16px',
+                fontWeight: 'bold'
+              }}
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={handleSaveClass}
+            disabled={saving}
+            style={{
+              flex: 1,
+              backgroundColor: saving ? '#ccc' : '#4CAF50',
+              color: 'white',
+              border: 'none',
+              padding: '12px',
+              borderRadius: '6px',
+              cursor: saving ? 'not-allowed' : 'pointer',
+              fontSize: '16px',
+              fontWeight: 'bold'
+            }}
+          >
+            {saving ? 'Saving...' : editingClassId ? 'Save Class' : 'Add Class'}
+          </button>
+        </div>
+      </div>
+
+      {/* Classes List */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+      }}>
+        <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          All Classes ({classes.length})
+        </h3>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(250px, 1fr))',
+          gap: '20px'
+        }}>
+          {classes.map(cls => (
+            <div key={cls.id} style={{
+              border: '1px solid #e0e0e0',
+              borderRadius: '8px',
+              padding: '20px',
+              backgroundColor: cls.is_active ? '#fafafa' : '#ffebee'
+            }}>
+              <h4 style={{ margin: '0 0 10px 0', color: '#333', fontSize: '18px', fontWeight: 'bold' }}>
+                {cls.name}
+                {!cls.is_active && (
+                  <span style={{
+                    backgroundColor: '#F44336',
+                    color: 'white',
+                    fontSize: '10px',
+                    padding: '2px 6px',
+                    borderRadius: '10px',
+                    marginLeft: '8px',
+                    textTransform: 'uppercase'
+                  }}>
+                    ARCHIVED
+                  </span>
+                )}
+              </h4>
+
+              <div style={{ marginBottom: '15px' }}>
+                <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '14px' }}>
+                  Year Level: {cls.year_level === 0 ? 'Reception' : `Year ${cls.year_level}`}
+                </p>
+                {cls.section && (
+                  <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '14px' }}>
+                    Section: {cls.section}
+                  </p>
+                )}
+                <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '14px' }}>
+                  Start time: {cls.start_time?.slice(0, 5) || 'Not set'}
+                </p>
+              </div>
+
+              {/* Assigned Teachers */}
+              <div style={{ marginBottom: '15px' }}>
+                <p style={{ margin: '0 0 8px 0', color: '#333', fontSize: '14px', fontWeight: 'bold' }}>
+                  Teachers
+                </p>
+                {assignments.filter(assignment => assignment.class_id === cls.id).length === 0 && (
+                  <p style={{ margin: '0 0 8px 0', color: '#999', fontSize: '13px', fontStyle: 'italic' }}>
+                    No teachers assigned
+                  </p>
+                )}
+                {assignments.filter(assignment => assignment.class_id === cls.id).map(assignment => (
+                  <div key={assignment.id} style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    marginBottom: '6px',
+                    fontSize: '13px',
+                    flexWrap: 'wrap'
+                  }}>
+                    <span style={{ flex: 1, color: '#333' }}>
+                      {teachers.find(teacher => teacher.id === assignment.teacher_id)?.full_name || 'Unknown'}
+                    </span>
+                    <select
+                      value={assignment.role}
+                      onChange={(e) => handleChangeAssignmentRole(assignment, e.target.value)}
+                      style={{ padding: '2px 4px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px' }}
+                    >
+                      {Object.entries(ASSIGNMENT_ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>{label}</option>
+                      ))}
+                    </select>
+                    {assignment.role === 'substitute' && (
+                      <span style={{ display: 'flex', alignItems: 'center', gap: '2px', color: '#666' }}>
+                        <input
+                          type="date"
+                          value={assignment.starts_on}
+                          onChange={(e) => handleChangeCoverDate(assignment, 'starts_on', e.target.value)}
+                          aria-label="First day of cover"
+                          style={{ padding: '2px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '11px' }}
+                        />
+                        –
+                        <input
+                          type="date"
+                          value={assignment.ends_on}
+                          onChange={(e) => handleChangeCoverDate(assignment, 'ends_on', e.target.value)}
+                          aria-label="Last day of cover"
+                          style={{ padding: '2px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '11px' }}
+                        />
+                      </span>
+                    )}
+                    <button
+                      onClick={() => handleRemoveAssignment(assignment, cls)}
+                      aria-label="Remove teacher from class"
+                      style={{
+                        backgroundColor: 'transparent',
+                        color: '#F44336',
+                        border: 'none',
+                        cursor: 'pointer',
+                        fontSize: '14px',
+                        fontWeight: 'bold'
+                      }}
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+                {cls.is_active && (
+                  <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                    <select
+                      value={assignmentDrafts[cls.id]?.teacher_id || ''}
+                      onChange={(e) => handleAssignmentDraftChange(cls.id, 'teacher_id', e.target.value)}
+                      style={{ flex: 1, minWidth: 0, padding: '4px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px' }}
+                    >
+                      <option value="">Assign teacher...</option>
+                      {teachers
+                        .filter(teacher =>
+                          teacher.status === 'active' &&
+                          !assignments.some(assignment => assignment.class_id === cls.id && assignment.teacher_id === teacher.id)
+                        )
+                        .map(teacher => (
+                          <option key={teacher.id} value={teacher.id}>{teacher.full_name}</option>
+                        ))}
+                    </select>
+                    <select
+                      value={assignmentDrafts[cls.id]?.role || 'lead'}
+                      onChange={(e) => handleAssignmentDraftChange(cls.id, 'role', e.target.value)}
+                      style={{ padding: '4px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px' }}
+                    >
+                      {Object.entries(ASSIGNMENT_ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>{label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleAddAssignment(cls)}
+                      style={{
+                        backgroundColor: '#4CAF50',
+                        color: 'white',
+                        border: 'none',
+                        padding: '4px 10px',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '12px',
+                        fontWeight: 'bold'
+                      }}
+                    >
+                      Add
+                    </button>
+                  </div>
+                )}
+                {cls.is_active && assignmentDrafts[cls.id]?.role === 'substitute' && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '12px', color: '#666' }}>
+                    Cover from
+                    <input
+                      type="date"
+                      value={assignmentDrafts[cls.id]?.starts_on || ''}
+                      onChange={(e) => handleAssignmentDraftChange(cls.id, 'starts_on', e.target.value)}
+                      style={{ padding: '2px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px' }}
+                    />
+                    to
+                    <input
+                      type="date"
+                      value={assignmentDrafts[cls.id]?.ends_on || ''}
+                      onChange={(e) => handleAssignmentDraftChange(cls.id, 'ends_on', e.target.value)}
+                      style={{ padding: '2px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px' }}
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div style={{
+                display: 'flex',
+                justifyContent: 'center',
+                alignItems: 'center',
+                backgroundColor: '#4CAF50',
+                color: 'white',
+                padding: '15px',
+                borderRadius: '6px',
+                fontSize: '24px',
+                fontWeight: 'bold',
+                marginBottom: '15px'
+              }}>
+                {cls.student_count}
+              </div>
+
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={() => handleEditClass(cls)}
+                  style={{
+                    flex: 1,
+                    backgroundColor: '#2196F3',
+                    color: 'white',
+                    border: 'none',
+                    padding: '6px 12px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '12px',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleToggleClassActive(cls)}
+                  style={{
+                    flex: 1,
+                    backgroundColor: cls.is_active ? '#FF9800' : '#4CAF50',
+                    color: 'white',
+                    border: 'none',
+                    padding: '6px 12px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '12px',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  {cls.is_active ? 'Archive' : 'Restore'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderStatusesTab = () => (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '20px' }}>
+      {/* Status Form */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        height: 'fit-content'
+      }}>
+        <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          {editingStatusCode ? 'Edit Status' : 'Add New Status'}
+        </h3>
+
+        <div style={{ marginBottom: '15px' }}>
+          <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+            Code *
+          </label>
+          <input
+            type="text"
+            value={statusForm.code}
+            disabled={Boolean(editingStatusCode)}
+            onChange={(e) => setStatusForm(prev => ({ ...prev, code: e.target.value.toLowerCase() }))}
+            style={{
+              width: '100%',
+              padding: '10px',
+              border: '1px solid #ddd',
+              borderRadius: '6px',
+              fontSize: '14px'
+            }}
+            placeholder="school_trip"
+          />
+        </div>
+
+        <div style={{ marginBottom: '15px' }}>
+          <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+            Label *
+          </label>
+          <input
+            type="text"
+            value={statusForm.label}
+            onChange={(e) => setStatusForm(prev => ({ ...prev, label: e.target.value }))}
+            style={{
+              width: '100%',
+              padding: '10px',
+              border: '1px solid #ddd',
+              borderRadius: '6px',
+              fontSize: '14px'
+            }}
+            placeholder="School Trip"
+          />
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '10px', marginBottom: '15px' }}>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+              Short Code *
+            </label>
+            <input
+              type="text"
+              maxLength={3}
+              value={statusForm.short_code}
+              onChange={(e) => setStatusForm(prev => ({ ...prev, short_code: e.target.value.toUpperCase() }))}
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: '1px solid #ddd',
+                borderRadius: '6px',
+                fontSize: '14px'
+              }}
+              placeholder="V"
+            />
+          </div>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+              Icon
+            </label>
+            <input
+              type="text"
+              value={statusForm.icon}
+              onChange={(e) => setStatusForm(prev => ({ ...prev, icon: e.target.value }))}
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: '1px solid #ddd',
+                borderRadius: '6px',
+                fontSize: '14px'
+              }}
+              placeholder="🚌"
+            />
+          </div>
+          <div>
+            <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+              Colour
+            </label>
+            <input
+              type="color"
+              value={statusForm.color}
+              onChange={(e) => setStatusForm(prev => ({ ...prev, color: e.target.value.toUpperCase() }))}
+              style={{
+                width: '100%',
+                height: '40px',
+                padding: '2px',
+                border: '1px solid #ddd',
+                borderRadius: '6px'
+              }}
+            />
+          </div>
+        </div>
+
+        <div style={{ marginBottom: '15px' }}>
+          <label style={{ display: 'block', marginBottom: '5px', color: '#333', fontWeight: 'bold' }}>
+            Display Order
+          </label>
+          <input
+            type="number"
+            value={statusForm.sort_order}
+            onChange={(e) => setStatusForm(prev => ({ ...prev, sort_order: e.target.value }))}
+            style={{
+              width: '100%',
+              padding: '10px',
+              border: '1px solid #ddd',
+              borderRadius: '6px',
+              fontSize: '14px'
+            }}
+          />
+        </div>
+
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontWeight: 'bold' }}>
+            <input
+              type="checkbox"
+              checked={statusForm.counts_as_present}
+              onChange={(e) => setStatusForm(prev => ({ ...prev, counts_as_present: e.target.checked }))}
+            />
+            Counts as present
+          </label>
+          <p style={{ margin: '5px 0 0 0', color: '#666', fontSize: '12px' }}>
+            Marks with this status count towards attendance totals.
+          </p>
+        </div>
+
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontWeight: 'bold' }}>
+            <input
+              type="checkbox"
+              checked={statusForm.captures_arrival_time}
+              onChange={(e) => setStatusForm(prev => ({ ...prev, captures_arrival_time: e.target.checked }))}
+            />
+            Records arrival time
+          </label>
+          <p style={{ margin: '5px 0 0 0', color: '#666', fontSize: '12px' }}>
+            Teachers enter when the student arrived and minutes late are calculated from the class start time.
+          </p>
+        </div>
+
+        <div style={{ display: 'flex', gap: '10px' }}>
+          {editingStatusCode && (
+            <button
+              onClick={handleCancelStatusEdit}
+              style={{
+                flex: 1,
+                backgroundColor: '#6c757d',
+                color: 'white',
+                border: 'none',
+                padding: '12px',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '16px',
+                fontWeight: 'bold'
+              }}
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={handleSaveStatus}
+            disabled={saving}
+            style={{
+              flex: 1,
+              backgroundColor: saving ? '#ccc' : '#4CAF50',
+              color: 'white',
+              border: 'none',
+              padding: '12px',
+              borderRadius: '6px',
+              cursor: saving ? 'not-allowed' : 'pointer',
+              fontSize: '16px',
+              fontWeight: 'bold'
+            }}
+          >
+            {saving ? 'Saving...' : editingStatusCode ? 'Save Status' : 'Add Status'}
+          </button>
+        </div>
+      </div>
+
+      {/* Statuses List */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+      }}>
+        <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          Attendance Statuses ({statuses.length})
+        </h3>
+
+        <div style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+          {statuses.map(status => (
+            <div key={status.code} style={{
+              border: '1px solid #e0e0e0',
+              borderLeft: `6px solid ${status.color}`,
+              borderRadius: '8px',
+              padding: '15px',
+              marginBottom: '10px',
+              backgroundColor: status.is_active ? getStatusBgColor(status) : '#f5f5f5',
+              opacity: status.is_active ? 1 : 0.7
+            }}>
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'flex-start'
+              }}>
+                <div>
+                  <h4 style={{ margin: '0 0 5px 0', color: '#333', fontSize: '16px', fontWeight: 'bold' }}>
+                    {status.icon} {status.label}
+                    <span style={{
+                      backgroundColor: status.color,
+                      color: 'white',
+                      fontSize: '10px',
+                      padding: '2px 6px',
+                      borderRadius: '10px',
+                      marginLeft: '8px'
+                    }}>
+                      {status.short_code}
+                    </span>
+                    {!status.is_active && (
+                      <span style={{
+                        backgroundColor: '#9E9E9E',
+                        color: 'white',
+                        fontSize: '10px',
+                        padding: '2px 6px',
+                        borderRadius: '10px',
+                        marginLeft: '5px',
+                        textTransform: 'uppercase'
+                      }}>
+                        RETIRED
+                      </span>
+                    )}
+                  </h4>
+                  <p style={{ margin: 0, color: '#666', fontSize: '12px' }}>
+                    Code: {status.code} • {status.counts_as_present ? 'Counts as present' : 'Counts as absent'}
+                    {status.captures_arrival_time && ' • Records arrival time'}
+                  </p>
+                </div>
+
+                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                  <button
+                    onClick={() => handleToggleStatusActive(status)}
+                    style={{
+                      backgroundColor: status.is_active ? '#FF9800' : '#4CAF50',
+                      color: 'white',
+                      border: 'none',
+                      padding: '6px 12px',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '12px',
+                      fontWeight: 'bold'
+                    }}
+                  >
+                    {status.is_active ? 'Retire' : 'Restore'}
+                  </button>
+
+                  <button
+                    onClick={() => handleEditStatus(status)}
+                    style={{
+                      backgroundColor: '#2196F3',
+                      color: 'white',
+                      border: 'none',
+                      padding: '6px 12px',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '12px',
+                      fontWeight: 'bold'
+                    }}
+                  >
+                    Edit
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+
+  const handleAuditFilterChange = (field, value) => {
+    setAuditFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleExportAudit = () => {
+    downloadCsv(
+      [
+        { header: 'When', value: event => new Date(event.occurred_at).toISOString() },
+        { header: 'Actor', value: event => event.actor_name || 'System' },
+        { header: 'Entity', value: event => AUDIT_ENTITY_LABELS[event.entity] },
+        { header: 'Record', value: event => event.entity_label },
+        { header: 'Record ID', value: event => event.entity_id },
+        { header: 'Action', value: event => event.action },
+        { header: 'Changes', value: event => describeAuditChanges(event) }
+      ],
+      auditEvents,
+      `audit-log-${auditFilters.from || 'start'}-to-${auditFilters.to || 'now'}.csv`
+    );
+  };
+
+  const renderAuditTab = () => {
+    const filterInputStyle = {
+      padding: '6px 10px',
+      border: '1px solid #ddd',
+      borderRadius: '6px',
+      fontSize: '14px'
+    };
+
+    return (
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '20px',
+          flexWrap: 'wrap',
+          gap: '15px'
+        }}>
+          <h3 style={{ margin: 0, color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+            Audit Log ({auditEvents.length}{auditEvents.length === AUDIT_EVENT_LIMIT ? '+' : ''})
+          </h3>
+          <button
+            onClick={handleExportAudit}
+            disabled={auditEvents.length === 0}
+            style={{
+              backgroundColor: auditEvents.length === 0 ? '#ccc' : '#2196F3',
+              color: 'white',
+              border: 'none',
+              padding: '8px 16px',
+              borderRadius: '6px',
+              cursor: auditEvents.length === 0 ? 'not-allowed' : 'pointer',
+              fontSize: '14px',
+              fontWeight: 'bold'
+            }}
+          >
+            ⬇ Export CSV
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '15px', flexWrap: 'wrap', marginBottom: '20px' }}>
+          <select
+            value={auditFilters.actor_id}
+            onChange={(e) => handleAuditFilterChange('actor_id', e.target.value)}
+            style={filterInputStyle}
+          >
+            <option value="">All users</option>
+            <option value="system">System</option>
+            {teachers.map(teacher => (
+              <option key={teacher.id} value={teacher.id}>
+                {teacher.full_name || teacher.email}
+              </option>
+            ))}
+          </select>
+          <select
+            value={auditFilters.entity}
+            onChange={(e) => handleAuditFilterChange('entity', e.target.value)}
+            style={filterInputStyle}
+          >
+            <option value="">All records</option>
+            {Object.entries(AUDIT_ENTITY_LABELS).map(([entity, label]) => (
+              <option key={entity} value={entity}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={auditFilters.action}
+            onChange={(e) => handleAuditFilterChange('action', e.target.value)}
+            style={{ ...filterInputStyle, textTransform: 'capitalize' }}
+          >
+            <option value="">All actions</option>
+            {AUDIT_ACTIONS.map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            From
+            <input
+              type="date"
+              value={auditFilters.from}
+              onChange={(e) => handleAuditFilterChange('from', e.target.value)}
+              style={filterInputStyle}
+            />
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            To
+            <input
+              type="date"
+              value={auditFilters.to}
+              onChange={(e) => handleAuditFilterChange('to', e.target.value)}
+              style={filterInputStyle}
+            />
+          </label>
+        </div>
+
+        {auditLoading ? (
+          <p style={{ color: '#666', textAlign: 'center', padding: '20px' }}>Loading...</p>
+        ) : auditEvents.length === 0 ? (
+          <p style={{ color: '#666', textAlign: 'center', padding: '20px' }}>
+            No audit events match these filters.
+          </p>
+        ) : (
+          <div style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+            <table style={{
+              width: '100%',
+              borderCollapse: 'collapse',
+              fontSize: '14px',
+              color: '#333'
+            }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f8f9fa', textAlign: 'left' }}>
+                  <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0' }}>When</th>
+                  <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0' }}>User</th>
+                  <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0' }}>Action</th>
+                  <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0' }}>Record</th>
+                  <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0' }}>Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {auditEvents.map(event => (
+                  <tr key={event.id}>
+                    <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0', whiteSpace: 'nowrap' }}>
+                      {new Date(event.occurred_at).toLocaleString()}
+                    </td>
+                    <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0' }}>
+                      {event.actor_name || 'System'}
+                    </td>
+                    <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0' }}>
+                      <span style={{
+                        backgroundColor: AUDIT_ACTION_COLORS[event.action],
+                        color: 'white',
+                        fontSize: '10px',
+                        padding: '2px 6px',
+                        borderRadius: '10px',
+                        textTransform: 'uppercase',
+                        fontWeight: 'bold'
+                      }}>
+                        {event.action}
+                      </span>
+                    </td>
+                    <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0' }}>
+                      <div>{event.entity_label || event.entity_id}</div>
+                      <div style={{ color: '#666', fontSize: '12px' }}>{AUDIT_ENTITY_LABELS[event.entity]}</div>
+                    </td>
+                    <td style={{
+                      padding: '10px',
+                      borderBottom: '1px solid #f0f0f0',
+                      color: '#666',
+                      fontSize: '12px',
+                      wordBreak: 'break-word'
+                    }}>
+                      {describeAuditChanges(event)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const handleExportAttendance = async (format) => {
+    if (!exportFilters.from || !exportFilters.to || exportFilters.from > exportFilters.to) {
+      toast.error('Choose a start date on or before the end date');
+      return;
+    }
+
+    setExporting(true);
+    try {
+      const { data, error } = await fetchAttendanceForExport({
+        from: exportFilters.from,
+        to: exportFilters.to,
+        classId: exportFilters.class_id,
+        yearLevel: exportFilters.year_level,
+        status: exportFilters.status
+      });
+
+      if (error) throw error;
+
+      if (data.length === 0) {
+        toast.error('No attendance matches these filters');
+        return;
+      }
+
+      await downloadAttendanceExport(
+        data,
+        statuses,
+        format,
+        `attendance-${exportFilters.from}-to-${exportFilters.to}`
+      );
+      toast.success(`Exported ${data.length} marks`);
+
+    } catch (error) {
+      console.error('Error exporting attendance:', error);
+      toast.error('Failed to export attendance');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const getRegisterClasses = () => classes.filter(cls =>
+    cls.is_active && (!registerFilters.year_level || cls.year_level === Number(registerFilters.year_level))
+  );
+
+  // Each register needs its own queries, so they are fetched one class at a
+  // time and printed together as one PDF
+  const handlePrintRegisters = async () => {
+    const registerClasses = getRegisterClasses();
+
+    setExporting(true);
+    try {
+      const registers = [];
+      for (const cls of registerClasses) {
+        const { data, error } = await fetchMonthlyRegister(cls, registerFilters.month);
+        if (error) throw error;
+        registers.push(data);
+      }
+
+      await downloadRegisterPdf(registers, statuses, `registers-${registerFilters.month}.pdf`);
+      toast.success(`Created registers for ${registers.length} classes`);
+
+    } catch (error) {
+      console.error('Error printing registers:', error);
+      toast.error('Failed to create the register PDF');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderExportsTab = () => {
+    const filterInputStyle = {
+      padding: '6px 10px',
+      border: '1px solid #ddd',
+      borderRadius: '6px',
+      fontSize: '14px'
+    };
+    const yearLevels = [...new Set(classes.map(cls => cls.year_level))].sort((a, b) => a - b);
+    const registerClassCount = getRegisterClasses().length;
+    // A new year level clears the class, which may not be in that year
+    const handleFilterChange = (field, value) => setExportFilters(prev => ({
+      ...prev,
+      [field]: value,
+      ...(field === 'year_level' && { class_id: '' })
+    }));
+
+    return (
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+      }}>
+        <h3 style={{ margin: '0 0 10px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          Export Attendance
+        </h3>
+        <p style={{ margin: '0 0 20px 0', color: '#666', fontSize: '14px' }}>
+          One row per mark with the student number, names, class, date, session, status and notes.
+        </p>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '15px', flexWrap: 'wrap', marginBottom: '20px' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            From
+            <input
+              type="date"
+              value={exportFilters.from}
+              onChange={(e) => handleFilterChange('from', e.target.value)}
+              style={filterInputStyle}
+            />
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            To
+            <input
+              type="date"
+              value={exportFilters.to}
+              onChange={(e) => handleFilterChange('to', e.target.value)}
+              style={filterInputStyle}
+            />
+          </label>
+          <select
+            value={exportFilters.year_level}
+            onChange={(e) => handleFilterChange('year_level', e.target.value)}
+            style={filterInputStyle}
+          >
+            <option value="">All year levels</option>
+            {yearLevels.map(yearLevel => (
+              <option key={yearLevel} value={yearLevel}>Year {yearLevel}</option>
+            ))}
+          </select>
+          <select
+            value={exportFilters.class_id}
+            onChange={(e) => handleFilterChange('class_id', e.target.value)}
+            style={filterInputStyle}
+          >
+            <option value="">All classes</option>
+            {classes
+              .filter(cls => !exportFilters.year_level || cls.year_level === Number(exportFilters.year_level))
+              .map(cls => (
+                <option key={cls.id} value={cls.id}>
+                  {cls.name}{!cls.is_active && ' (archived)'}
+                </option>
+              ))}
+          </select>
+          <select
+            value={exportFilters.status}
+            onChange={(e) => handleFilterChange('status', e.target.value)}
+            style={filterInputStyle}
+          >
+            <option value="">All statuses</option>
+            {statuses.map(status => (
+              <option key={status.code} value={status.code}>{status.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{ display: 'flex', gap: '10px' }}>
+          {[['csv', '⬇ Download CSV'], ['xlsx', '⬇ Download Excel']].map(([format, label]) => (
+            <button
+              key={format}
+              onClick={() => handleExportAttendance(format)}
+              disabled={exporting}
+              style={{
+                backgroundColor: exporting ? '#ccc' : '#2196F3',
+                color: 'white',
+                border: 'none',
+                padding: '10px 20px',
+                borderRadius: '6px',
+                cursor: exporting ? 'not-allowed' : 'pointer',
+                fontSize: '14px',
+                fontWeight: 'bold'
+              }}
+            >
+              {exporting ? 'Exporting...' : label}
+            </button>
+          ))}
+        </div>
+
+        <h3 style={{ margin: '30px 0 10px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          Printable Registers
+        </h3>
+        <p style={{ margin: '0 0 20px 0', color: '#666', fontSize: '14px' }}>
+          A PDF with the monthly register of each active class, ready to print, sign and file.
+        </p>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '15px', flexWrap: 'wrap' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            Month
+            <input
+              type="month"
+              value={registerFilters.month}
+              onChange={(e) => setRegisterFilters(prev => ({ ...prev, month: e.target.value }))}
+              style={filterInputStyle}
+            />
+          </label>
+          <select
+            value={registerFilters.year_level}
+            onChange={(e) => setRegisterFilters(prev => ({ ...prev, year_level: e.target.value }))}
+            style={filterInputStyle}
+          >
+            <option value="">All year levels</option>
+            {yearLevels.map(yearLevel => (
+              <option key={yearLevel} value={yearLevel}>Year {yearLevel}</option>
+            ))}
+          </select>
+          <button
+            onClick={handlePrintRegisters}
+            disabled={exporting || !registerFilters.month || registerClassCount === 0}
+            style={{
+              backgroundColor: exporting || !registerFilters.month || registerClassCount === 0 ? '#ccc' : '#2196F3',
+              color: 'white',
+              border: 'none',
+              padding: '10px 20px',
+              borderRadius: '6px',
+              cursor: exporting || !registerFilters.month || registerClassCount === 0 ? 'not-allowed' : 'pointer',
+              fontSize: '14px',
+              fontWeight: 'bold'
+            }}
+          >
+            {exporting ? 'Exporting...' : `🖨 Download ${registerClassCount} Registers`}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderSettingsTab = () => (
+    <div style={{
+      backgroundColor: 'white',
+      padding: '25px',
+      borderRadius: '10px',
+      boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+    }}>
+      <h3 style={{ margin: '0 0 20px 0', color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+        Settings
+      </h3>
+
+      <form onSubmit={handleSaveSettings}>
+        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold', color: '#333' }}>
+          Lock registers automatically after (days)
+        </label>
+        <input
+          type="number"
+          min="1"
+          value={autoLockDays}
+          onChange={(e) => setAutoLockDays(e.target.value)}
+          placeholder="Off"
+          style={{
+            width: '120px',
+            padding: '10px',
+            border: '2px solid #e0e0e0',
+            borderRadius: '6px',
+            fontSize: '14px'
+          }}
+        />
+        <p style={{ margin: '8px 0 20px 0', color: '#666', fontSize: '14px' }}>
+          Registers older than this can only be changed after an administrator unlocks them.
+          Leave blank to lock registers only when they are finalised.
+        </p>
+        <button
+          type="submit"
+          disabled={saving}
+          style={{
+            backgroundColor: saving ? '#ccc' : '#4CAF50',
+            color: 'white',
+            border: 'none',
+            padding: '10px 20px',
+            borderRadius: '6px',
+            cursor: saving ? 'not-allowed' : 'pointer',
+            fontSize: '14px',
+            fontWeight: 'bold'
+          }}
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </form>
+    </div>
+  );
+
+  const renderExcusesTab = () => (
+    <div style={{
+      backgroundColor: 'white',
+      padding: '25px',
+      borderRadius: '10px',
+      boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '20px',
+        flexWrap: 'wrap',
+        gap: '15px'
+      }}>
+        <h3 style={{ margin: 0, color: '#333', fontSize: '20px', fontWeight: 'bold' }}>
+          Pending Excuses ({pendingExcuses.length})
+        </h3>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '15px', flexWrap: 'wrap' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            Older than
+            <input
+              type="number"
+              min="0"
+              value={pendingMinDays}
+              onChange={(e) => setPendingMinDays(e.target.value)}
+              style={{
+                width: '60px',
+                padding: '6px',
+                border: '1px solid #ddd',
+                borderRadius: '6px',
+                fontSize: '14px'
+              }}
+            />
+            days
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            <input
+              type="checkbox"
+              checked={pendingOnlyUnexplained}
+              onChange={(e) => setPendingOnlyUnexplained(e.target.checked)}
+            />
+            Only absences without a reason
+          </label>
+        </div>
+      </div>
+
+      {pendingLoading ? (
+        <p style={{ color: '#666', textAlign: 'center', padding: '20px' }}>Loading...</p>
+      ) : pendingExcuses.length === 0 ? (
+        <p style={{ color: '#666', textAlign: 'center', padding: '20px' }}>
+          No unexplained absences older than {pendingMinDays} days 🎉
+        </p>
+      ) : (
+        <div style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+          {pendingExcuses.map(record => {
+            const status = getStatus(record.status);
+            const draft = excuseDrafts[record.id] || {};
+            const reasonId = draft.absence_reason_id ?? record.absence_reason_id ?? '';
+
+            return (
+              <div key={record.id} style={{
+                border: '1px solid #e0e0e0',
+                borderLeft: `6px solid ${status.color}`,
+                borderRadius: '8px',
+                padding: '15px',
+                marginBottom: '10px',
+                backgroundColor: '#fafafa'
+              }}>
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'flex-start',
+                  gap: '15px',
+                  flexWrap: 'wrap'
+                }}>
+                  <div>
+                    <h4 style={{ margin: '0 0 5px 0', color: '#333', fontSize: '16px', fontWeight: 'bold' }}>
+                      {record.students?.first_name} {record.students?.last_name}
+                      <span style={{
+                        backgroundColor: status.color,
+                        color: 'white',
+                        fontSize: '10px',
+                        padding: '2px 6px',
+                        borderRadius: '10px',
+                        marginLeft: '8px',
+                        textTransform: 'uppercase'
+                      }}>
+                        {status.label}
+                      </span>
+                    </h4>
+                    <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '14px' }}>
+                      {record.classes?.name} • {new Date(record.attendance_date).toLocaleDateString()}
+                      {record.attendance_sessions && ` • ${record.attendance_sessions.short_name}`}
+                    </p>
+                    {record.absence_reason_id && (
+                      <p style={{ margin: '0 0 5px 0', color: '#666', fontSize: '12px' }}>
+                        Reason recorded: {getReasonLabel(record.absence_reason_id)}
+                      </p>
+                    )}
+                    {record.notes && (
+                      <p style={{ margin: 0, color: '#666', fontSize: '12px', fontStyle: 'italic' }}>
+                        &quot;{record.notes}&quot;
+                      </p>
+                    )}
+                  </div>
+
+                  <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+                    <select
+                      value={reasonId}
+                      onChange={(e) => handleExcuseDraftChange(record.id, 'absence_reason_id', e.target.value)}
+                      style={{
+                        padding: '6px 10px',
+                        border: '1px solid #ddd',
+                        borderRadius: '6px',
+                        fontSize: '14px'
+                      }}
+                    >
+                      <option value="">Select reason</option>
+                      {activeReasons.map(reason => (
+                        <option key={reason.id} value={reason.id}>
+                          {reason.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      placeholder="Excuse note (optional)"
+                      value={draft.excuse_note || ''}
+                      onChange={(e) => handleExcuseDraftChange(record.id, 'excuse_note', e.target.value)}
+                      style={{
+                        padding: '6px 10px',
+                        border: '1px solid #ddd',
+                        borderRadius: '6px',
+                        fontSize: '14px'
+                      }}
+                    />
+                    <button
+                      onClick={() => handleResolveAbsence(record, false)}
+                      style={{
+                        backgroundColor: '#2196F3',
+                        color: 'white',
+                        border: 'none',
+                        padding: '6px 12px',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '12px',
+                        fontWeight: 'bold'
+                      }}
+                    >
+                      Save Reason
+                    </button>
+                    <button
+                      onClick={() => handleResolveAbsence(record, true)}
+                      style={{
+                        backgroundColor: '#4CAF50',
+                        color: 'white',
+                        border: 'none',
+                        padding: '6px 12px',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '12px',
+                        fontWeight: 'bold'
+                      }}
+                    >
+                      Excuse
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div style={{
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        minHeight: '400px'
+      }}>
+        <div style={{
+          width: '50px',
+          height: '50px',
+          border: '3px solid #f3f3f3',
+          borderTop: '3px solid #4CAF50',
+          borderRadius: '50%',
+          animation: 'spin 1s linear infinite'
+        }}></div>
+        <style>
+          {`
+            @keyframes spin {
+              0% { transform: rotate(0deg); }
+              100% { transform: rotate(360deg); }
+            }
+          `}
+        </style>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      padding: '20px',
+      backgroundColor: '#f5f5f5',
+      minHeight: '100vh'
+    }}>
+      {/* Header */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        marginBottom: '20px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+      }}>
+        <h1 style={{
+          color: '#333',
+          margin: '0 0 10px 0',
+          fontSize: '28px',
+          fontWeight: 'bold'
+        }}>
+          🔧 Admin Dashboard
+        </h1>
+        <p style={{
+          color: '#666',
+          margin: 0,
+          fontSize: '16px'
+        }}>
+          Manage teachers, students, and system settings
+        </p>
+      </div>
+
+      {/* Tabs */}
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '10px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        marginBottom: '20px'
+      }}>
+        <div style={{
+          display: 'flex',
+          borderBottom: '1px solid #e0e0e0'
+        }}>
+          {['overview', 'teachers', 'students', 'classes', 'statuses', 'excuses', 'audit', 'exports', 'settings'].map(tab => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              style={{
+                backgroundColor: activeTab === tab ? '#4CAF50' : 'transparent',
+                color: activeTab === tab ? 'white' : '#666',
+                border: 'none',
+                padding: '15px 25px',
+                cursor: 'pointer',
+                fontSize: '16px',
+                fontWeight: 'bold',
+                textTransform: 'capitalize',
+                borderRadius: activeTab === tab ? '10px 10px 0 0' : '0'
+              }}
+            >
+              {tab}
             </button>
           ))}
         </div>
@@ -1025,8 +3508,74 @@ const AdminDashboard = () => {
           {activeTab === 'teachers' && renderTeachersTab()}
           {activeTab === 'students' && renderStudentsTab()}
           {activeTab === 'classes' && renderClassesTab()}
+          {activeTab === 'statuses' && renderStatusesTab()}
+          {activeTab === 'excuses' && renderExcusesTab()}
+          {activeTab === 'audit' && renderAuditTab()}
+          {activeTab === 'exports' && renderExportsTab()}
+          {activeTab === 'settings' && renderSettingsTab()}
         </div>
       </div>
+
+      {/* Edit Teacher Dialog */}
+      <Dialog open={Boolean(editingTeacher)} onClose={() => setEditingTeacher(null)} fullWidth maxWidth="sm">
+        <form onSubmit={teacherEditForm.handleSubmit}>
+          <DialogTitle>Edit {editingTeacher?.email}</DialogTitle>
+          <DialogContent>
+            <TextField {...getEditFieldProps(teacherEditForm, 'full_name')} label="Full Name" />
+            <TextField {...getEditFieldProps(teacherEditForm, 'role')} label="Role" select>
+              <MenuItem value="teacher">Teacher</MenuItem>
+              <MenuItem value="admin">Admin</MenuItem>
+            </TextField>
+            <TextField {...getEditFieldProps(teacherEditForm, 'default_class_id')} label="Default Class" select>
+              <MenuItem value="">No default class</MenuItem>
+              {classes.filter(cls => cls.is_active || cls.id === editingTeacher?.default_class_id).map(cls => (
+                <MenuItem key={cls.id} value={cls.id}>{cls.name}</MenuItem>
+              ))}
+            </TextField>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setEditingTeacher(null)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={teacherEditForm.isSubmitting}>
+              {teacherEditForm.isSubmitting ? 'Saving...' : 'Save Teacher'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      {/* Edit Student Dialog */}
+      <Dialog open={Boolean(editingStudent)} onClose={() => setEditingStudent(null)} fullWidth maxWidth="sm">
+        <form onSubmit={studentEditForm.handleSubmit}>
+          <DialogTitle>Edit {editingStudent?.first_name} {editingStudent?.last_name}</DialogTitle>
+          <DialogContent>
+            <TextField {...getEditFieldProps(studentEditForm, 'student_number')} label="Student Number" />
+            <TextField {...getEditFieldProps(studentEditForm, 'first_name')} label="First Name" />
+            <TextField {...getEditFieldProps(studentEditForm, 'last_name')} label="Last Name" />
+            <TextField {...getEditFieldProps(studentEditForm, 'class_id')} label="Class" select>
+              {classes.filter(cls => cls.is_active || cls.id === editingStudent?.class_id).map(cls => (
+                <MenuItem key={cls.id} value={cls.id}>{cls.name}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              {...getEditFieldProps(studentEditForm, 'date_of_birth')}
+              label="Date of Birth"
+              type="date"
+              slotProps={{ inputLabel: { shrink: true } }}
+            />
+            <TextField
+              {...getEditFieldProps(studentEditForm, 'enrollment_date')}
+              label="Enrollment Date"
+              type="date"
+              slotProps={{ inputLabel: { shrink: true } }}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setEditingStudent(null)}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={studentEditForm.isSubmitting}>
+              {studentEditForm.isSubmitting ? 'Saving...' : 'Save Student'}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
     </div>
   );
 };
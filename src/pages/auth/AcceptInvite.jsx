@@ -0,0 +1,119 @@
+import { memo, useContext } from "react";
+import { Link, useNavigate } from "react-router";
+import { useFormik } from "formik";
+import * as yup from "yup";
+import Button from "@mui/material/Button";
+import TextField from "@mui/material/TextField";
+import toast from "react-hot-toast";
+
+import { AuthContext } from "../../context/AuthContext";
+import supabase from "../../utils/supabase";
+
+const validationSchema = yup.object({
+  password: yup
+    .string("Enter your password")
+    .min(8, "Password should be of minimum 8 characters length")
+    .required("Password is required"),
+  confirmPassword: yup
+    .string("Repeat your password")
+    .oneOf([yup.ref("password")], "Passwords do not match")
+    .required("Repeat your password"),
+});
+
+// Invitation links sign the new staff member in, so all that is left is to
+// choose the password they will sign in with from now on
+const AcceptInvite = () => {
+  const navigate = useNavigate();
+  const { user, loading } = useContext(AuthContext);
+
+  const formik = useFormik({
+    initialValues: {
+      password: "",
+      confirmPassword: "",
+    },
+    validationSchema: validationSchema,
+    onSubmit: async (values) => {
+      const { error } = await supabase.auth.updateUser({ password: values.password });
+
+      if (error) {
+        console.error("Error setting password:", error);
+        toast.error("Your password could not be saved. Please, try again.");
+        return;
+      }
+
+      toast.success("Welcome! Your account is ready.");
+      navigate("/", { replace: true });
+    },
+  });
+
+  if (loading) {
+    return null;
+  }
+
+  if (!user) {
+    return (
+      <>
+        <h1>Accept Invitation</h1>
+        <p>
+          This invitation link is invalid or has expired. Ask an administrator
+          to invite you again, or <Link to="/auth/sign-in">sign in</Link> if
+          you already have a password.
+        </p>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <h1>Accept Invitation</h1>
+      <p>Choose a password for {user.email}.</p>
+      <form onSubmit={formik.handleSubmit}>
+        <TextField
+          fullWidth
+          id="password"
+          name="password"
+          label="Password"
+          type="password"
+          value={formik.values.password}
+          onChange={formik.handleChange}
+          onBlur={formik.handleBlur}
+          error={formik.touched.password && Boolean(formik.errors.password)}
+          helperText={formik.touched.password && formik.errors.password}
+          style={{
+            margin: "1rem",
+          }}
+        />
+        <TextField
+          fullWidth
+          id="confirmPassword"
+          name="confirmPassword"
+          label="Confirm Password"
+          type="password"
+          value={formik.values.confirmPassword}
+          onChange={formik.handleChange}
+          onBlur={formik.handleBlur}
+          error={formik.touched.confirmPassword && Boolean(formik.errors.confirmPassword)}
+          helperText={formik.touched.confirmPassword && formik.errors.confirmPassword}
+          style={{
+            margin: "1rem",
+          }}
+        />
+        <Button
+          color="primary"
+          variant="contained"
+          fullWidth
+          type="submit"
+          size="small"
+          disabled={formik.isSubmitting}
+          style={{
+            margin: "1rem",
+          }}
+        >
+          Set Password
+        </Button>
+      </form>
+    </>
+  );
+};
+
+export default memo(AcceptInvite);
@@ -1,13 +1,48 @@
-import { useState, useEffect, useContext } from 'react';
-import { useParams, useNavigate } from 'react-router';
+import { useState, useEffect, useContext, useCallback, useRef } from 'react';
+import { useParams, useNavigate, useBlocker, useBeforeUnload } from 'react-router';
 import { AuthContext } from '../../context/AuthContext';
+import { useAttendanceSync } from '../../hooks/useAttendanceSync';
+import { useRegisterRealtime } from '../../hooks/useRegisterRealtime';
+import { useAttendanceStatuses } from '../../hooks/useAttendanceStatuses';
+import { useAbsenceReasons } from '../../hooks/useAbsenceReasons';
 import supabase from '../../utils/supabase';
+import {
+  saveAttendanceRecords,
+  saveAbsenceReasons,
+  getCurrentSession,
+  isNetworkError,
+  isRegisterLockedError
+} from '../../utils/attendance';
+import { countByStatus, getStatusBgColor } from '../../utils/attendanceStatus';
+import { ASSIGNMENT_ROLE_LABELS, fetchAssignedClasses } from '../../utils/classes';
+import { downloadAttendanceExport, fetchAttendanceForExport } from '../../utils/attendanceExport';
+import { downloadRegisterPdf, fetchMonthlyRegister } from '../../utils/registerPdf';
+import {
+  cacheGet,
+  cacheSet,
+  getDraft,
+  getQueuedRegister,
+  queueRegister,
+  removeDraft,
+  saveDraft
+} from '../../utils/offlineStore';
+import {
+  findStatusForKey,
+  getStatusKeys,
+  loadKeyBindings,
+  loadKeyboardMode,
+  saveKeyBindings,
+  saveKeyboardMode,
+  validateStatusKey
+} from '../../utils/keyboardShortcuts';
 import toast from 'react-hot-toast';
 
 const AttendancePage = () => {
   const { classId } = useParams();
   const { user } = useContext(AuthContext);
   const navigate = useNavigate();
+  const { activeStatuses, statuses, getStatus } = useAttendanceStatuses();
+  const { activeReasons, getReasonLabel } = useAbsenceReasons();
   
   const [selectedClass, setSelectedClass] = useState(null);
   const [classes, setClasses] = useState([]);
@@ -16,18 +51,254 @@ const AttendancePage = () => {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [currentDate, setCurrentDate] = useState(new Date().toISOString().split('T')[0]);
+  const [sessions, setSessions] = useState([]);
+  const [currentSessionId, setCurrentSessionId] = useState(null);
   const [existingRecords, setExistingRecords] = useState({});
+  const [serverVersions, setServerVersions] = useState({});
   const [hasChanges, setHasChanges] = useState(false);
+  // Students edited locally since the register was loaded or saved
+  const [dirtyStudents, setDirtyStudents] = useState({});
+  // Students changed by another user while this register was open
+  const [remoteChanges, setRemoteChanges] = useState({});
+  const dirtyStudentsRef = useRef(dirtyStudents);
+  const [offlineRegister, setOfflineRegister] = useState(false);
+  const [reloadToken, setReloadToken] = useState(0);
+  // Students pre-filled from an earlier register and not reviewed since
+  const [copiedStudents, setCopiedStudents] = useState({});
+  const [copiedFrom, setCopiedFrom] = useState(null);
+  const [copying, setCopying] = useState(false);
+  // The register the marks on screen belong to, used to key drafts
+  const [loadedRegister, setLoadedRegister] = useState(null);
+  // A draft found for the open register, waiting to be restored or discarded
+  const [pendingDraft, setPendingDraft] = useState(null);
+  // Finalised or auto-locked registers cannot be edited
+  const [registerLock, setRegisterLock] = useState({ locked: false, details: null });
+  const [lockToken, setLockToken] = useState(0);
+  const [finalising, setFinalising] = useState(false);
+  const [isAdmin, setIsAdmin] = useState(false);
+  // Change history shown for one saved mark at a time
+  const [historyPopover, setHistoryPopover] = useState(null);
+  // Date range and register month of the export panel, null while it is closed
+  const [exportRange, setExportRange] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  // Keyboard marking mode
+  const [keyboardMode, setKeyboardMode] = useState(loadKeyboardMode);
+  const [keyBindings, setKeyBindings] = useState(loadKeyBindings);
+  const [showKeySettings, setShowKeySettings] = useState(false);
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const studentRefs = useRef({});
+  const notesRefs = useRef({});
+  const keyboardHandlerRef = useRef(null);
+  // Draft waiting for the autosave delay. It is written straight away when
+  // the teacher moves to another register, so the last edits are kept.
+  const pendingDraftRef = useRef(null);
+
+  const flushPendingDraft = useCallback(() => {
+    const pending = pendingDraftRef.current;
+    if (!pending) return;
+
+    pendingDraftRef.current = null;
+    const { classId: draftClassId, date, sessionId } = pending.register;
+    saveDraft(draftClassId, date, sessionId, pending.draft).catch(error => {
+      console.error('Error saving draft:', error);
+    });
+  }, []);
+
+  // Reload the open register when queued marks for it were synced
+  const handleOfflineSynced = useCallback((results) => {
+    const syncedCurrent = results.some(({ entry }) =>
+      entry.classId === selectedClass?.id &&
+      entry.date === currentDate &&
+      entry.sessionId === currentSessionId
+    );
+    if (syncedCurrent && !hasChanges) {
+      setReloadToken(token => token + 1);
+    }
+  }, [selectedClass, currentDate, currentSessionId, hasChanges]);
+
+  const { isOnline, pendingCount, syncing, syncNow, refreshPending } = useAttendanceSync(user?.id, handleOfflineSynced);
+
+  useEffect(() => {
+    dirtyStudentsRef.current = dirtyStudents;
+  }, [dirtyStudents]);
+
+  // Merge marks saved by co-teachers or admins into the open register. Local
+  // edits are never overwritten; they are flagged as conflicts instead.
+  const handleRemoteChange = useCallback((payload) => {
+    if (payload.eventType === 'DELETE') {
+      const { student_id: studentId } = payload.old;
+      if (dirtyStudentsRef.current[studentId]) return;
+
+      setAttendance(prev => {
+        const next = { ...prev };
+        delete next[studentId];
+        return next;
+      });
+      setExistingRecords(prev => {
+        const next = { ...prev };
+        delete next[studentId];
+        return next;
+      });
+      setServerVersions(prev => {
+        const next = { ...prev };
+        delete next[studentId];
+        return next;
+      });
+      return;
+    }
+
+    const record = payload.new;
+    const studentId = record.student_id;
+    const isOwnChange = record.teacher_id === user?.id;
+
+    if (dirtyStudentsRef.current[studentId]) {
+      if (!isOwnChange) {
+        setRemoteChanges(prev => ({
+          ...prev,
+          [studentId]: {
+            conflict: true,
+            status: record.status,
+            notes: record.notes || '',
+            updatedAt: record.updated_at
+          }
+        }));
+      }
+      return;
+    }
+
+    setAttendance(prev => ({
+      ...prev,
+      [studentId]: {
+        ...prev[studentId],
+        status: record.status,
+        notes: record.notes || '',
+        absence_reason_id: record.absence_reason_id || '',
+        is_excused: record.is_excused,
+        arrival_time: record.arrival_time?.slice(0, 5) || '',
+        minutes_late: record.minutes_late
+      }
+    }));
+    setExistingRecords(prev => ({ ...prev, [studentId]: record.id }));
+    setServerVersions(prev => ({ ...prev, [studentId]: record.updated_at }));
+
+    if (!isOwnChange) {
+      setRemoteChanges(prev => ({
+        ...prev,
+        [studentId]: {
+          conflict: false,
+          status: record.status,
+          notes: record.notes || '',
+          updatedAt: record.updated_at
+        }
+      }));
+    }
+  }, [user]);
+
+  useRegisterRealtime(
+    offlineRegister ? null : selectedClass?.id,
+    currentDate,
+    currentSessionId,
+    handleRemoteChange
+  );
+
+  // Load attendance sessions (e.g. AM/PM or periods) on component mount
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        let { data: sessionsData, error } = await supabase
+          .from('attendance_sessions')
+          .select('id, name, short_name, start_time, sort_order')
+          .eq('is_active', true)
+          .order('sort_order', { ascending: true });
+
+        if (error && isNetworkError(error)) {
+          sessionsData = await cacheGet('sessions');
+          error = sessionsData ? null : error;
+        } else if (!error) {
+          cacheSet('sessions', sessionsData || []).catch(cacheError => {
+            console.error('Error caching sessions:', cacheError);
+          });
+        }
+
+        if (error || !sessionsData?.length) {
+          console.error('Error loading sessions:', error);
+          toast.error('Failed to load attendance sessions');
+          setLoading(false);
+          return;
+        }
+
+        setSessions(sessionsData);
+        setCurrentSessionId(getCurrentSession(sessionsData).id);
+      } catch (error) {
+        console.error('Error in loadSessions:', error);
+        toast.error('Failed to load attendance sessions');
+        setLoading(false);
+      }
+    };
+
+    loadSessions();
+  }, []);
+
+  useEffect(() => {
+    const loadIsAdmin = async () => {
+      const { data, error } = await supabase.rpc('is_admin');
+      if (error) {
+        console.error('Error checking admin role:', error);
+        return;
+      }
+      setIsAdmin(data === true);
+    };
+
+    loadIsAdmin();
+  }, []);
+
+  // Load whether the open date is finalised or locked automatically
+  useEffect(() => {
+    const loadRegisterLock = async () => {
+      if (!selectedClass || offlineRegister) {
+        setRegisterLock({ locked: false, details: null });
+        return;
+      }
+
+      const [lockedResult, detailsResult] = await Promise.all([
+        supabase.rpc('is_register_locked', {
+          p_class_id: selectedClass.id,
+          p_date: currentDate
+        }),
+        supabase
+          .from('register_locks')
+          .select('is_locked, locked_at, unlocked_at, unlock_reason')
+          .eq('class_id', selectedClass.id)
+          .eq('attendance_date', currentDate)
+          .maybeSingle()
+      ]);
+
+      if (lockedResult.error || detailsResult.error) {
+        console.error('Error loading register lock:', lockedResult.error || detailsResult.error);
+        return;
+      }
+
+      setRegisterLock({ locked: lockedResult.data === true, details: detailsResult.data });
+    };
+
+    loadRegisterLock();
+  }, [selectedClass, currentDate, offlineRegister, lockToken]);
 
   // Load classes on component mount
   useEffect(() => {
     const loadClasses = async () => {
       try {
-        const { data: classesData, error } = await supabase
-          .from('classes')
-          .select('id, name, year_level, section, is_active')
-          .eq('is_active', true)
-          .order('year_level', { ascending: true });
+        let { data: classesData, error } = await fetchAssignedClasses(user.id);
+
+        if (error && isNetworkError(error)) {
+          // Offline: fall back to the class list from the last visit
+          classesData = await cacheGet('classes');
+          error = classesData ? null : error;
+        } else if (!error) {
+          cacheSet('classes', classesData || []).catch(cacheError => {
+            console.error('Error caching classes:', cacheError);
+          });
+        }
 
         if (error) {
           console.error('Error loading classes:', error);
@@ -46,6 +317,8 @@ const AttendancePage = () => {
             toast.error('Class not found');
             navigate('/teacher');
           }
+        } else if (!classId) {
+          setSelectedClass(null);
         }
       } catch (error) {
         console.error('Error in loadClasses:', error);
@@ -54,7 +327,7 @@ const AttendancePage = () => {
     };
 
     loadClasses();
-  }, [classId, navigate]);
+  }, [classId, navigate, user]);
 
   // Load students and existing attendance when class is selected
   useEffect(() => {
@@ -64,7 +337,11 @@ const AttendancePage = () => {
         return;
       }
 
+      // Wait until the session picker has a value
+      if (!currentSessionId) return;
+
       setLoading(true);
+      setPendingDraft(null);
       try {
         // Load students for the selected class
         const { data: studentsData, error: studentsError } = await supabase
@@ -74,6 +351,11 @@ const AttendancePage = () => {
           .eq('is_active', true)
           .order('last_name', { ascending: true });
 
+        if (studentsError && isNetworkError(studentsError)) {
+          await loadOfflineRegister();
+          return;
+        }
+
         if (studentsError) {
           console.error('Error loading students:', studentsError);
           toast.error('Failed to load students');
@@ -81,13 +363,18 @@ const AttendancePage = () => {
         }
 
         setStudents(studentsData || []);
+        setOfflineRegister(false);
+        cacheSet(`roster:${selectedClass.id}`, studentsData || []).catch(cacheError => {
+          console.error('Error caching roster:', cacheError);
+        });
 
         // Load existing attendance records for the current date
         const { data: attendanceData, error: attendanceError } = await supabase
           .from('attendance_records')
-          .select('id, student_id, status, notes')
+          .select('id, student_id, status, notes, absence_reason_id, is_excused, arrival_time, minutes_late, updated_at')
           .eq('class_id', selectedClass.id)
-          .eq('attendance_date', currentDate);
+          .eq('attendance_date', currentDate)
+          .eq('session_id', currentSessionId);
 
         if (attendanceError) {
           console.error('Error loading attendance:', attendanceError);
@@ -98,18 +385,30 @@ const AttendancePage = () => {
         // Convert existing records to a lookup object
         const existingMap = {};
         const attendanceMap = {};
+        const versionMap = {};
         
         (attendanceData || []).forEach(record => {
           existingMap[record.student_id] = record.id;
+          versionMap[record.student_id] = record.updated_at;
           attendanceMap[record.student_id] = {
             status: record.status,
-            notes: record.notes || ''
+            notes: record.notes || '',
+            absence_reason_id: record.absence_reason_id || '',
+            is_excused: record.is_excused,
+            arrival_time: record.arrival_time?.slice(0, 5) || '',
+            minutes_late: record.minutes_late
           };
         });
 
         setExistingRecords(existingMap);
+        setServerVersions(versionMap);
         setAttendance(attendanceMap);
+        setFocusedIndex(0);
         setHasChanges(false);
+        setDirtyStudents({});
+        setCopiedStudents({});
+        setRemoteChanges({});
+        await checkForDraft();
 
       } catch (error) {
         console.error('Error in loadStudentsAndAttendance:', error);
@@ -119,51 +418,339 @@ const AttendancePage = () => {
       }
     };
 
+    // Offline: use the cached roster and any marks still waiting to sync
+    const loadOfflineRegister = async () => {
+      const [cachedRoster, queued] = await Promise.all([
+        cacheGet(`roster:${selectedClass.id}`),
+        getQueuedRegister(selectedClass.id, currentDate, currentSessionId)
+      ]);
+
+      if (!cachedRoster) {
+        toast.error('You are offline and this class has not been opened on this device before.');
+        return;
+      }
+
+      const attendanceMap = {};
+      (queued?.records || []).forEach(record => {
+        attendanceMap[record.student_id] = {
+          status: record.status,
+          notes: record.notes || '',
+          absence_reason_id: record.absence_reason_id || '',
+          arrival_time: record.arrival_time || ''
+        };
+      });
+
+      setStudents(cachedRoster);
+      setExistingRecords({});
+      setServerVersions({});
+      setAttendance(attendanceMap);
+      setHasChanges(false);
+      setDirtyStudents({});
+      setCopiedStudents({});
+      setRemoteChanges({});
+      setOfflineRegister(true);
+      await checkForDraft();
+    };
+
+    // Offer to restore marks left unsaved the last time this register was open
+    const checkForDraft = async () => {
+      const register = { classId: selectedClass.id, date: currentDate, sessionId: currentSessionId };
+      setLoadedRegister(register);
+
+      try {
+        const draft = await getDraft(register.classId, register.date, register.sessionId);
+        if (draft && Object.keys(draft.attendance || {}).length > 0) {
+          setPendingDraft(draft);
+        }
+      } catch (error) {
+        console.error('Error loading draft:', error);
+      }
+    };
+
     loadStudentsAndAttendance();
-  }, [selectedClass, currentDate]);
+  }, [selectedClass, currentDate, currentSessionId, reloadToken]);
 
+  // The navigation blocker asks before leaving a register with unsaved
+  // changes, and the class is selected once the route changes
   const handleClassChange = (newClassId) => {
+    navigate(`/teacher/attendance/${newClassId}`, { replace: true });
+  };
+
+  const handleSessionChange = (newSessionId) => {
     if (hasChanges) {
       const confirmed = window.confirm(
-        'You have unsaved changes. Are you sure you want to switch classes? All unsaved changes will be lost.'
+        'You have unsaved changes. Are you sure you want to switch sessions? Your marks are kept as a draft on this device.'
       );
       if (!confirmed) return;
     }
 
-    const newClass = classes.find(cls => cls.id === newClassId);
-    setSelectedClass(newClass);
-    navigate(`/teacher/attendance/${newClassId}`, { replace: true });
+    flushPendingDraft();
+    setCurrentSessionId(newSessionId);
+  };
+
+  const handleDateChange = (newDate) => {
+    if (hasChanges) {
+      const confirmed = window.confirm(
+        'You have unsaved changes. Are you sure you want to switch dates? Your marks are kept as a draft on this device.'
+      );
+      if (!confirmed) return;
+    }
+
+    flushPendingDraft();
+    setCurrentDate(newDate);
+  };
+
+  const handleOpenGrid = () => {
+    navigate(`/teacher/register/${selectedClass.id}?date=${currentDate}`);
+  };
+
+  const handleToggleExport = () => {
+    setExportRange(prev => prev ? null : {
+      from: `${currentDate.slice(0, 7)}-01`,
+      to: currentDate,
+      month: currentDate.slice(0, 7)
+    });
+  };
+
+  const handleExportAttendance = async (format) => {
+    if (exportRange.from > exportRange.to) {
+      toast.error('The start date must be on or before the end date');
+      return;
+    }
+
+    setExporting(true);
+    try {
+      const { data, error } = await fetchAttendanceForExport({
+        from: exportRange.from,
+        to: exportRange.to,
+        classId: selectedClass.id
+      });
+
+      if (error) throw error;
+
+      if (data.length === 0) {
+        toast.error('No attendance was recorded in this date range');
+        return;
+      }
+
+      await downloadAttendanceExport(
+        data,
+        statuses,
+        format,
+        `attendance-${selectedClass.name.replace(/[^a-z0-9]+/gi, '-')}-${exportRange.from}-to-${exportRange.to}`
+      );
+
+    } catch (error) {
+      console.error('Error exporting attendance:', error);
+      toast.error('Failed to export attendance');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handlePrintRegister = async () => {
+    setExporting(true);
+    try {
+      const { data, error } = await fetchMonthlyRegister(selectedClass, exportRange.month);
+      if (error) throw error;
+
+      await downloadRegisterPdf(
+        [data],
+        statuses,
+        `register-${selectedClass.name.replace(/[^a-z0-9]+/gi, '-')}-${exportRange.month}.pdf`
+      );
+
+    } catch (error) {
+      console.error('Error printing register:', error);
+      toast.error('Failed to create the register PDF');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleRestoreDraft = () => {
+    const draftAttendance = {};
+    const draftDirty = {};
+    students.forEach(student => {
+      const draftMark = pendingDraft.attendance[student.id];
+      if (draftMark) {
+        draftAttendance[student.id] = draftMark;
+        draftDirty[student.id] = true;
+      }
+    });
+
+    setAttendance(prev => ({ ...prev, ...draftAttendance }));
+    setDirtyStudents(prev => ({ ...prev, ...draftDirty }));
+    setHasChanges(true);
+    setPendingDraft(null);
+    toast.success('Draft restored. Remember to save.');
+  };
+
+  const handleDiscardDraft = () => {
+    removeDraft(selectedClass.id, currentDate, currentSessionId).catch(error => {
+      console.error('Error removing draft:', error);
+    });
+    setPendingDraft(null);
   };
 
   const handleAttendanceChange = (studentId, field, value) => {
-    setAttendance(prev => ({
-      ...prev,
-      [studentId]: {
-        ...prev[studentId],
-        [field]: value
+    setAttendance(prev => {
+      const next = { ...prev[studentId], [field]: value };
+      // Late arrivals default to arriving now
+      if (field === 'status' && getStatus(value).captures_arrival_time && !next.arrival_time) {
+        next.arrival_time = new Date().toTimeString().slice(0, 5);
       }
-    }));
+      return { ...prev, [studentId]: next };
+    });
+    setDirtyStudents(prev => ({ ...prev, [studentId]: true }));
+    setCopiedStudents(prev => {
+      if (!prev[studentId]) return prev;
+      const next = { ...prev };
+      delete next[studentId];
+      return next;
+    });
     setHasChanges(true);
   };
 
   const handleQuickMark = (status) => {
     if (!selectedClass || students.length === 0) return;
 
+    const { label, captures_arrival_time: capturesArrivalTime } = getStatus(status);
+    const now = new Date().toTimeString().slice(0, 5);
     const confirmed = window.confirm(
-      `Mark ALL students as "${status.toUpperCase()}"? This will overwrite any existing selections.`
+      `Mark ALL students as "${label.toUpperCase()}"? This will overwrite any existing selections.`
     );
 
     if (confirmed) {
       const newAttendance = {};
+      const newDirty = {};
       students.forEach(student => {
         newAttendance[student.id] = {
           status: status,
-          notes: attendance[student.id]?.notes || ''
+          notes: attendance[student.id]?.notes || '',
+          absence_reason_id: attendance[student.id]?.absence_reason_id || '',
+          arrival_time: capturesArrivalTime ? attendance[student.id]?.arrival_time || now : ''
         };
+        newDirty[student.id] = true;
       });
       setAttendance(newAttendance);
+      setDirtyStudents(newDirty);
+      setCopiedStudents({});
       setHasChanges(true);
-      toast.success(`All students marked as ${status}`);
+      toast.success(`All students marked as ${label.toLowerCase()}`);
+    }
+  };
+
+  // Pre-fills the register from the most recent earlier register for this
+  // class. Nothing is saved; copied marks stay flagged until reviewed.
+  const handleCopyLastRegister = async () => {
+    if (!selectedClass || students.length === 0) return;
+
+    setCopying(true);
+    try {
+      const getSortOrder = (sessionId) =>
+        sessions.find(session => session.id === sessionId)?.sort_order ?? 0;
+      const currentSortOrder = getSortOrder(currentSessionId);
+      const getRegisters = () => supabase
+        .from('attendance_session_summary')
+        .select('attendance_date, session_id')
+        .eq('class_id', selectedClass.id);
+      const getLatestSession = (registers) => [...(registers || [])]
+        .sort((a, b) => getSortOrder(b.session_id) - getSortOrder(a.session_id))[0];
+
+      // The last earlier session today, otherwise the last session of the
+      // latest earlier day. Every session of a day is read before picking,
+      // so the order of sessions never depends on which rows were returned.
+      const { data: sameDay, error: sameDayError } = await getRegisters()
+        .eq('attendance_date', currentDate);
+
+      if (sameDayError) throw sameDayError;
+
+      let previous = getLatestSession(
+        (sameDay || []).filter(register => getSortOrder(register.session_id) < currentSortOrder)
+      );
+
+      if (!previous) {
+        const { data: latest, error: latestError } = await getRegisters()
+          .lt('attendance_date', currentDate)
+          .order('attendance_date', { ascending: false })
+          .limit(1);
+
+        if (latestError) throw latestError;
+
+        if (latest?.length > 0) {
+          const { data: latestDay, error: latestDayError } = await getRegisters()
+            .eq('attendance_date', latest[0].attendance_date);
+
+          if (latestDayError) throw latestDayError;
+
+          previous = getLatestSession(latestDay);
+        }
+      }
+
+      if (!previous) {
+        toast.error('No earlier attendance found for this class');
+        return;
+      }
+
+      const { data: records, error: recordsError } = await supabase
+        .from('attendance_records')
+        .select('student_id, status')
+        .eq('class_id', selectedClass.id)
+        .eq('attendance_date', previous.attendance_date)
+        .eq('session_id', previous.session_id);
+
+      if (recordsError) throw recordsError;
+
+      const session = sessions.find(item => item.id === previous.session_id);
+      const label = `${new Date(previous.attendance_date).toLocaleDateString('en-GB')}${session ? ` ${session.short_name}` : ''}`;
+
+      const hasMarks = students.some(student => attendance[student.id]?.status);
+      if (hasMarks) {
+        const confirmed = window.confirm(
+          `Copy marks from ${label}? This will overwrite the current selections.`
+        );
+        if (!confirmed) return;
+      }
+
+      const newAttendance = {};
+      const newDirty = {};
+      const newCopied = {};
+      (records || []).forEach(record => {
+        const inClass = students.some(student => student.id === record.student_id);
+        // Retired statuses cannot be selected any more
+        if (!inClass || !getStatus(record.status).is_active) return;
+
+        newAttendance[record.student_id] = {
+          ...attendance[record.student_id],
+          status: record.status,
+          absence_reason_id: '',
+          arrival_time: ''
+        };
+        newDirty[record.student_id] = true;
+        newCopied[record.student_id] = true;
+      });
+
+      const copiedCount = Object.keys(newCopied).length;
+      if (copiedCount === 0) {
+        toast.error(`No marks to copy from ${label}`);
+        return;
+      }
+
+      setAttendance(prev => ({ ...prev, ...newAttendance }));
+      setDirtyStudents(prev => ({ ...prev, ...newDirty }));
+      setCopiedStudents(newCopied);
+      setCopiedFrom(label);
+      setHasChanges(true);
+      toast.success(`Copied ${copiedCount} marks from ${label}. Review and save.`);
+
+    } catch (error) {
+      console.error('Error copying last register:', error);
+      toast.error(isNetworkError(error)
+        ? 'You are offline. Copying marks needs a connection.'
+        : 'Failed to copy marks');
+    } finally {
+      setCopying(false);
     }
   };
 
@@ -175,126 +762,422 @@ const AttendancePage = () => {
 
     // Validate that all students have attendance marked
     const unmarkedStudents = students.filter(student => !attendance[student.id]?.status);
-    if (unmarkedStudents.length > 0) {
+    if (unmarkedStudents.length > 0 && !registerLock.locked) {
       const confirmed = window.confirm(
         `${unmarkedStudents.length} students don't have attendance marked. Do you want to continue? Unmarked students will be skipped.`
       );
       if (!confirmed) return;
     }
 
+    // Someone else saved newer marks for students edited here
+    const conflictingStudents = students.filter(student =>
+      dirtyStudents[student.id] && remoteChanges[student.id]?.conflict
+    );
+    if (conflictingStudents.length > 0) {
+      const names = conflictingStudents
+        .map(student => `${student.first_name} ${student.last_name}`)
+        .join(', ');
+      const confirmed = window.confirm(
+        `${conflictingStudents.length} students were updated by someone else after you changed them (${names}). Saving will overwrite their newer marks. Continue?`
+      );
+      if (!confirmed) return;
+    }
+
     setSaving(true);
     
     try {
-      const recordsToSave = [];
-      const recordsToUpdate = [];
-
-      // Prepare records for saving/updating
-      Object.entries(attendance).forEach(([studentId, data]) => {
-        if (!data.status) return; // Skip students without status
-
-        const recordData = {
-          student_id: studentId,
-          class_id: selectedClass.id,
-          teacher_id: user.id,
-          attendance_date: currentDate,
-          status: data.status,
-          notes: data.notes || null
-        };
-
-        if (existingRecords[studentId]) {
-          // Update existing record
-          recordsToUpdate.push({
+      let savedRecords;
+      if (registerLock.locked) {
+        // Locked registers only take absence reason changes to existing marks
+        const changes = Object.keys(dirtyStudents)
+          .filter(studentId => existingRecords[studentId])
+          .map(studentId => ({
             id: existingRecords[studentId],
-            ...recordData
-          });
-        } else {
-          // Create new record
-          recordsToSave.push(recordData);
+            absence_reason_id: attendance[studentId]?.absence_reason_id || null
+          }));
+
+        if (changes.length === 0) {
+          toast.error('No changes to save');
+          return;
         }
-      });
 
-      // Insert new records
-      if (recordsToSave.length > 0) {
-        const { error: insertError } = await supabase
-          .from('attendance_records')
-          .insert(recordsToSave);
+        savedRecords = await saveAbsenceReasons(changes);
+      } else {
+        // Only students changed here are written, so marks other teachers
+        // took stay theirs and unchanged rows do not gain history or audit
+        // entries. Students without a status are skipped.
+        const records = Object.entries(attendance)
+          .filter(([studentId, data]) => dirtyStudents[studentId] && data.status)
+          .map(([studentId, data]) => ({
+            student_id: studentId,
+            class_id: selectedClass.id,
+            teacher_id: user.id,
+            attendance_date: currentDate,
+            session_id: currentSessionId,
+            status: data.status,
+            notes: data.notes || null,
+            // Reasons only apply to marks that do not count as present
+            absence_reason_id: getStatus(data.status).counts_as_present
+              ? null
+              : data.absence_reason_id || null,
+            arrival_time: getStatus(data.status).captures_arrival_time
+              ? data.arrival_time || null
+              : null
+          }));
 
-        if (insertError) {
-          console.error('Error inserting attendance:', insertError);
-          throw insertError;
+        if (records.length === 0) {
+          toast.error(Object.keys(dirtyStudents).length > 0 ? 'No attendance marked yet' : 'No changes to save');
+          return;
         }
-      }
 
-      // Update existing records
-      for (const record of recordsToUpdate) {
-        const { error: updateError } = await supabase
-          .from('attendance_records')
-          .update({
-            status: record.status,
-            notes: record.notes,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', record.id);
-
-        if (updateError) {
-          console.error('Error updating attendance:', updateError);
-          throw updateError;
+        if (!navigator.onLine) {
+          await queueOfflineRegister(records);
+          return;
         }
+
+        // A single upsert keeps the register all-or-nothing and avoids one
+        // round trip per student
+        try {
+          savedRecords = await saveAttendanceRecords(records);
+        } catch (saveError) {
+          if (isNetworkError(saveError)) {
+            await queueOfflineRegister(records);
+            return;
+          }
+          console.error('Error saving attendance:', saveError);
+          throw saveError;
+        }
+      }
+
+      // Reconcile local state with what the database stored
+      const savedExisting = {};
+      const savedAttendance = {};
+      const savedVersions = {};
+      savedRecords.forEach(record => {
+        savedExisting[record.student_id] = record.id;
+        savedVersions[record.student_id] = record.updated_at;
+        savedAttendance[record.student_id] = {
+          status: record.status,
+          notes: record.notes || '',
+          absence_reason_id: record.absence_reason_id || '',
+          is_excused: record.is_excused,
+          arrival_time: record.arrival_time?.slice(0, 5) || '',
+          minutes_late: record.minutes_late
+        };
+      });
+
+      setExistingRecords(prev => ({ ...prev, ...savedExisting }));
+      setServerVersions(prev => ({ ...prev, ...savedVersions }));
+      setAttendance(prev => ({ ...prev, ...savedAttendance }));
+      removeDraft(selectedClass.id, currentDate, currentSessionId).catch(draftError => {
+        console.error('Error removing draft:', draftError);
+      });
+      setHasChanges(false);
+      setDirtyStudents({});
+      setCopiedStudents({});
+      setRemoteChanges({});
+
+      toast.success(`Attendance saved successfully! ${savedRecords.length} records processed.`);
+
+    } catch (error) {
+      console.error('Error saving attendance:', error);
+      if (isRegisterLockedError(error)) {
+        toast.error('This register has been locked and can no longer be changed.');
+        setLockToken(token => token + 1);
+      } else if (error.code === '42501' && selectedClass.assignment_role === 'substitute') {
+        toast.error('You can only take registers for the dates you are covering.');
+      } else {
+        toast.error('Failed to save attendance. Please try again.');
       }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleHistory = async (student) => {
+    const recordId = existingRecords[student.id];
+    if (historyPopover?.recordId === recordId) {
+      setHistoryPopover(null);
+      return;
+    }
+
+    setHistoryPopover({ recordId, loading: true, entries: [] });
+    try {
+      const { data, error } = await supabase
+        .from('attendance_record_history')
+        .select(`
+          id,
+          changed_at,
+          changed_by_name,
+          old_status,
+          new_status,
+          old_notes,
+          new_notes,
+          old_arrival_time,
+          new_arrival_time,
+          old_absence_reason_id,
+          new_absence_reason_id
+        `)
+        .eq('record_id', recordId)
+        .order('changed_at', { ascending: false });
+
+      if (error) throw error;
+
+      setHistoryPopover(prev =>
+        prev?.recordId === recordId ? { recordId, loading: false, entries: data || [] } : prev
+      );
+
+    } catch (error) {
+      console.error('Error loading attendance history:', error);
+      toast.error('Failed to load history');
+      setHistoryPopover(null);
+    }
+  };
+
+  // One line per value a revision changed. The first revision has no old values.
+  const describeHistoryEntry = (entry) => {
+    const statusLabel = (code) => getStatus(code)?.label || code;
+    const timeLabel = (time) => time?.slice(0, 5) || 'none';
+    const reasonLabel = (id) => (id && getReasonLabel(id)) || 'none';
+    const notesLabel = (notes) => (notes ? `"${notes}"` : 'none');
+
+    if (!entry.old_status) {
+      return [
+        `Marked ${statusLabel(entry.new_status)}`,
+        entry.new_arrival_time && `Arrived at ${timeLabel(entry.new_arrival_time)}`,
+        entry.new_absence_reason_id && `Reason: ${reasonLabel(entry.new_absence_reason_id)}`,
+        entry.new_notes && `Notes: ${notesLabel(entry.new_notes)}`
+      ].filter(Boolean);
+    }
+
+    return [
+      entry.old_status !== entry.new_status &&
+        `Status: ${statusLabel(entry.old_status)} → ${statusLabel(entry.new_status)}`,
+      entry.old_arrival_time !== entry.new_arrival_time &&
+        `Arrived at: ${timeLabel(entry.old_arrival_time)} → ${timeLabel(entry.new_arrival_time)}`,
+      entry.old_absence_reason_id !== entry.new_absence_reason_id &&
+        `Reason: ${reasonLabel(entry.old_absence_reason_id)} → ${reasonLabel(entry.new_absence_reason_id)}`,
+      entry.old_notes !== entry.new_notes &&
+        `Notes: ${notesLabel(entry.old_notes)} → ${notesLabel(entry.new_notes)}`
+    ].filter(Boolean);
+  };
+
+  const handleFinaliseRegister = async () => {
+    const confirmed = window.confirm(
+      `Finalise the register for ${selectedClass.name} on ${new Date(currentDate).toLocaleDateString('en-GB')}? Every session on this date will be locked and only an administrator can unlock it.`
+    );
+    if (!confirmed) return;
+
+    setFinalising(true);
+    try {
+      const { error } = await supabase.rpc('finalise_register', {
+        p_class_id: selectedClass.id,
+        p_date: currentDate
+      });
+
+      if (error) throw error;
+
+      toast.success('Register finalised');
+      setLockToken(token => token + 1);
+
+    } catch (error) {
+      console.error('Error finalising register:', error);
+      toast.error('Failed to finalise register');
+    } finally {
+      setFinalising(false);
+    }
+  };
+
+  const handleUnlockRegister = async () => {
+    const reason = window.prompt('Why does this register need to be unlocked? A reason is required.');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required to unlock a register');
+      return;
+    }
+
+    try {
+      const { error } = await supabase.rpc('unlock_register', {
+        p_class_id: selectedClass.id,
+        p_date: currentDate,
+        p_reason: reason.trim()
+      });
+
+      if (error) throw error;
+
+      toast.success('Register unlocked');
+      setLockToken(token => token + 1);
+
+    } catch (error) {
+      console.error('Error unlocking register:', error);
+      toast.error('Failed to unlock register');
+    }
+  };
+
+  // Keep the register on this device until the connection returns
+  const queueOfflineRegister = async (records) => {
+    await queueRegister({
+      classId: selectedClass.id,
+      className: selectedClass.name,
+      date: currentDate,
+      sessionId: currentSessionId,
+      teacherId: user.id,
+      records: records.map(record => ({
+        student_id: record.student_id,
+        status: record.status,
+        notes: record.notes,
+        absence_reason_id: record.absence_reason_id,
+        arrival_time: record.arrival_time,
+        baseUpdatedAt: serverVersions[record.student_id] || null
+      }))
+    });
+
+    removeDraft(selectedClass.id, currentDate, currentSessionId).catch(draftError => {
+      console.error('Error removing draft:', draftError);
+    });
+    setHasChanges(false);
+    setDirtyStudents({});
+    setCopiedStudents({});
+    refreshPending();
+    toast('Saved on this device. Attendance will sync when you are back online.', { icon: '📴' });
+  };
+
+  const getAttendanceStats = () =>
+    countByStatus(statuses, students.map(student => attendance[student.id]?.status));
+
+  const statusKeys = getStatusKeys(keyBindings, activeStatuses);
+
+  const handleToggleKeyboardMode = () => {
+    const enabled = !keyboardMode;
+    setKeyboardMode(enabled);
+    saveKeyboardMode(enabled);
+    if (!enabled) setShowKeySettings(false);
+  };
+
+  const handleKeyBindingChange = (status, key) => {
+    const next = { ...keyBindings };
+    if (key === null) {
+      delete next[status.code];
+    } else {
+      const error = validateStatusKey(keyBindings, activeStatuses, status.code, key);
+      if (error) {
+        toast.error(error);
+        return;
+      }
+      next[status.code] = key.toLowerCase();
+    }
+
+    setKeyBindings(next);
+    saveKeyBindings(next);
+  };
+
+  const handleResetKeyBindings = () => {
+    setKeyBindings({});
+    saveKeyBindings({});
+  };
+
+  const focusStudent = (index) => {
+    const nextIndex = Math.min(Math.max(index, 0), students.length - 1);
+    setFocusedIndex(nextIndex);
+    studentRefs.current[students[nextIndex]?.id]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  };
+
+  // Status keys mark the focused student and move on to the next one
+  const handleKeyboardShortcut = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+      e.preventDefault();
+      if (!hasChanges) {
+        toast('No changes to save');
+      } else if (!saving) {
+        handleSaveAttendance();
+      }
+      return;
+    }
+
+    const tagName = e.target.tagName;
+    if (tagName === 'TEXTAREA' || tagName === 'INPUT' || tagName === 'SELECT') {
+      if (e.key === 'Escape') e.target.blur();
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || students.length === 0) return;
 
-      toast.success(`Attendance saved successfully! ${recordsToSave.length + recordsToUpdate.length} records processed.`);
-      setHasChanges(false);
+    const index = Math.min(focusedIndex, students.length - 1);
+    const student = students[index];
 
-      // Reload existing records to reflect changes
-      const updatedExisting = {};
-      Object.entries(attendance).forEach(([studentId, data]) => {
-        if (data.status && !existingRecords[studentId]) {
-          // This is a new record, we don't have the ID yet, but mark as existing
-          updatedExisting[studentId] = 'new';
-        } else if (existingRecords[studentId]) {
-          updatedExisting[studentId] = existingRecords[studentId];
-        }
-      });
-      setExistingRecords(updatedExisting);
+    if (e.key === 'ArrowDown') {
+      focusStudent(index + 1);
+    } else if (e.key === 'ArrowUp') {
+      focusStudent(index - 1);
+    } else if (e.key.toLowerCase() === 'n') {
+      notesRefs.current[student.id]?.focus();
+    } else {
+      const status = findStatusForKey(keyBindings, activeStatuses, e.key);
+      if (!status || registerLock.locked) return;
 
-    } catch (error) {
-      console.error('Error saving attendance:', error);
-      toast.error('Failed to save attendance. Please try again.');
-    } finally {
-      setSaving(false);
+      handleAttendanceChange(student.id, 'status', status.code);
+      focusStudent(index + 1);
     }
-  };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'present': return '#4CAF50';
-      case 'absent': return '#F44336';
-      case 'late': return '#FF9800';
-      default: return '#E0E0E0';
-    }
+    e.preventDefault();
   };
 
-  const getStatusBgColor = (status) => {
-    switch (status) {
-      case 'present': return '#e8f5e8';
-      case 'absent': return '#ffebee';
-      case 'late': return '#fff3e0';
-      default: return '#f5f5f5';
+  useEffect(() => {
+    keyboardHandlerRef.current = handleKeyboardShortcut;
+  });
+
+  // Keep unsaved marks on this device so a refresh or closed tab loses nothing
+  useEffect(() => {
+    if (!hasChanges || !loadedRegister) {
+      pendingDraftRef.current = null;
+      return;
     }
-  };
 
-  const getAttendanceStats = () => {
-    const stats = { present: 0, absent: 0, late: 0, unmarked: 0 };
-    students.forEach(student => {
-      const status = attendance[student.id]?.status;
-      if (status) {
-        stats[status]++;
-      } else {
-        stats.unmarked++;
-      }
+    const draftAttendance = {};
+    Object.keys(dirtyStudents).forEach(studentId => {
+      if (attendance[studentId]) draftAttendance[studentId] = attendance[studentId];
     });
-    return stats;
-  };
+    pendingDraftRef.current = {
+      register: loadedRegister,
+      draft: { attendance: draftAttendance, savedAt: new Date().toISOString() }
+    };
+
+    const timer = setTimeout(flushPendingDraft, 500);
+    return () => clearTimeout(timer);
+  }, [attendance, dirtyStudents, hasChanges, loadedRegister, flushPendingDraft]);
+
+  // Leaving the page writes a draft that is still waiting
+  useEffect(() => flushPendingDraft, [flushPendingDraft]);
+
+  const blocker = useBlocker(({ currentLocation, nextLocation }) =>
+    hasChanges && currentLocation.pathname !== nextLocation.pathname
+  );
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return;
+
+    const confirmed = window.confirm(
+      'You have unsaved changes. Are you sure you want to leave this register? Your marks are kept as a draft on this device.'
+    );
+    if (confirmed) {
+      flushPendingDraft();
+      blocker.proceed();
+    } else {
+      blocker.reset();
+    }
+  }, [blocker, flushPendingDraft]);
+
+  useBeforeUnload(useCallback((e) => {
+    if (hasChanges) e.preventDefault();
+  }, [hasChanges]));
+
+  useEffect(() => {
+    if (!keyboardMode) return;
+
+    const handleKeyDown = (e) => keyboardHandlerRef.current?.(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keyboardMode]);
 
   if (loading) {
     return (
@@ -325,6 +1208,7 @@ const AttendancePage = () => {
   }
 
   const stats = getAttendanceStats();
+  const currentSession = sessions.find(session => session.id === currentSessionId);
 
   return (
     <div style={{
@@ -362,15 +1246,71 @@ const AttendancePage = () => {
               margin: 0,
               fontSize: '16px'
             }}>
-              {selectedClass ? `${selectedClass.name} • ${new Date(currentDate).toLocaleDateString('en-GB')}` : 'Select a class to get started'}
+              {selectedClass
+                ? `${selectedClass.name} • ${new Date(currentDate).toLocaleDateString('en-GB')}${currentSession ? ` • ${currentSession.name}` : ''}`
+                : 'Select a class to get started'}
             </p>
+
+            {/* Offline / Sync Status */}
+            {(!isOnline || pendingCount > 0) && (
+              <div style={{
+                display: 'flex',
+                gap: '10px',
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                marginTop: '10px'
+              }}>
+                {!isOnline && (
+                  <span style={{
+                    backgroundColor: '#616161',
+                    color: 'white',
+                    fontSize: '12px',
+                    padding: '4px 10px',
+                    borderRadius: '12px',
+                    fontWeight: 'bold'
+                  }}>
+                    📴 Offline{offlineRegister ? ' • using saved class list' : ''}
+                  </span>
+                )}
+                {pendingCount > 0 && (
+                  <span style={{
+                    backgroundColor: '#FF9800',
+                    color: 'white',
+                    fontSize: '12px',
+                    padding: '4px 10px',
+                    borderRadius: '12px',
+                    fontWeight: 'bold'
+                  }}>
+                    ⏳ {pendingCount} {pendingCount === 1 ? 'register' : 'registers'} pending sync
+                  </span>
+                )}
+                {pendingCount > 0 && isOnline && (
+                  <button
+                    onClick={syncNow}
+                    disabled={syncing}
+                    style={{
+                      backgroundColor: 'transparent',
+                      color: '#2196F3',
+                      border: '1px solid #2196F3',
+                      padding: '3px 10px',
+                      borderRadius: '12px',
+                      cursor: syncing ? 'not-allowed' : 'pointer',
+                      fontSize: '12px',
+                      fontWeight: 'bold'
+                    }}
+                  >
+                    {syncing ? 'Syncing...' : 'Sync now'}
+                  </button>
+                )}
+              </div>
+            )}
           </div>
 
           <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
             <input
               type="date"
               value={currentDate}
-              onChange={(e) => setCurrentDate(e.target.value)}
+              onChange={(e) => handleDateChange(e.target.value)}
               style={{
                 padding: '8px 12px',
                 border: '1px solid #ddd',
@@ -378,6 +1318,39 @@ const AttendancePage = () => {
                 fontSize: '14px'
               }}
             />
+            <select
+              value={currentSessionId || ''}
+              onChange={(e) => handleSessionChange(e.target.value)}
+              aria-label="Session"
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #ddd',
+                borderRadius: '6px',
+                fontSize: '14px'
+              }}
+            >
+              {sessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  {session.short_name} – {session.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleOpenGrid}
+              disabled={!selectedClass}
+              style={{
+                backgroundColor: selectedClass ? '#2196F3' : '#ccc',
+                color: 'white',
+                border: 'none',
+                padding: '10px 20px',
+                borderRadius: '6px',
+                cursor: selectedClass ? 'pointer' : 'not-allowed',
+                fontSize: '14px',
+                fontWeight: 'bold'
+              }}
+            >
+              📅 Grid View
+            </button>
             <button
               onClick={() => navigate('/teacher')}
               style={{
@@ -426,6 +1399,7 @@ const AttendancePage = () => {
             {classes.map(cls => (
               <option key={cls.id} value={cls.id}>
                 {cls.name}
+                {cls.assignment_role && cls.assignment_role !== 'lead' && ` (${ASSIGNMENT_ROLE_LABELS[cls.assignment_role]})`}
               </option>
             ))}
           </select>
@@ -438,21 +1412,27 @@ const AttendancePage = () => {
               {students.length} students
             </span>
           )}
-        </div>
 
-        {/* Quick Actions */}
-        {selectedClass && students.length > 0 && (
-          <div style={{
-            display: 'flex',
-            gap: '10px',
-            flexWrap: 'wrap'
-          }}>
+          {selectedClass?.assignment_role === 'substitute' && (
+            <span style={{
+              backgroundColor: '#FFF3E0',
+              color: '#E65100',
+              fontSize: '14px',
+              padding: '6px 12px',
+              borderRadius: '6px'
+            }}>
+              You are covering this class until {new Date(selectedClass.cover_ends_on).toLocaleDateString('en-GB')}. Marks you save are recorded as cover.
+            </span>
+          )}
+
+          {selectedClass && (
             <button
-              onClick={() => handleQuickMark('present')}
+              onClick={handleToggleExport}
               style={{
-                backgroundColor: '#4CAF50',
-                color: 'white',
-                border: 'none',
+                marginLeft: 'auto',
+                backgroundColor: exportRange ? '#1976D2' : 'white',
+                color: exportRange ? 'white' : '#1976D2',
+                border: '1px solid #1976D2',
                 padding: '8px 16px',
                 borderRadius: '6px',
                 cursor: 'pointer',
@@ -460,37 +1440,147 @@ const AttendancePage = () => {
                 fontWeight: 'bold'
               }}
             >
-              Mark All Present
+              ⬇ Export
             </button>
+          )}
+        </div>
+
+        {/* Attendance Export */}
+        {selectedClass && exportRange && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '15px',
+            flexWrap: 'wrap',
+            backgroundColor: '#E3F2FD',
+            padding: '12px 15px',
+            borderRadius: '8px',
+            marginBottom: '20px'
+          }}>
+            <span style={{ color: '#333', fontWeight: 'bold', fontSize: '14px' }}>
+              Export {selectedClass.name}
+            </span>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+              From
+              <input
+                type="date"
+                value={exportRange.from}
+                onChange={(e) => setExportRange(prev => ({ ...prev, from: e.target.value }))}
+                style={{
+                  padding: '6px 10px',
+                  border: '1px solid #ddd',
+                  borderRadius: '6px',
+                  fontSize: '14px'
+                }}
+              />
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+              To
+              <input
+                type="date"
+                value={exportRange.to}
+                onChange={(e) => setExportRange(prev => ({ ...prev, to: e.target.value }))}
+                style={{
+                  padding: '6px 10px',
+                  border: '1px solid #ddd',
+                  borderRadius: '6px',
+                  fontSize: '14px'
+                }}
+              />
+            </label>
+            {[['csv', 'CSV'], ['xlsx', 'Excel']].map(([format, label]) => (
+              <button
+                key={format}
+                onClick={() => handleExportAttendance(format)}
+                disabled={exporting || !exportRange.from || !exportRange.to}
+                style={{
+                  backgroundColor: exporting || !exportRange.from || !exportRange.to ? '#ccc' : '#1976D2',
+                  color: 'white',
+                  border: 'none',
+                  padding: '8px 16px',
+                  borderRadius: '6px',
+                  cursor: exporting || !exportRange.from || !exportRange.to ? 'not-allowed' : 'pointer',
+                  fontSize: '14px',
+                  fontWeight: 'bold'
+                }}
+              >
+                {exporting ? 'Exporting...' : label}
+              </button>
+            ))}
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px', marginLeft: 'auto' }}>
+              Register for
+              <input
+                type="month"
+                value={exportRange.month}
+                onChange={(e) => setExportRange(prev => ({ ...prev, month: e.target.value }))}
+                style={{
+                  padding: '6px 10px',
+                  border: '1px solid #ddd',
+                  borderRadius: '6px',
+                  fontSize: '14px'
+                }}
+              />
+            </label>
             <button
-              onClick={() => handleQuickMark('absent')}
+              onClick={handlePrintRegister}
+              disabled={exporting || !exportRange.month}
               style={{
-                backgroundColor: '#F44336',
+                backgroundColor: exporting || !exportRange.month ? '#ccc' : '#1976D2',
                 color: 'white',
                 border: 'none',
                 padding: '8px 16px',
                 borderRadius: '6px',
-                cursor: 'pointer',
+                cursor: exporting || !exportRange.month ? 'not-allowed' : 'pointer',
                 fontSize: '14px',
                 fontWeight: 'bold'
               }}
             >
-              Mark All Absent
+              🖨 PDF Register
             </button>
+          </div>
+        )}
+
+        {/* Quick Actions */}
+        {selectedClass && students.length > 0 && !registerLock.locked && (
+          <div style={{
+            display: 'flex',
+            gap: '10px',
+            flexWrap: 'wrap'
+          }}>
+            {activeStatuses.map(status => (
+              <button
+                key={status.code}
+                onClick={() => handleQuickMark(status.code)}
+                style={{
+                  backgroundColor: status.color,
+                  color: 'white',
+                  border: 'none',
+                  padding: '8px 16px',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: 'bold'
+                }}
+              >
+                Mark All {status.label}
+              </button>
+            ))}
             <button
-              onClick={() => handleQuickMark('late')}
+              onClick={handleCopyLastRegister}
+              disabled={copying || offlineRegister}
+              title="Pre-fill from the most recent earlier register for this class"
               style={{
-                backgroundColor: '#FF9800',
-                color: 'white',
-                border: 'none',
+                backgroundColor: 'transparent',
+                color: copying || offlineRegister ? '#ccc' : '#2196F3',
+                border: `1px solid ${copying || offlineRegister ? '#ccc' : '#2196F3'}`,
                 padding: '8px 16px',
                 borderRadius: '6px',
-                cursor: 'pointer',
+                cursor: copying || offlineRegister ? 'not-allowed' : 'pointer',
                 fontSize: '14px',
                 fontWeight: 'bold'
               }}
             >
-              Mark All Late
+              {copying ? 'Copying...' : '⎘ Copy Last Register'}
             </button>
           </div>
         )}
@@ -528,6 +1618,128 @@ const AttendancePage = () => {
         </div>
       ) : (
         <>
+          {/* Register Lock */}
+          {(registerLock.locked || existingRecords && Object.keys(existingRecords).length > 0 && !offlineRegister) && (
+            <div style={{
+              backgroundColor: registerLock.locked ? '#ECEFF1' : 'white',
+              border: `1px solid ${registerLock.locked ? '#90A4AE' : '#e0e0e0'}`,
+              padding: '15px 20px',
+              borderRadius: '10px',
+              marginBottom: '20px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '15px',
+              flexWrap: 'wrap'
+            }}>
+              <span style={{ color: '#333', fontSize: '14px' }}>
+                {registerLock.locked ? (
+                  registerLock.details?.is_locked
+                    ? `🔒 This register was finalised on ${new Date(registerLock.details.locked_at).toLocaleString('en-GB')} and can no longer be changed. Absence reasons can still be recorded.`
+                    : '🔒 This register was locked automatically because it is too old to change. Absence reasons can still be recorded.'
+                ) : (
+                  registerLock.details && !registerLock.details.is_locked
+                    ? `🔓 Unlocked by an administrator on ${new Date(registerLock.details.unlocked_at).toLocaleString('en-GB')}: "${registerLock.details.unlock_reason}"`
+                    : 'When every session for this date is complete, finalise the register to lock it.'
+                )}
+              </span>
+              <div style={{ display: 'flex', gap: '10px', marginLeft: 'auto' }}>
+                {registerLock.locked && isAdmin && (
+                  <button
+                    onClick={handleUnlockRegister}
+                    style={{
+                      backgroundColor: '#FF9800',
+                      color: 'white',
+                      border: 'none',
+                      padding: '8px 16px',
+                      borderRadius: '6px',
+                      cursor: 'pointer',
+                      fontSize: '14px',
+                      fontWeight: 'bold'
+                    }}
+                  >
+                    🔓 Unlock
+                  </button>
+                )}
+                {!registerLock.locked && (
+                  <button
+                    onClick={handleFinaliseRegister}
+                    disabled={finalising || hasChanges}
+                    title={hasChanges ? 'Save your changes before finalising' : undefined}
+                    style={{
+                      backgroundColor: finalising || hasChanges ? '#ccc' : '#607D8B',
+                      color: 'white',
+                      border: 'none',
+                      padding: '8px 16px',
+                      borderRadius: '6px',
+                      cursor: finalising || hasChanges ? 'not-allowed' : 'pointer',
+                      fontSize: '14px',
+                      fontWeight: 'bold'
+                    }}
+                  >
+                    {finalising ? 'Finalising...' : '🔒 Finalise Register'}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Draft Restore Prompt */}
+          {pendingDraft && (
+            <div style={{
+              backgroundColor: '#FFF8E1',
+              border: '1px solid #FFC107',
+              padding: '15px 20px',
+              borderRadius: '10px',
+              marginBottom: '20px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '15px',
+              flexWrap: 'wrap'
+            }}>
+              <span style={{ color: '#333', fontSize: '14px' }}>
+                📝 You have unsaved marks for {Object.keys(pendingDraft.attendance).length} students in this register from{' '}
+                {new Date(pendingDraft.savedAt).toLocaleString('en-GB', {
+                  day: 'numeric',
+                  month: 'short',
+                  hour: '2-digit',
+                  minute: '2-digit'
+                })}.
+              </span>
+              <div style={{ display: 'flex', gap: '10px', marginLeft: 'auto' }}>
+                <button
+                  onClick={handleRestoreDraft}
+                  style={{
+                    backgroundColor: '#4CAF50',
+                    color: 'white',
+                    border: 'none',
+                    padding: '8px 16px',
+                    borderRadius: '6px',
+                    cursor: 'pointer',
+                    fontSize: '14px',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={handleDiscardDraft}
+                  style={{
+                    backgroundColor: '#6c757d',
+                    color: 'white',
+                    border: 'none',
+                    padding: '8px 16px',
+                    borderRadius: '6px',
+                    cursor: 'pointer',
+                    fontSize: '14px',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Stats Bar */}
           <div style={{
             backgroundColor: 'white',
@@ -542,38 +1754,29 @@ const AttendancePage = () => {
               gap: '20px',
               textAlign: 'center'
             }}>
-              <div>
-                <div style={{
-                  fontSize: '24px',
-                  fontWeight: 'bold',
-                  color: '#4CAF50',
-                  marginBottom: '5px'
-                }}>
-                  {stats.present}
-                </div>
-                <div style={{ color: '#666', fontSize: '14px' }}>Present</div>
-              </div>
-              <div>
-                <div style={{
-                  fontSize: '24px',
-                  fontWeight: 'bold',
-                  color: '#FF9800',
-                  marginBottom: '5px'
-                }}>
-                  {stats.late}
+              {activeStatuses.map(status => (
+                <div key={status.code}>
+                  <div style={{
+                    fontSize: '24px',
+                    fontWeight: 'bold',
+                    color: status.color,
+                    marginBottom: '5px'
+                  }}>
+                    {stats[status.code]}
+                  </div>
+                  <div style={{ color: '#666', fontSize: '14px' }}>{status.label}</div>
                 </div>
-                <div style={{ color: '#666', fontSize: '14px' }}>Late</div>
-              </div>
+              ))}
               <div>
                 <div style={{
                   fontSize: '24px',
                   fontWeight: 'bold',
-                  color: '#F44336',
+                  color: '#333',
                   marginBottom: '5px'
                 }}>
-                  {stats.absent}
+                  {stats.attended}
                 </div>
-                <div style={{ color: '#666', fontSize: '14px' }}>Absent</div>
+                <div style={{ color: '#666', fontSize: '14px' }}>Attending</div>
               </div>
               <div>
                 <div style={{
@@ -589,6 +1792,139 @@ const AttendancePage = () => {
             </div>
           </div>
 
+          {/* Keyboard Shortcut Legend */}
+          {keyboardMode && (
+            <div style={{
+              backgroundColor: 'white',
+              padding: '15px 20px',
+              borderRadius: '10px',
+              marginBottom: '20px',
+              boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+            }}>
+              <div style={{
+                display: 'flex',
+                gap: '15px',
+                flexWrap: 'wrap',
+                alignItems: 'center',
+                fontSize: '14px',
+                color: '#666'
+              }}>
+                <strong style={{ color: '#333' }}>⌨️ Shortcuts:</strong>
+                {activeStatuses.map(status => (
+                  <span key={status.code}>
+                    <kbd style={{
+                      backgroundColor: status.color,
+                      color: 'white',
+                      borderRadius: '4px',
+                      padding: '2px 7px',
+                      fontWeight: 'bold',
+                      marginRight: '5px'
+                    }}>
+                      {(statusKeys[status.code] || '–').toUpperCase()}
+                    </kbd>
+                    {status.label}
+                  </span>
+                ))}
+                {[
+                  ['↑ ↓', 'Move'],
+                  ['N', 'Notes'],
+                  ['Esc', 'Leave notes'],
+                  ['Ctrl+S', 'Save']
+                ].map(([keys, action]) => (
+                  <span key={keys}>
+                    <kbd style={{
+                      backgroundColor: '#f5f5f5',
+                      border: '1px solid #ddd',
+                      borderRadius: '4px',
+                      padding: '2px 7px',
+                      fontWeight: 'bold',
+                      marginRight: '5px'
+                    }}>
+                      {keys}
+                    </kbd>
+                    {action}
+                  </span>
+                ))}
+                <button
+                  onClick={() => setShowKeySettings(prev => !prev)}
+                  style={{
+                    marginLeft: 'auto',
+                    backgroundColor: 'transparent',
+                    color: '#2196F3',
+                    border: 'none',
+                    cursor: 'pointer',
+                    fontSize: '14px',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  {showKeySettings ? 'Done' : 'Customise keys'}
+                </button>
+              </div>
+
+              {showKeySettings && (
+                <div style={{
+                  display: 'flex',
+                  gap: '15px',
+                  flexWrap: 'wrap',
+                  alignItems: 'center',
+                  marginTop: '15px',
+                  paddingTop: '15px',
+                  borderTop: '1px solid #e0e0e0',
+                  fontSize: '14px',
+                  color: '#333'
+                }}>
+                  {activeStatuses.map(status => (
+                    <label key={status.code} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                      {status.label}
+                      <input
+                        type="text"
+                        readOnly
+                        value={(statusKeys[status.code] || '').toUpperCase()}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Tab') return;
+                          e.preventDefault();
+                          if (e.key === 'Backspace' || e.key === 'Delete') {
+                            handleKeyBindingChange(status, null);
+                          } else if (e.key.length === 1) {
+                            handleKeyBindingChange(status, e.key);
+                          }
+                        }}
+                        aria-label={`Key for ${status.label}`}
+                        style={{
+                          width: '36px',
+                          padding: '4px',
+                          textAlign: 'center',
+                          border: '1px solid #ddd',
+                          borderRadius: '6px',
+                          fontSize: '14px',
+                          fontWeight: 'bold'
+                        }}
+                      />
+                    </label>
+                  ))}
+                  <button
+                    onClick={handleResetKeyBindings}
+                    style={{
+                      backgroundColor: '#6c757d',
+                      color: 'white',
+                      border: 'none',
+                      padding: '6px 12px',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '12px',
+                      fontWeight: 'bold'
+                    }}
+                  >
+                    Reset to short codes
+                  </button>
+                  <span style={{ color: '#666', fontSize: '12px' }}>
+                    Click a box and press the new key. Backspace restores the short code.
+                  </span>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Students List */}
           <div style={{
             backgroundColor: 'white',
@@ -612,6 +1948,25 @@ const AttendancePage = () => {
               }}>
                 Student Attendance List
               </h3>
+
+              <button
+                onClick={handleToggleKeyboardMode}
+                aria-pressed={keyboardMode}
+                style={{
+                  backgroundColor: keyboardMode ? '#2196F3' : 'transparent',
+                  color: keyboardMode ? 'white' : '#2196F3',
+                  border: '1px solid #2196F3',
+                  padding: '8px 14px',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: 'bold',
+                  marginLeft: 'auto',
+                  marginRight: hasChanges ? '15px' : 0
+                }}
+              >
+                ⌨️ Keyboard mode {keyboardMode ? 'on' : 'off'}
+              </button>
               
               {hasChanges && (
                 <div style={{
@@ -671,20 +2026,50 @@ const AttendancePage = () => {
               {students.map((student, index) => {
                 const studentAttendance = attendance[student.id] || {};
                 const isExisting = existingRecords[student.id];
+                const remoteChange = remoteChanges[student.id];
+                const hasConflict = remoteChange?.conflict && dirtyStudents[student.id];
+                const markedStatus = studentAttendance.status && getStatus(studentAttendance.status);
+                const needsReason = markedStatus && !markedStatus.counts_as_present;
+                const isFocused = keyboardMode && index === Math.min(focusedIndex, students.length - 1);
                 
                 return (
                   <div
                     key={student.id}
+                    ref={element => { studentRefs.current[student.id] = element; }}
+                    onClick={() => keyboardMode && setFocusedIndex(index)}
                     style={{
-                      border: '1px solid #e0e0e0',
+                      outline: isFocused ? '3px solid #2196F3' : 'none',
+                      outlineOffset: '2px',
+                      border: copiedStudents[student.id] ? '2px dashed #FFC107' : '1px solid #e0e0e0',
                       borderRadius: '8px',
                       padding: '20px',
                       marginBottom: '10px',
-                      backgroundColor: getStatusBgColor(studentAttendance.status),
+                      backgroundColor: getStatusBgColor(markedStatus),
                       transition: 'all 0.2s ease',
-                      position: 'relative'
+                      position: 'relative',
+                      boxShadow: hasConflict
+                        ? '0 0 0 2px #F44336'
+                        : remoteChange ? '0 0 0 2px #9C27B0' : 'none'
                     }}
                   >
+                    {remoteChange && (
+                      <div style={{
+                        position: 'absolute',
+                        top: '10px',
+                        right: isExisting ? '75px' : '15px',
+                        backgroundColor: hasConflict ? '#F44336' : '#9C27B0',
+                        color: 'white',
+                        fontSize: '10px',
+                        padding: '2px 6px',
+                        borderRadius: '10px',
+                        fontWeight: 'bold'
+                      }}>
+                        {hasConflict
+                          ? `CONFLICT: NOW ${getStatus(remoteChange.status).label.toUpperCase()}`
+                          : 'UPDATED BY ANOTHER USER'}
+                      </div>
+                    )}
+
                     {isExisting && (
                       <div style={{
                         position: 'absolute',
@@ -707,8 +2092,8 @@ const AttendancePage = () => {
                       gap: '20px',
                       alignItems: 'start'
                     }}>
-                      {/* Student Info */}
-                      <div>
+                      {/* Student Info. Locked registers only take absence reason changes. */}
+                      <div style={{ minWidth: 0 }}>
                         <h4 style={{
                           margin: '0 0 5px 0',
                           color: '#333',
@@ -716,6 +2101,22 @@ const AttendancePage = () => {
                           fontWeight: 'bold'
                         }}>
                           {student.first_name} {student.last_name}
+                          {copiedStudents[student.id] && (
+                            <span
+                              title="Copied from an earlier register and not saved yet"
+                              style={{
+                                backgroundColor: '#FFC107',
+                                color: '#333',
+                                fontSize: '10px',
+                                padding: '2px 6px',
+                                borderRadius: '10px',
+                                marginLeft: '8px',
+                                verticalAlign: 'middle'
+                              }}
+                            >
+                              COPIED FROM {copiedFrom}
+                            </span>
+                          )}
                         </h4>
                         <p style={{
                           margin: '0 0 15px 0',
@@ -732,36 +2133,123 @@ const AttendancePage = () => {
                           marginBottom: '15px',
                           flexWrap: 'wrap'
                         }}>
-                          {['present', 'late', 'absent'].map(status => (
-                            <button
-                              key={status}
-                              onClick={() => handleAttendanceChange(student.id, 'status', status)}
+                          {activeStatuses.map(status => {
+                            const isSelected = studentAttendance.status === status.code;
+                            return (
+                              <button
+                                key={status.code}
+                                onClick={() => handleAttendanceChange(student.id, 'status', status.code)}
+                                disabled={registerLock.locked}
+                                title={`${status.label} (${status.short_code})`}
+                                style={{
+                                  backgroundColor: isSelected ? status.color : '#f5f5f5',
+                                  color: isSelected ? 'white' : '#666',
+                                  border: `2px solid ${isSelected ? status.color : '#e0e0e0'}`,
+                                  padding: '8px 16px',
+                                  borderRadius: '20px',
+                                  cursor: registerLock.locked ? 'not-allowed' : 'pointer',
+                                  fontSize: '14px',
+                                  fontWeight: 'bold',
+                                  textTransform: 'uppercase',
+                                  transition: 'all 0.2s ease',
+                                  minWidth: '80px'
+                                }}
+                              >
+                                {status.icon} {status.label}
+                              </button>
+                            );
+                          })}
+                        </div>
+
+                        {/* Arrival Time */}
+                        {markedStatus?.captures_arrival_time && (
+                          <div style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '10px',
+                            marginBottom: '10px',
+                            flexWrap: 'wrap'
+                          }}>
+                            <label style={{ color: '#333', fontSize: '14px', fontWeight: 'bold' }}>
+                              Arrived at:
+                            </label>
+                            <input
+                              type="time"
+                              value={studentAttendance.arrival_time || ''}
+                              onChange={(e) => handleAttendanceChange(student.id, 'arrival_time', e.target.value)}
+                              disabled={registerLock.locked}
+                              style={{
+                                padding: '6px 10px',
+                                border: '1px solid #ddd',
+                                borderRadius: '6px',
+                                fontSize: '14px'
+                              }}
+                            />
+                            {!dirtyStudents[student.id] && studentAttendance.minutes_late != null && (
+                              <span style={{ color: markedStatus.color, fontSize: '14px', fontWeight: 'bold' }}>
+                                {studentAttendance.minutes_late} min late
+                              </span>
+                            )}
+                          </div>
+                        )}
+
+                        {/* Absence Reason */}
+                        {needsReason && (
+                          <div style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '10px',
+                            marginBottom: '10px',
+                            flexWrap: 'wrap'
+                          }}>
+                            <label style={{ color: '#333', fontSize: '14px', fontWeight: 'bold' }}>
+                              Reason:
+                            </label>
+                            <select
+                              value={studentAttendance.absence_reason_id || ''}
+                              onChange={(e) => handleAttendanceChange(student.id, 'absence_reason_id', e.target.value)}
                               style={{
-                                backgroundColor: studentAttendance.status === status ? getStatusColor(status) : '#f5f5f5',
-                                color: studentAttendance.status === status ? 'white' : '#666',
-                                border: `2px solid ${studentAttendance.status === status ? getStatusColor(status) : '#e0e0e0'}`,
-                                padding: '8px 16px',
-                                borderRadius: '20px',
-                                cursor: 'pointer',
-                                fontSize: '14px',
-                                fontWeight: 'bold',
-                                textTransform: 'uppercase',
-                                transition: 'all 0.2s ease',
-                                minWidth: '80px'
+                                padding: '6px 10px',
+                                border: '1px solid #ddd',
+                                borderRadius: '6px',
+                                fontSize: '14px'
                               }}
                             >
-                              {status === 'present' && '✓ Present'}
-                              {status === 'late' && '⏰ Late'}
-                              {status === 'absent' && '✗ Absent'}
-                            </button>
-                          ))}
-                        </div>
+                              <option value="">Not yet known</option>
+                              {activeReasons.map(reason => (
+                                <option key={reason.id} value={reason.id}>
+                                  {reason.label}
+                                </option>
+                              ))}
+                              {studentAttendance.absence_reason_id &&
+                                !activeReasons.some(reason => reason.id === studentAttendance.absence_reason_id) && (
+                                <option value={studentAttendance.absence_reason_id}>
+                                  {getReasonLabel(studentAttendance.absence_reason_id)}
+                                </option>
+                              )}
+                            </select>
+                            {studentAttendance.is_excused && (
+                              <span style={{
+                                backgroundColor: '#2196F3',
+                                color: 'white',
+                                fontSize: '10px',
+                                padding: '2px 6px',
+                                borderRadius: '10px',
+                                fontWeight: 'bold'
+                              }}>
+                                EXCUSED
+                              </span>
+                            )}
+                          </div>
+                        )}
 
                         {/* Notes */}
                         <textarea
+                          ref={element => { notesRefs.current[student.id] = element; }}
                           placeholder="Add notes (optional)..."
                           value={studentAttendance.notes || ''}
                           onChange={(e) => handleAttendanceChange(student.id, 'notes', e.target.value)}
+                          disabled={registerLock.locked}
                           style={{
                             width: '100%',
                             minHeight: '60px',
@@ -775,22 +2263,119 @@ const AttendancePage = () => {
                         />
                       </div>
 
-                      {/* Student Number Badge */}
                       <div style={{
-                        textAlign: 'center',
-                        padding: '10px',
-                        backgroundColor: 'white',
-                        borderRadius: '50%',
-                        minWidth: '50px',
-                        height: '50px',
+                        position: 'relative',
                         display: 'flex',
+                        flexDirection: 'column',
                         alignItems: 'center',
-                        justifyContent: 'center',
-                        fontWeight: 'bold',
-                        color: '#666',
-                        border: '2px solid #e0e0e0'
+                        gap: '10px'
                       }}>
-                        {index + 1}
+                        {/* Student Number Badge */}
+                        <div style={{
+                          textAlign: 'center',
+                          padding: '10px',
+                          backgroundColor: 'white',
+                          borderRadius: '50%',
+                          minWidth: '50px',
+                          height: '50px',
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'center',
+                          fontWeight: 'bold',
+                          color: '#666',
+                          border: '2px solid #e0e0e0'
+                        }}>
+                          {index + 1}
+                        </div>
+
+                        {isExisting && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleToggleHistory(student);
+                            }}
+                            title="Show the change history for this mark"
+                            style={{
+                              backgroundColor: 'white',
+                              color: '#666',
+                              border: '1px solid #ddd',
+                              padding: '4px 8px',
+                              borderRadius: '6px',
+                              cursor: 'pointer',
+                              fontSize: '12px'
+                            }}
+                          >
+                            🕘 History
+                          </button>
+                        )}
+
+                        {/* Change History Popover */}
+                        {historyPopover && historyPopover.recordId === isExisting && (
+                          <div
+                            onClick={(e) => e.stopPropagation()}
+                            style={{
+                              position: 'absolute',
+                              top: '100%',
+                              right: 0,
+                              zIndex: 10,
+                              width: '320px',
+                              maxHeight: '300px',
+                              overflowY: 'auto',
+                              backgroundColor: 'white',
+                              border: '1px solid #e0e0e0',
+                              borderRadius: '8px',
+                              boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+                              padding: '15px',
+                              marginTop: '5px',
+                              textAlign: 'left'
+                            }}
+                          >
+                            <div style={{
+                              display: 'flex',
+                              justifyContent: 'space-between',
+                              alignItems: 'center',
+                              marginBottom: '10px'
+                            }}>
+                              <strong style={{ color: '#333', fontSize: '14px' }}>
+                                History for {student.first_name}
+                              </strong>
+                              <button
+                                onClick={() => setHistoryPopover(null)}
+                                aria-label="Close history"
+                                style={{
+                                  background: 'none',
+                                  border: 'none',
+                                  cursor: 'pointer',
+                                  fontSize: '16px',
+                                  color: '#666'
+                                }}
+                              >
+                                ×
+                              </button>
+                            </div>
+
+                            {historyPopover.loading ? (
+                              <p style={{ margin: 0, color: '#666', fontSize: '13px' }}>Loading history...</p>
+                            ) : historyPopover.entries.length === 0 ? (
+                              <p style={{ margin: 0, color: '#666', fontSize: '13px' }}>No changes recorded.</p>
+                            ) : (
+                              historyPopover.entries.map(entry => (
+                                <div key={entry.id} style={{
+                                  borderTop: '1px solid #f0f0f0',
+                                  padding: '8px 0',
+                                  fontSize: '13px'
+                                }}>
+                                  <div style={{ color: '#666', marginBottom: '4px' }}>
+                                    {new Date(entry.changed_at).toLocaleString('en-GB')} · {entry.changed_by_name || 'System'}
+                                  </div>
+                                  {describeHistoryEntry(entry).map(change => (
+                                    <div key={change} style={{ color: '#333' }}>{change}</div>
+                                  ))}
+                                </div>
+                              ))
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -811,7 +2396,7 @@ const AttendancePage = () => {
                 color: '#666',
                 fontSize: '14px'
               }}>
-                {stats.present + stats.late + stats.absent} of {students.length} students marked
+                {students.length - stats.unmarked} of {students.length} students marked
                 {hasChanges && (
                   <span style={{
                     color: '#FF9800',
@@ -899,9 +2484,12 @@ const AttendancePage = () => {
         }}>
           <li>Use the "Mark All" buttons for quick bulk operations</li>
           <li>Changes are highlighted with an orange dot until saved</li>
+          <li>Pick the session (e.g. AM or PM) next to the date; each session has its own register</li>
           <li>You can update attendance for the same day by re-saving</li>
           <li>Notes are optional but helpful for tracking specific incidents</li>
           <li>All attendance records are automatically timestamped</li>
+          <li>Marks saved by another teacher while you have the register open appear live and are highlighted in purple</li>
+          <li>If you lose connection, saved registers are kept on this device and synced when you are back online</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,722 @@
+import { useState, useEffect, useContext, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router';
+import { AuthContext } from '../../context/AuthContext';
+import { useAttendanceStatuses } from '../../hooks/useAttendanceStatuses';
+import supabase, { fetchAllRows } from '../../utils/supabase';
+import { saveAttendanceRecords, isRegisterLockedError } from '../../utils/attendance';
+import { getStatusBgColor } from '../../utils/attendanceStatus';
+import { findStatusForKey, getStatusKeys, loadKeyBindings } from '../../utils/keyboardShortcuts';
+import { ASSIGNMENT_ROLE_LABELS, fetchAssignedClasses } from '../../utils/classes';
+import {
+  addDays,
+  addMonths,
+  formatShortDate,
+  getMonthDates,
+  getToday,
+  getWeekDates
+} from '../../utils/dates';
+import toast from 'react-hot-toast';
+
+const getCellKey = (studentId, date, sessionId) => `${studentId}|${date}|${sessionId}`;
+
+// A week or month of a class register on one screen, laid out like the paper
+// register: students as rows, one column per date and session.
+const RegisterGridPage = () => {
+  const { classId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { user } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const { activeStatuses, getStatus } = useAttendanceStatuses();
+
+  const [selectedClass, setSelectedClass] = useState(null);
+  const [classes, setClasses] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [view, setView] = useState('week');
+  const [anchorDate, setAnchorDate] = useState(searchParams.get('date') || getToday());
+  // Marks as stored in the database, keyed by student, date and session
+  const [savedMarks, setSavedMarks] = useState({});
+  // Marks as shown in the grid, including unsaved edits
+  const [marks, setMarks] = useState({});
+  // Dates whose register has been finalised or locked automatically
+  const [lockedDates, setLockedDates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [focusedCell, setFocusedCell] = useState({ row: 0, col: 0 });
+  // Status keys are shared with keyboard mode on the daily register
+  const [keyBindings] = useState(loadKeyBindings);
+  const cellRefs = useRef({});
+
+  const today = getToday();
+  const isReadOnlyDate = (date) => date > today || lockedDates.includes(date);
+  const dates = view === 'week' ? getWeekDates(anchorDate) : getMonthDates(anchorDate);
+  const columns = dates.flatMap(date =>
+    sessions.map(session => ({ date, session }))
+  );
+  const dirtyKeys = Object.keys(marks).filter(key => marks[key] !== savedMarks[key]);
+  const hasChanges = dirtyKeys.length > 0;
+  const statusKeys = getStatusKeys(keyBindings, activeStatuses);
+
+  // Load classes and sessions on component mount
+  useEffect(() => {
+    const loadClassesAndSessions = async () => {
+      try {
+        const [classesResult, sessionsResult] = await Promise.all([
+          fetchAssignedClasses(user.id),
+          supabase
+            .from('attendance_sessions')
+            .select('id, name, short_name, sort_order')
+            .eq('is_active', true)
+            .order('sort_order', { ascending: true })
+        ]);
+
+        if (classesResult.error || sessionsResult.error) {
+          console.error('Error loading register grid:', classesResult.error || sessionsResult.error);
+          toast.error('Failed to load classes');
+          setLoading(false);
+          return;
+        }
+
+        setClasses(classesResult.data || []);
+        setSessions(sessionsResult.data || []);
+
+        if (classId) {
+          const foundClass = (classesResult.data || []).find(cls => cls.id === classId);
+          if (foundClass) {
+            setSelectedClass(foundClass);
+          } else {
+            toast.error('Class not found');
+            navigate('/teacher');
+          }
+        } else {
+          setLoading(false);
+        }
+      } catch (error) {
+        console.error('Error in loadClassesAndSessions:', error);
+        toast.error('Failed to load classes');
+        setLoading(false);
+      }
+    };
+
+    loadClassesAndSessions();
+  }, [classId, navigate, user]);
+
+  const firstDate = dates[0];
+  const lastDate = dates[dates.length - 1];
+
+  // Load students and the marks for the visible period
+  useEffect(() => {
+    const loadRegister = async () => {
+      if (!selectedClass) return;
+
+      setLoading(true);
+      try {
+        const [studentsResult, attendanceResult, lockedResult] = await Promise.all([
+          supabase
+            .from('students')
+            .select('id, student_number, first_name, last_name')
+            .eq('class_id', selectedClass.id)
+            .eq('is_active', true)
+            .order('last_name', { ascending: true }),
+          // A month of marks for a large class can exceed one page of results
+          fetchAllRows(() => supabase
+            .from('attendance_records')
+            .select('student_id, attendance_date, session_id, status')
+            .eq('class_id', selectedClass.id)
+            .gte('attendance_date', firstDate)
+            .lte('attendance_date', lastDate)
+            .order('id', { ascending: true })),
+          supabase.rpc('locked_register_dates', {
+            p_class_id: selectedClass.id,
+            p_from: firstDate,
+            p_to: lastDate
+          })
+        ]);
+
+        const loadError = studentsResult.error || attendanceResult.error || lockedResult.error;
+        if (loadError) {
+          console.error('Error loading register:', loadError);
+          toast.error('Failed to load register');
+          return;
+        }
+
+        const markMap = {};
+        (attendanceResult.data || []).forEach(record => {
+          markMap[getCellKey(record.student_id, record.attendance_date, record.session_id)] = record.status;
+        });
+
+        setStudents(studentsResult.data || []);
+        setSavedMarks(markMap);
+        setMarks(markMap);
+        setLockedDates(lockedResult.data || []);
+        setFocusedCell({ row: 0, col: 0 });
+
+      } catch (error) {
+        console.error('Error in loadRegister:', error);
+        toast.error('Failed to load register');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRegister();
+  }, [selectedClass, firstDate, lastDate]);
+
+  const confirmDiscardChanges = () =>
+    !hasChanges || window.confirm(
+      'You have unsaved changes. Are you sure you want to leave this period? All unsaved changes will be lost.'
+    );
+
+  const handleClassChange = (newClassId) => {
+    if (!confirmDiscardChanges()) return;
+
+    setSelectedClass(classes.find(cls => cls.id === newClassId) || null);
+    navigate(`/teacher/register/${newClassId}`, { replace: true });
+  };
+
+  const handleViewChange = (newView) => {
+    if (newView === view || !confirmDiscardChanges()) return;
+    setView(newView);
+  };
+
+  const handleMovePeriod = (direction) => {
+    if (!confirmDiscardChanges()) return;
+
+    if (direction === 0) {
+      setAnchorDate(getToday());
+    } else if (view === 'week') {
+      setAnchorDate(prev => addDays(prev, direction * 7));
+    } else {
+      setAnchorDate(prev => addMonths(prev, direction));
+    }
+  };
+
+  const handleOpenDailyRegister = () => {
+    if (!confirmDiscardChanges()) return;
+    navigate(`/teacher/attendance/${selectedClass?.id || ''}`);
+  };
+
+  const setCellMark = (row, col, status) => {
+    const { date, session } = columns[col];
+    if (isReadOnlyDate(date)) return;
+
+    const key = getCellKey(students[row].id, date, session.id);
+    setMarks(prev => ({ ...prev, [key]: status }));
+  };
+
+  // Clicking or pressing space steps through the active statuses
+  const cycleCellMark = (row, col) => {
+    const { date, session } = columns[col];
+    const current = marks[getCellKey(students[row].id, date, session.id)];
+    const index = activeStatuses.findIndex(status => status.code === current);
+    const next = activeStatuses[(index + 1) % activeStatuses.length];
+    if (next) setCellMark(row, col, next.code);
+  };
+
+  const moveFocus = (row, col) => {
+    const next = {
+      row: Math.min(Math.max(row, 0), students.length - 1),
+      col: Math.min(Math.max(col, 0), columns.length - 1)
+    };
+    setFocusedCell(next);
+    cellRefs.current[`${next.row}:${next.col}`]?.focus();
+  };
+
+  const handleCellKeyDown = (e, row, col) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        moveFocus(row, col - 1);
+        break;
+      case 'ArrowRight':
+        moveFocus(row, col + 1);
+        break;
+      case 'ArrowUp':
+        moveFocus(row - 1, col);
+        break;
+      case 'ArrowDown':
+      case 'Enter':
+        moveFocus(row + 1, col);
+        break;
+      case 'Home':
+        moveFocus(row, 0);
+        break;
+      case 'End':
+        moveFocus(row, columns.length - 1);
+        break;
+      case ' ':
+        cycleCellMark(row, col);
+        break;
+      case 'Delete':
+      case 'Backspace': {
+        // Undo the unsaved edit; saved marks cannot be removed by teachers
+        const { date, session } = columns[col];
+        const key = getCellKey(students[row].id, date, session.id);
+        setMarks(prev => ({ ...prev, [key]: savedMarks[key] }));
+        break;
+      }
+      default: {
+        const status = findStatusForKey(keyBindings, activeStatuses, e.key);
+        if (!status) return;
+
+        setCellMark(row, col, status.code);
+        moveFocus(row, col + 1);
+      }
+    }
+
+    e.preventDefault();
+  };
+
+  const handleSave = async () => {
+    if (!selectedClass || !user) {
+      toast.error('Missing required data');
+      return;
+    }
+
+    const records = dirtyKeys
+      .filter(key => marks[key])
+      .map(key => {
+        const [studentId, date, sessionId] = key.split('|');
+        return {
+          student_id: studentId,
+          class_id: selectedClass.id,
+          teacher_id: user.id,
+          attendance_date: date,
+          session_id: sessionId,
+          status: marks[key]
+        };
+      });
+
+    if (records.length === 0) {
+      toast.error('No changes to save');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const savedRecords = await saveAttendanceRecords(records);
+
+      const savedMap = {};
+      savedRecords.forEach(record => {
+        savedMap[getCellKey(record.student_id, record.attendance_date, record.session_id)] = record.status;
+      });
+      setSavedMarks(prev => ({ ...prev, ...savedMap }));
+      setMarks(prev => ({ ...prev, ...savedMap }));
+
+      toast.success(`Attendance saved successfully! ${savedRecords.length} records processed.`);
+
+    } catch (error) {
+      console.error('Error saving register grid:', error);
+      if (isRegisterLockedError(error)) {
+        toast.error('A register in this period has been locked. Reload to see the latest marks.');
+      } else {
+        toast.error(navigator.onLine
+          ? 'Failed to save attendance. Please try again.'
+          : 'You are offline. Use the daily register to record attendance offline.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getRowTotals = (student) => {
+    let attended = 0;
+    let marked = 0;
+    columns.forEach(({ date, session }) => {
+      const code = marks[getCellKey(student.id, date, session.id)];
+      if (!code) return;
+      marked++;
+      if (getStatus(code).counts_as_present) attended++;
+    });
+    return { attended, marked };
+  };
+
+  const getColumnAttended = ({ date, session }) =>
+    students.filter(student => {
+      const code = marks[getCellKey(student.id, date, session.id)];
+      return code && getStatus(code).counts_as_present;
+    }).length;
+
+  const periodLabel = view === 'week'
+    ? `${formatShortDate(firstDate, { day: 'numeric', month: 'short' })} – ${formatShortDate(lastDate, { day: 'numeric', month: 'short', year: 'numeric' })}`
+    : formatShortDate(anchorDate, { month: 'long', year: 'numeric' });
+
+  const cellBorder = '1px solid #e0e0e0';
+
+  return (
+    <div style={{
+      padding: '20px',
+      backgroundColor: '#f5f5f5',
+      minHeight: '100vh'
+    }}>
+      {/* Header */}
+      <div style={{
+        backgroundColor: 'white',
+        padding: '25px',
+        borderRadius: '10px',
+        marginBottom: '20px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '20px',
+          flexWrap: 'wrap',
+          gap: '15px'
+        }}>
+          <div>
+            <h1 style={{
+              color: '#333',
+              margin: '0 0 10px 0',
+              fontSize: '28px',
+              fontWeight: 'bold'
+            }}>
+              📅 Register Grid
+            </h1>
+            <p style={{
+              color: '#666',
+              margin: 0,
+              fontSize: '16px'
+            }}>
+              {selectedClass ? `${selectedClass.name} • ${periodLabel}` : 'Select a class to get started'}
+            </p>
+          </div>
+
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+            {['week', 'month'].map(option => (
+              <button
+                key={option}
+                onClick={() => handleViewChange(option)}
+                style={{
+                  backgroundColor: view === option ? '#4CAF50' : '#f5f5f5',
+                  color: view === option ? 'white' : '#666',
+                  border: 'none',
+                  padding: '10px 16px',
+                  borderRadius: '6px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: 'bold',
+                  textTransform: 'capitalize'
+                }}
+              >
+                {option}
+              </button>
+            ))}
+            <button
+              onClick={() => handleMovePeriod(-1)}
+              aria-label={`Previous ${view}`}
+              style={{
+                backgroundColor: '#f5f5f5',
+                color: '#333',
+                border: '1px solid #ddd',
+                padding: '9px 14px',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+            >
+              ‹
+            </button>
+            <button
+              onClick={() => handleMovePeriod(0)}
+              style={{
+                backgroundColor: '#f5f5f5',
+                color: '#333',
+                border: '1px solid #ddd',
+                padding: '9px 14px',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+            >
+              Today
+            </button>
+            <button
+              onClick={() => handleMovePeriod(1)}
+              aria-label={`Next ${view}`}
+              style={{
+                backgroundColor: '#f5f5f5',
+                color: '#333',
+                border: '1px solid #ddd',
+                padding: '9px 14px',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+            >
+              ›
+            </button>
+            <button
+              onClick={handleOpenDailyRegister}
+              style={{
+                backgroundColor: '#6c757d',
+                color: 'white',
+                border: 'none',
+                padding: '10px 20px',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '14px',
+                fontWeight: 'bold'
+              }}
+            >
+              📋 Daily Register
+            </button>
+          </div>
+        </div>
+
+        {/* Class Selection */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '15px',
+          flexWrap: 'wrap'
+        }}>
+          <label style={{
+            color: '#333',
+            fontWeight: 'bold',
+            fontSize: '16px'
+          }}>
+            Class:
+          </label>
+          <select
+            value={selectedClass?.id || ''}
+            onChange={(e) => handleClassChange(e.target.value)}
+            style={{
+              padding: '10px 15px',
+              border: '1px solid #ddd',
+              borderRadius: '6px',
+              fontSize: '16px',
+              minWidth: '200px'
+            }}
+          >
+            <option value="">Select a class...</option>
+            {classes.map(cls => (
+              <option key={cls.id} value={cls.id}>
+                {cls.name}
+                {cls.assignment_role && cls.assignment_role !== 'lead' && ` (${ASSIGNMENT_ROLE_LABELS[cls.assignment_role]})`}
+              </option>
+            ))}
+          </select>
+
+          {selectedClass && (
+            <button
+              onClick={handleSave}
+              disabled={saving || !hasChanges}
+              style={{
+                marginLeft: 'auto',
+                backgroundColor: saving || !hasChanges ? '#ccc' : '#4CAF50',
+                color: 'white',
+                border: 'none',
+                padding: '12px 24px',
+                borderRadius: '6px',
+                cursor: saving || !hasChanges ? 'not-allowed' : 'pointer',
+                fontSize: '16px',
+                fontWeight: 'bold'
+              }}
+            >
+              {saving ? 'Saving...' : `💾 Save${hasChanges ? ` (${dirtyKeys.length})` : ''}`}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!selectedClass ? (
+        <div style={{
+          backgroundColor: 'white',
+          padding: '40px',
+          borderRadius: '10px',
+          textAlign: 'center',
+          boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+        }}>
+          <h3 style={{ color: '#666', marginBottom: '15px' }}>
+            👆 Please select a class to view its register
+          </h3>
+        </div>
+      ) : loading ? (
+        <div style={{
+          backgroundColor: 'white',
+          padding: '40px',
+          borderRadius: '10px',
+          textAlign: 'center',
+          color: '#666',
+          boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+        }}>
+          Loading register...
+        </div>
+      ) : (
+        <div style={{
+          backgroundColor: 'white',
+          padding: '20px',
+          borderRadius: '10px',
+          boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
+        }}>
+          {/* Legend */}
+          <div style={{
+            display: 'flex',
+            gap: '15px',
+            flexWrap: 'wrap',
+            alignItems: 'center',
+            marginBottom: '15px',
+            fontSize: '13px',
+            color: '#666'
+          }}>
+            {activeStatuses.map(status => (
+              <span key={status.code} style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+                <span style={{
+                  backgroundColor: status.color,
+                  color: 'white',
+                  fontWeight: 'bold',
+                  borderRadius: '4px',
+                  padding: '1px 6px'
+                }}>
+                  {status.short_code}
+                </span>
+                {status.label}
+                {statusKeys[status.code] && (
+                  <kbd style={{
+                    backgroundColor: '#f5f5f5',
+                    border: '1px solid #ddd',
+                    borderRadius: '4px',
+                    padding: '0 5px'
+                  }}>
+                    {statusKeys[status.code].toUpperCase()}
+                  </kbd>
+                )}
+              </span>
+            ))}
+            <span style={{ marginLeft: 'auto' }}>
+              Type a status key to mark and move on • Space cycles • Arrows move • Delete undoes
+            </span>
+          </div>
+
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{
+              borderCollapse: 'collapse',
+              fontSize: '13px',
+              color: '#333',
+              width: '100%'
+            }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f8f9fa' }}>
+                  <th rowSpan={2} style={{ padding: '8px', border: cellBorder, textAlign: 'left', minWidth: '160px' }}>
+                    Student
+                  </th>
+                  {dates.map(date => (
+                    <th
+                      key={date}
+                      colSpan={sessions.length}
+                      style={{
+                        padding: '6px',
+                        border: cellBorder,
+                        backgroundColor: date === today ? '#e8f5e9' : undefined,
+                        whiteSpace: 'nowrap'
+                      }}
+                    >
+                      {lockedDates.includes(date) && <span title="Register locked">🔒 </span>}
+                      {formatShortDate(date, { weekday: 'short', day: 'numeric' })}
+                    </th>
+                  ))}
+                  <th rowSpan={2} style={{ padding: '8px', border: cellBorder }}>Total</th>
+                </tr>
+                <tr style={{ backgroundColor: '#f8f9fa' }}>
+                  {columns.map(({ date, session }) => (
+                    <th
+                      key={`${date}|${session.id}`}
+                      title={session.name}
+                      style={{ padding: '4px', border: cellBorder, fontSize: '11px', color: '#666' }}
+                    >
+                      {session.short_name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {students.map((student, row) => {
+                  const totals = getRowTotals(student);
+                  return (
+                    <tr key={student.id}>
+                      <td style={{ padding: '6px 8px', border: cellBorder, whiteSpace: 'nowrap' }}>
+                        {student.last_name}, {student.first_name}
+                      </td>
+                      {columns.map(({ date, session }, col) => {
+                        const key = getCellKey(student.id, date, session.id);
+                        const status = marks[key] ? getStatus(marks[key]) : null;
+                        const isDirty = marks[key] !== savedMarks[key];
+                        const isFuture = date > today;
+                        const isReadOnly = isReadOnlyDate(date);
+                        const isFocused = focusedCell.row === row && focusedCell.col === col;
+
+                        return (
+                          <td
+                            key={key}
+                            ref={element => { cellRefs.current[`${row}:${col}`] = element; }}
+                            tabIndex={isFocused ? 0 : -1}
+                            role="gridcell"
+                            aria-label={`${student.first_name} ${student.last_name}, ${formatShortDate(date)} ${session.name}: ${status?.label || 'not marked'}`}
+                            onClick={() => {
+                              if (isFocused) cycleCellMark(row, col);
+                              setFocusedCell({ row, col });
+                            }}
+                            onKeyDown={(e) => handleCellKeyDown(e, row, col)}
+                            style={{
+                              border: cellBorder,
+                              outline: isFocused ? '2px solid #2196F3' : 'none',
+                              outlineOffset: '-2px',
+                              textAlign: 'center',
+                              padding: '6px 4px',
+                              minWidth: '28px',
+                              fontWeight: 'bold',
+                              cursor: isReadOnly ? 'not-allowed' : 'pointer',
+                              color: status ? status.color : '#ccc',
+                              backgroundColor: isReadOnly ? '#fafafa' : getStatusBgColor(status),
+                              fontStyle: isDirty ? 'italic' : 'normal',
+                              textDecoration: isDirty ? 'underline' : 'none'
+                            }}
+                          >
+                            {status ? status.short_code : (isFuture ? '' : '·')}
+                          </td>
+                        );
+                      })}
+                      <td style={{ padding: '6px 8px', border: cellBorder, textAlign: 'center', whiteSpace: 'nowrap' }}>
+                        <strong>{totals.attended}</strong> / {totals.marked}
+                        {totals.marked > 0 && (
+                          <span style={{ color: '#666', marginLeft: '5px' }}>
+                            ({Math.round((totals.attended / totals.marked) * 100)}%)
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+              <tfoot>
+                <tr style={{ backgroundColor: '#f8f9fa' }}>
+                  <td style={{ padding: '6px 8px', border: cellBorder, fontWeight: 'bold' }}>Attending</td>
+                  {columns.map(column => (
+                    <td
+                      key={`${column.date}|${column.session.id}`}
+                      style={{ padding: '6px 4px', border: cellBorder, textAlign: 'center', color: '#666' }}
+                    >
+                      {column.date > today ? '' : getColumnAttended(column)}
+                    </td>
+                  ))}
+                  <td style={{ border: cellBorder }}></td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          {hasChanges && (
+            <p style={{ color: '#FF9800', fontSize: '13px', margin: '10px 0 0 0', fontWeight: 'bold' }}>
+              Underlined marks are not saved yet.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RegisterGridPage;
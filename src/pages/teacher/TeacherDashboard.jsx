@@ -1,16 +1,23 @@
 import { useState, useEffect, useContext } from 'react';
 import { useNavigate } from 'react-router';
 import { AuthContext } from '../../context/AuthContext';
+import { useAttendanceStatuses } from '../../hooks/useAttendanceStatuses';
 import supabase from '../../utils/supabase';
+import { countByStatus, getStatusBgColor } from '../../utils/attendanceStatus';
+import { ASSIGNMENT_ROLE_LABELS, fetchAssignedClasses } from '../../utils/classes';
 import toast from 'react-hot-toast';
 
 const TeacherDashboard = () => {
   const { user } = useContext(AuthContext);
   const navigate = useNavigate();
+  const { statuses, activeStatuses, getStatus } = useAttendanceStatuses();
   const [profile, setProfile] = useState(null);
   const [classes, setClasses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [recentAttendance, setRecentAttendance] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [dailySummary, setDailySummary] = useState([]);
+  const [sessionSummary, setSessionSummary] = useState([]);
 
   useEffect(() => {
     const loadDashboardData = async () => {
@@ -44,30 +51,20 @@ const TeacherDashboard = () => {
 
         setProfile(profileData);
 
-        // Load all available classes
-        const { data: classesData, error: classesError } = await supabase
-          .from('classes')
-          .select(`
-            id,
-            name,
-            year_level,
-            section,
-            is_active,
-            students!inner (
-              id
-            )
-          `)
-          .eq('is_active', true)
-          .order('year_level', { ascending: true });
+        // Load the classes this teacher is assigned to
+        const { data: classesData, error: classesError } = await fetchAssignedClasses(
+          user.id,
+          'id, name, year_level, section, is_active, students (id, is_active)'
+        );
 
         if (classesError) {
           console.error('Error loading classes:', classesError);
           toast.error('Failed to load classes');
         } else {
-          // Transform the data to include student count
+          // Transform the data to include active student count
           const classesWithCounts = classesData.map(cls => ({
             ...cls,
-            student_count: cls.students?.length || 0,
+            student_count: cls.students?.filter(student => student.is_active).length || 0,
             students: undefined // Remove nested students to reduce payload
           }));
           setClasses(classesWithCounts);
@@ -83,7 +80,11 @@ const TeacherDashboard = () => {
             id,
             attendance_date,
             status,
+            is_cover,
             created_at,
+            attendance_sessions (
+              short_name
+            ),
             students (
               first_name,
               last_name,
@@ -104,6 +105,32 @@ const TeacherDashboard = () => {
           setRecentAttendance(attendanceData || []);
         }
 
+        // Load per-day and per-session totals for the classes this teacher can see
+        const [sessionsResult, dailyResult, sessionSummaryResult] = await Promise.all([
+          supabase
+            .from('attendance_sessions')
+            .select('id, name, short_name, sort_order')
+            .eq('is_active', true)
+            .order('sort_order', { ascending: true }),
+          supabase
+            .from('attendance_daily_summary')
+            .select('*')
+            .gte('attendance_date', sevenDaysAgo.toISOString().split('T')[0])
+            .order('attendance_date', { ascending: false }),
+          supabase
+            .from('attendance_session_summary')
+            .select('*')
+            .gte('attendance_date', sevenDaysAgo.toISOString().split('T')[0])
+        ]);
+
+        if (sessionsResult.error || dailyResult.error || sessionSummaryResult.error) {
+          console.error('Error loading attendance summaries:', sessionsResult.error || dailyResult.error || sessionSummaryResult.error);
+        } else {
+          setSessions(sessionsResult.data || []);
+          setDailySummary(dailyResult.data || []);
+          setSessionSummary(sessionSummaryResult.data || []);
+        }
+
       } catch (error) {
         console.error('Error in loadDashboardData:', error);
         toast.error('Failed to load dashboard data');
@@ -127,23 +154,13 @@ const TeacherDashboard = () => {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'present': return '#4CAF50';
-      case 'absent': return '#F44336';
-      case 'late': return '#FF9800';
-      default: return '#9E9E9E';
-    }
-  };
+  const getSessionTotals = (classId, date, sessionId) =>
+    sessionSummary.find(row =>
+      row.class_id === classId && row.attendance_date === date && row.session_id === sessionId
+    );
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'present': return '✓';
-      case 'absent': return '✗';
-      case 'late': return '⏰';
-      default: return '?';
-    }
-  };
+  const getClassName = (classId) =>
+    classes.find(cls => cls.id === classId)?.name || profile?.classes?.name || 'Class';
 
   if (loading) {
     return (
@@ -173,6 +190,9 @@ const TeacherDashboard = () => {
     );
   }
 
+  const recentStats = countByStatus(statuses, recentAttendance.map(record => record.status));
+  const lateMinutesTotal = dailySummary.reduce((total, day) => total + Number(day.late_minutes || 0), 0);
+
   return (
     <div style={{
       padding: '20px',
@@ -265,7 +285,7 @@ const TeacherDashboard = () => {
         gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
         gap: '20px'
       }}>
-        {/* Available Classes */}
+        {/* My Classes */}
         <div style={{
           backgroundColor: 'white',
           padding: '25px',
@@ -281,7 +301,7 @@ const TeacherDashboard = () => {
             alignItems: 'center',
             gap: '10px'
           }}>
-            🏫 Available Classes
+            🏫 My Classes
           </h2>
 
           <div style={{
@@ -290,7 +310,7 @@ const TeacherDashboard = () => {
           }}>
             {classes.length === 0 ? (
               <p style={{ color: '#666', fontStyle: 'italic' }}>
-                No classes available
+                You have not been assigned to any classes yet
               </p>
             ) : (
               classes.map(cls => (
@@ -330,6 +350,18 @@ const TeacherDashboard = () => {
                           Default
                         </span>
                       )}
+                      {cls.assignment_role && cls.assignment_role !== 'lead' && (
+                        <span style={{
+                          backgroundColor: cls.assignment_role === 'substitute' ? '#FF9800' : '#2196F3',
+                          color: 'white',
+                          fontSize: '12px',
+                          padding: '2px 8px',
+                          borderRadius: '12px',
+                          marginLeft: '10px'
+                        }}>
+                          {ASSIGNMENT_ROLE_LABELS[cls.assignment_role]}
+                        </span>
+                      )}
                     </h3>
                     <span style={{
                       color: '#666',
@@ -428,6 +460,8 @@ const TeacherDashboard = () => {
                         marginTop: '2px'
                       }}>
                         {record.students?.student_number} • {record.classes?.name}
+                        {record.attendance_sessions && ` • ${record.attendance_sessions.short_name}`}
+                        {record.is_cover && ' • Cover'}
                       </div>
                     </div>
                     
@@ -437,19 +471,19 @@ const TeacherDashboard = () => {
                       gap: '8px'
                     }}>
                       <span style={{
-                        color: getStatusColor(record.status),
+                        color: getStatus(record.status).color,
                         fontSize: '16px',
                         fontWeight: 'bold'
                       }}>
-                        {getStatusIcon(record.status)}
+                        {getStatus(record.status).icon}
                       </span>
                       <span style={{
-                        color: getStatusColor(record.status),
+                        color: getStatus(record.status).color,
                         fontSize: '12px',
                         fontWeight: 'bold',
                         textTransform: 'uppercase'
                       }}>
-                        {record.status}
+                        {getStatus(record.status).label}
                       </span>
                     </div>
                   </div>
@@ -495,22 +529,46 @@ const TeacherDashboard = () => {
             gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
             gap: '20px'
           }}>
+            {activeStatuses.map(status => (
+              <div
+                key={status.code}
+                style={{
+                  textAlign: 'center',
+                  padding: '20px',
+                  backgroundColor: getStatusBgColor(status),
+                  borderRadius: '8px'
+                }}
+              >
+                <div style={{
+                  fontSize: '32px',
+                  fontWeight: 'bold',
+                  color: status.color,
+                  marginBottom: '10px'
+                }}>
+                  {recentStats[status.code]}
+                </div>
+                <div style={{ color: '#666', fontWeight: 'bold' }}>
+                  {status.label}
+                </div>
+              </div>
+            ))}
+
             <div style={{
               textAlign: 'center',
               padding: '20px',
-              backgroundColor: '#e8f5e8',
+              backgroundColor: '#f3f4f6',
               borderRadius: '8px'
             }}>
               <div style={{
                 fontSize: '32px',
                 fontWeight: 'bold',
-                color: '#4CAF50',
+                color: '#333',
                 marginBottom: '10px'
               }}>
-                {recentAttendance.filter(r => r.status === 'present').length}
+                {recentAttendance.length}
               </div>
               <div style={{ color: '#666', fontWeight: 'bold' }}>
-                Present
+                Total Records
               </div>
             </div>
 
@@ -526,51 +584,117 @@ const TeacherDashboard = () => {
                 color: '#FF9800',
                 marginBottom: '10px'
               }}>
-                {recentAttendance.filter(r => r.status === 'late').length}
+                {lateMinutesTotal}
               </div>
               <div style={{ color: '#666', fontWeight: 'bold' }}>
-                Late
+                Minutes Late
               </div>
             </div>
+          </div>
+        </div>
 
-            <div style={{
-              textAlign: 'center',
-              padding: '20px',
-              backgroundColor: '#ffebee',
-              borderRadius: '8px'
-            }}>
-              <div style={{
-                fontSize: '32px',
-                fontWeight: 'bold',
-                color: '#F44336',
-                marginBottom: '10px'
-              }}>
-                {recentAttendance.filter(r => r.status === 'absent').length}
-              </div>
-              <div style={{ color: '#666', fontWeight: 'bold' }}>
-                Absent
-              </div>
-            </div>
+        {/* Attendance by Day and Session */}
+        <div style={{
+          backgroundColor: 'white',
+          padding: '25px',
+          borderRadius: '10px',
+          boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+          gridColumn: 'span 2'
+        }}>
+          <h2 style={{
+            color: '#333',
+            margin: '0 0 20px 0',
+            fontSize: '24px',
+            fontWeight: 'bold',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '10px'
+          }}>
+            📅 Attendance by Day (Last 7 Days)
+          </h2>
 
-            <div style={{
-              textAlign: 'center',
-              padding: '20px',
-              backgroundColor: '#f3f4f6',
-              borderRadius: '8px'
-            }}>
-              <div style={{
-                fontSize: '32px',
-                fontWeight: 'bold',
-                color: '#333',
-                marginBottom: '10px'
+          {dailySummary.length === 0 ? (
+            <p style={{ color: '#666', fontStyle: 'italic' }}>
+              No attendance recorded in the last 7 days
+            </p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{
+                width: '100%',
+                borderCollapse: 'collapse',
+                fontSize: '14px',
+                color: '#333'
               }}>
-                {recentAttendance.length}
-              </div>
-              <div style={{ color: '#666', fontWeight: 'bold' }}>
-                Total Records
-              </div>
+                <thead>
+                  <tr style={{ backgroundColor: '#f8f9fa', textAlign: 'left' }}>
+                    <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0' }}>Date</th>
+                    <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0' }}>Class</th>
+                    {sessions.map(session => (
+                      <th
+                        key={session.id}
+                        title={session.name}
+                        style={{ padding: '10px', borderBottom: '1px solid #e0e0e0', textAlign: 'center' }}
+                      >
+                        {session.short_name}
+                      </th>
+                    ))}
+                    <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0', textAlign: 'center' }}>Day Total</th>
+                    <th style={{ padding: '10px', borderBottom: '1px solid #e0e0e0', textAlign: 'center' }}>Late</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dailySummary.map(day => (
+                    <tr key={`${day.class_id}-${day.attendance_date}`}>
+                      <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0' }}>
+                        {new Date(day.attendance_date).toLocaleDateString('en-GB', {
+                          weekday: 'short',
+                          day: 'numeric',
+                          month: 'short'
+                        })}
+                      </td>
+                      <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0' }}>
+                        {getClassName(day.class_id)}
+                      </td>
+                      {sessions.map(session => {
+                        const totals = getSessionTotals(day.class_id, day.attendance_date, session.id);
+                        return (
+                          <td
+                            key={session.id}
+                            style={{ padding: '10px', borderBottom: '1px solid #f0f0f0', textAlign: 'center' }}
+                          >
+                            {totals ? (
+                              <>
+                                <span style={{ color: '#4CAF50', fontWeight: 'bold' }}>{totals.attended_count}</span>
+                                {' / '}
+                                {totals.total_count}
+                              </>
+                            ) : (
+                              <span style={{ color: '#9E9E9E' }}>—</span>
+                            )}
+                          </td>
+                        );
+                      })}
+                      <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0', textAlign: 'center', fontWeight: 'bold' }}>
+                        {day.attended_count} / {day.total_count}
+                      </td>
+                      <td style={{ padding: '10px', borderBottom: '1px solid #f0f0f0', textAlign: 'center' }}>
+                        {day.late_count > 0 ? (
+                          <span style={{ color: '#FF9800', fontWeight: 'bold' }}>
+                            {day.late_count} ({day.late_minutes} min)
+                          </span>
+                        ) : (
+                          <span style={{ color: '#9E9E9E' }}>—</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p style={{ color: '#666', fontSize: '12px', margin: '10px 0 0 0' }}>
+                Each cell shows marks that count as present out of all marks. Day total adds up every session. Late shows late arrivals and their total minutes late.
+              </p>
             </div>
-          </div>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,172 @@
+import supabase from "./supabase";
+import { getQueuedRegisters, removeQueuedRegister } from "./offlineStore";
+
+// Columns of the attendance_records unique constraint used for upserts
+const ATTENDANCE_CONFLICT_TARGET = "student_id,class_id,attendance_date,session_id";
+
+const SAVED_RECORD_COLUMNS =
+  "id, student_id, attendance_date, session_id, status, notes, absence_reason_id, is_excused, arrival_time, minutes_late, updated_at";
+
+// Saves a register in a single upsert and returns the stored rows
+const saveAttendanceRecords = async (records) => {
+  const { data, error } = await supabase
+    .from("attendance_records")
+    .upsert(records, { onConflict: ATTENDANCE_CONFLICT_TARGET })
+    .select(SAVED_RECORD_COLUMNS);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Saves absence reason changes to existing marks, given as { id,
+// absence_reason_id }, and returns the stored rows. Locked registers take
+// these as updates only: an upsert is rejected as an insert into the
+// locked register.
+const saveAbsenceReasons = async (changes) => {
+  const results = await Promise.all(
+    changes.map(({ id, absence_reason_id }) =>
+      supabase
+        .from("attendance_records")
+        .update({ absence_reason_id })
+        .eq("id", id)
+        .select(SAVED_RECORD_COLUMNS)
+        .single()
+    )
+  );
+
+  const failed = results.find((result) => result.error);
+  if (failed) throw failed.error;
+  return results.map((result) => result.data);
+};
+
+// The session in progress: the last one that has already started today,
+// falling back to the first session of the day
+const getCurrentSession = (sessions, now = new Date()) => {
+  const time = now.toTimeString().slice(0, 8);
+  const started = sessions.filter(
+    (session) => session.start_time && session.start_time <= time
+  );
+  return started[started.length - 1] || sessions[0] || null;
+};
+
+// supabase-js reports a failed fetch as an error rather than throwing
+const isNetworkError = (error) =>
+  !navigator.onLine ||
+  /Failed to fetch|NetworkError|Load failed/i.test(error?.message || "");
+
+// Raised by the database when a register has been finalised or auto-locked
+const isRegisterLockedError = (error) => error?.code === "55000";
+
+const hasSameMark = (a, b) =>
+  a.status === b.status &&
+  (a.notes || "") === (b.notes || "") &&
+  (a.absence_reason_id || null) === (b.absence_reason_id || null) &&
+  (a.arrival_time || "").slice(0, 5) === (b.arrival_time || "").slice(0, 5);
+
+// Replays one queued register and removes it from the queue. A queued mark
+// conflicts when the server row was updated after the version the teacher
+// started from and now holds a different value; the newer server value is
+// kept in that case. A register locked in the meantime is reported as locked.
+const syncQueuedRegister = async (entry, getDefaultSessionId) => {
+  // Registers queued before sessions existed have no sessionId. Their marks
+  // go to the session the sessions migration gave every existing mark.
+  const sessionId = entry.sessionId || (await getDefaultSessionId());
+
+  const { data: serverRows, error } = await supabase
+    .from("attendance_records")
+    .select("student_id, status, notes, absence_reason_id, arrival_time, updated_at")
+    .eq("class_id", entry.classId)
+    .eq("attendance_date", entry.date)
+    .eq("session_id", sessionId);
+
+  if (error) throw error;
+
+  const serverByStudent = {};
+  (serverRows || []).forEach((row) => {
+    serverByStudent[row.student_id] = row;
+  });
+
+  const toSave = [];
+  const conflicts = [];
+  entry.records.forEach((record) => {
+    const server = serverByStudent[record.student_id];
+    const changedRemotely =
+      server &&
+      (!record.baseUpdatedAt ||
+        new Date(server.updated_at) > new Date(record.baseUpdatedAt));
+
+    if (changedRemotely && !hasSameMark(server, record)) {
+      conflicts.push({ ...record, server });
+    } else {
+      toSave.push({
+        student_id: record.student_id,
+        class_id: entry.classId,
+        teacher_id: entry.teacherId,
+        attendance_date: entry.date,
+        session_id: sessionId,
+        status: record.status,
+        notes: record.notes || null,
+        absence_reason_id: record.absence_reason_id || null,
+        arrival_time: record.arrival_time || null,
+      });
+    }
+  });
+
+  let locked = false;
+  if (toSave.length > 0) {
+    try {
+      await saveAttendanceRecords(toSave);
+    } catch (saveError) {
+      if (!isRegisterLockedError(saveError)) throw saveError;
+      locked = true;
+    }
+  }
+  await removeQueuedRegister(entry.key);
+
+  return { entry, saved: locked ? 0 : toSave.length, conflicts, locked, error: null };
+};
+
+// Replays the queued registers of the given teacher, in the order they were
+// queued. Stops at the first network error, leaving the remaining registers
+// queued. A register the server rejects for any other reason, such as a
+// class the teacher no longer takes, would fail on every sync, so it is
+// dropped from the queue and returned with its error instead.
+const syncQueuedRegisters = async (teacherId) => {
+  const entries = (await getQueuedRegisters()).filter(
+    (entry) => entry.teacherId === teacherId
+  );
+  const results = [];
+  let defaultSessionId;
+
+  const getDefaultSessionId = async () => {
+    if (!defaultSessionId) {
+      const { data, error } = await supabase.rpc("default_attendance_session");
+      if (error) throw error;
+      defaultSessionId = data;
+    }
+    return defaultSessionId;
+  };
+
+  for (const entry of entries) {
+    try {
+      results.push(await syncQueuedRegister(entry, getDefaultSessionId));
+    } catch (error) {
+      if (isNetworkError(error)) throw error;
+      console.error("Error syncing offline register:", entry, error);
+      await removeQueuedRegister(entry.key);
+      results.push({ entry, saved: 0, conflicts: [], locked: false, error });
+    }
+  }
+
+  return results;
+};
+
+export {
+  ATTENDANCE_CONFLICT_TARGET,
+  saveAttendanceRecords,
+  saveAbsenceReasons,
+  getCurrentSession,
+  isNetworkError,
+  isRegisterLockedError,
+  syncQueuedRegisters,
+};
@@ -0,0 +1,161 @@
+import { beforeEach, expect, test, vi } from "vitest";
+import supabase from "./supabase";
+import { getQueuedRegisters, removeQueuedRegister } from "./offlineStore";
+import { syncQueuedRegisters } from "./attendance";
+
+vi.mock("./supabase", () => ({ default: { from: vi.fn(), rpc: vi.fn() } }));
+vi.mock("./offlineStore", () => ({
+  getQueuedRegisters: vi.fn(),
+  removeQueuedRegister: vi.fn(),
+}));
+
+const TEACHER_ID = "teacher-1";
+
+const queued = (overrides) => ({
+  key: "class-1:2025-03-03:session-1",
+  classId: "class-1",
+  className: "Year 3 Blue",
+  date: "2025-03-03",
+  sessionId: "session-1",
+  teacherId: TEACHER_ID,
+  records: [],
+  ...overrides,
+});
+
+// Stands in for attendance_records: reads resolve to the server rows of the
+// requested session, and the nth upsert fails with saveErrors[n] if given
+const mockServer = ({ rows = {}, readError = null, saveErrors = [] } = {}) => {
+  const saved = [];
+  let saves = 0;
+  supabase.from.mockImplementation(() => ({
+    select: () => {
+      const filters = {};
+      const query = {
+        eq: (column, value) => {
+          filters[column] = value;
+          return query;
+        },
+        then: (resolve) =>
+          resolve({ data: readError ? null : rows[filters.session_id] || [], error: readError }),
+      };
+      return query;
+    },
+    upsert: (records) => ({
+      select: async () => {
+        const saveError = saveErrors[saves++];
+        if (saveError) return { data: null, error: saveError };
+        saved.push(...records);
+        return { data: records, error: null };
+      },
+    }),
+  }));
+  return saved;
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.stubGlobal("navigator", { onLine: true });
+  removeQueuedRegister.mockResolvedValue(undefined);
+});
+
+test("keeps newer server marks as conflicts and saves the rest", async () => {
+  getQueuedRegisters.mockResolvedValue([
+    queued({
+      records: [
+        { student_id: "s1", status: "absent", baseUpdatedAt: "2025-03-03T08:00:00Z" },
+        { student_id: "s2", status: "present", baseUpdatedAt: "2025-03-03T08:00:00Z" },
+        { student_id: "s3", status: "late", arrival_time: "09:10", baseUpdatedAt: null },
+      ],
+    }),
+  ]);
+  const saved = mockServer({
+    rows: {
+      "session-1": [
+        // Changed by someone else after the teacher went offline
+        { student_id: "s1", status: "present", updated_at: "2025-03-03T09:00:00Z" },
+        // Not changed since
+        { student_id: "s2", status: "absent", updated_at: "2025-03-03T07:00:00Z" },
+        // Changed to the same mark
+        { student_id: "s3", status: "late", arrival_time: "09:10:00", updated_at: "2025-03-03T09:00:00Z" },
+      ],
+    },
+  });
+
+  const [result] = await syncQueuedRegisters(TEACHER_ID);
+
+  expect(saved.map((record) => record.student_id)).toEqual(["s2", "s3"]);
+  expect(result.saved).toBe(2);
+  expect(result.conflicts).toEqual([
+    expect.objectContaining({ student_id: "s1", server: expect.objectContaining({ status: "present" }) }),
+  ]);
+  expect(removeQueuedRegister).toHaveBeenCalledWith("class-1:2025-03-03:session-1");
+});
+
+test("only replays the registers of the given teacher", async () => {
+  getQueuedRegisters.mockResolvedValue([
+    queued({ teacherId: "teacher-2", records: [{ student_id: "s1", status: "present" }] }),
+  ]);
+  mockServer();
+
+  expect(await syncQueuedRegisters(TEACHER_ID)).toEqual([]);
+  expect(removeQueuedRegister).not.toHaveBeenCalled();
+});
+
+test("reports registers locked in the meantime", async () => {
+  getQueuedRegisters.mockResolvedValue([
+    queued({ records: [{ student_id: "s1", status: "present" }] }),
+  ]);
+  mockServer({ saveErrors: [{ code: "55000", message: "The register for 2025-03-03 is locked" }] });
+
+  const [result] = await syncQueuedRegisters(TEACHER_ID);
+
+  expect(result).toMatchObject({ saved: 0, locked: true, error: null });
+  expect(removeQueuedRegister).toHaveBeenCalledWith("class-1:2025-03-03:session-1");
+});
+
+test("drops a rejected register and carries on with the rest", async () => {
+  getQueuedRegisters.mockResolvedValue([
+    queued({ records: [{ student_id: "s1", status: "present" }] }),
+    queued({
+      key: "class-2:2025-03-03:session-1",
+      classId: "class-2",
+      records: [{ student_id: "s2", status: "present" }],
+    }),
+  ]);
+  const rlsError = { code: "42501", message: "new row violates row-level security policy" };
+  const saved = mockServer({ saveErrors: [rlsError] });
+
+  const results = await syncQueuedRegisters(TEACHER_ID);
+
+  expect(results).toHaveLength(2);
+  expect(results[0]).toMatchObject({ saved: 0, error: rlsError });
+  expect(results[1]).toMatchObject({ saved: 1, error: null });
+  expect(saved.map((record) => record.class_id)).toEqual(["class-2"]);
+  expect(removeQueuedRegister).toHaveBeenCalledTimes(2);
+});
+
+test("stops at a network error and leaves the register queued", async () => {
+  getQueuedRegisters.mockResolvedValue([
+    queued({ records: [{ student_id: "s1", status: "present" }] }),
+  ]);
+  mockServer({ readError: { message: "TypeError: Failed to fetch" } });
+
+  await expect(syncQueuedRegisters(TEACHER_ID)).rejects.toMatchObject({
+    message: "TypeError: Failed to fetch",
+  });
+  expect(removeQueuedRegister).not.toHaveBeenCalled();
+});
+
+test("saves registers queued before sessions into the default session", async () => {
+  getQueuedRegisters.mockResolvedValue([
+    queued({ key: "a", sessionId: undefined, records: [{ student_id: "s1", status: "present" }] }),
+    queued({ key: "b", sessionId: undefined, date: "2025-03-04", records: [{ student_id: "s2", status: "absent" }] }),
+  ]);
+  supabase.rpc.mockResolvedValue({ data: "default-session", error: null });
+  const saved = mockServer();
+
+  await syncQueuedRegisters(TEACHER_ID);
+
+  expect(supabase.rpc).toHaveBeenCalledTimes(1);
+  expect(saved.map((record) => record.session_id)).toEqual(["default-session", "default-session"]);
+});
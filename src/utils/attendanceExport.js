@@ -0,0 +1,61 @@
+import supabase, { fetchAllRows } from "./supabase";
+import { findStatus } from "./attendanceStatus";
+import { downloadCsv } from "./csv";
+import { downloadXlsx } from "./spreadsheet";
+
+const EXPORT_COLUMNS = `
+  id,
+  attendance_date,
+  status,
+  notes,
+  students!inner (student_number, first_name, last_name),
+  classes!inner (name, year_level),
+  attendance_sessions (name)
+`;
+
+const compareExportRows = (a, b) =>
+  a.attendance_date.localeCompare(b.attendance_date) ||
+  a.classes.name.localeCompare(b.classes.name) ||
+  a.students.last_name.localeCompare(b.students.last_name) ||
+  a.students.first_name.localeCompare(b.students.first_name);
+
+// Attendance marks between two dates (inclusive), optionally limited to a
+// class, a year level or a status. Resolves to { data, error } like a
+// Supabase query.
+const fetchAttendanceForExport = async ({ from, to, classId, yearLevel, status }) => {
+  const { data, error } = await fetchAllRows(() => {
+    let query = supabase
+      .from("attendance_records")
+      .select(EXPORT_COLUMNS)
+      .gte("attendance_date", from)
+      .lte("attendance_date", to)
+      .order("attendance_date", { ascending: true })
+      .order("id", { ascending: true });
+
+    if (classId) query = query.eq("class_id", classId);
+    if (yearLevel) query = query.eq("classes.year_level", yearLevel);
+    if (status) query = query.eq("status", status);
+    return query;
+  });
+
+  return { data: data?.sort(compareExportRows) ?? null, error };
+};
+
+const exportColumns = (statuses) => [
+  { header: "Student Number", value: (record) => record.students.student_number },
+  { header: "First Name", value: (record) => record.students.first_name },
+  { header: "Last Name", value: (record) => record.students.last_name },
+  { header: "Class", value: (record) => record.classes.name },
+  { header: "Date", value: (record) => record.attendance_date },
+  { header: "Session", value: (record) => record.attendance_sessions?.name },
+  { header: "Status", value: (record) => findStatus(statuses, record.status).label },
+  { header: "Notes", value: (record) => record.notes },
+];
+
+// Downloads the marks as fileName.csv or fileName.xlsx
+const downloadAttendanceExport = (records, statuses, format, fileName) =>
+  format === "xlsx"
+    ? downloadXlsx(exportColumns(statuses), records, `${fileName}.xlsx`, "Attendance")
+    : downloadCsv(exportColumns(statuses), records, `${fileName}.csv`);
+
+export { fetchAttendanceForExport, downloadAttendanceExport };
@@ -0,0 +1,43 @@
+// Rendering helpers for the admin-managed attendance status catalogue
+
+// Used when a mark references a code that is missing from the catalogue
+const UNKNOWN_STATUS = {
+  code: "unknown",
+  label: "Unknown",
+  short_code: "?",
+  color: "#9E9E9E",
+  icon: "?",
+  counts_as_present: false,
+  is_active: false,
+};
+
+const findStatus = (statuses, code) =>
+  statuses.find((status) => status.code === code) ||
+  (code ? { ...UNKNOWN_STATUS, code, label: code } : null);
+
+// Pale tint of a status colour for row and card backgrounds
+const getStatusBgColor = (status) =>
+  status ? `${status.color}1F` : "#f5f5f5";
+
+// Counts marks per status code, plus attended and unmarked totals
+const countByStatus = (statuses, marks) => {
+  const counts = { attended: 0, unmarked: 0 };
+  statuses.forEach((status) => {
+    counts[status.code] = 0;
+  });
+
+  marks.forEach((code) => {
+    if (!code) {
+      counts.unmarked++;
+      return;
+    }
+    counts[code] = (counts[code] || 0) + 1;
+    if (findStatus(statuses, code).counts_as_present) {
+      counts.attended++;
+    }
+  });
+
+  return counts;
+};
+
+export { UNKNOWN_STATUS, findStatus, getStatusBgColor, countByStatus };
@@ -0,0 +1,61 @@
+import supabase from "./supabase";
+import { getToday } from "./dates";
+
+const CLASS_COLUMNS = "id, name, year_level, section, is_active";
+
+const ASSIGNMENT_ROLE_LABELS = {
+  lead: "Lead",
+  assistant: "Assistant",
+  substitute: "Substitute",
+};
+
+const compareClasses = (a, b) =>
+  a.year_level - b.year_level || a.name.localeCompare(b.name);
+
+// Active classes the teacher is assigned to, each with their assignment_role
+// and, for substitutes, the last day of cover. Cover that has not started or
+// has ended is left out. Admins can open every class, so they get all active
+// classes without a role. Resolves to { data, error } like a Supabase query.
+const fetchAssignedClasses = async (teacherId, columns = CLASS_COLUMNS) => {
+  const { data: isAdmin, error: adminError } = await supabase.rpc("is_admin");
+  if (adminError) return { data: null, error: adminError };
+
+  if (isAdmin) {
+    const { data, error } = await supabase
+      .from("classes")
+      .select(columns)
+      .eq("is_active", true);
+    return {
+      data:
+        data
+          ?.map((cls) => ({ ...cls, assignment_role: null, cover_ends_on: null }))
+          .sort(compareClasses) ?? null,
+      error,
+    };
+  }
+
+  const { data, error } = await supabase
+    .from("teacher_class_assignments")
+    .select(`role, starts_on, ends_on, classes!inner (${columns})`)
+    .eq("teacher_id", teacherId)
+    .eq("classes.is_active", true);
+  const today = getToday();
+  return {
+    data:
+      data
+        ?.filter(
+          (assignment) =>
+            (!assignment.starts_on || assignment.starts_on <= today) &&
+            (!assignment.ends_on || assignment.ends_on >= today)
+        )
+        .map((assignment) => ({
+          ...assignment.classes,
+          assignment_role: assignment.role,
+          cover_ends_on: assignment.ends_on,
+        }))
+        .sort(compareClasses) ?? null,
+    error,
+  };
+};
+
+export { ASSIGNMENT_ROLE_LABELS, fetchAssignedClasses };
@@ -0,0 +1,82 @@
+// Reads and builds CSV files in the browser, and hands files to the user as
+// a download
+
+// Spreadsheet apps run text starting with one of these as a formula
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Notes and names are typed by users, so text that would run as a formula
+  // is kept as text with a leading apostrophe. Numbers are left alone.
+  if (typeof value === "string" && FORMULA_PREFIX_REGEX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns is a list of { header, value } where value reads a cell from a row
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCsvValue(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(column.value(row))).join(",")
+    ),
+  ].join("\r\n");
+
+// Rows of cell strings. Handles quoted cells containing commas, quotes and
+// line breaks, and skips blank lines.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((value) => value.trim() !== "")) rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows;
+};
+
+const downloadFile = (contents, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const downloadCsv = (columns, rows, fileName) =>
+  downloadFile(toCsv(columns, rows), fileName, "text/csv;charset=utf-8");
+
+export { toCsv, parseCsv, downloadFile, downloadCsv };
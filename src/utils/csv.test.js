@@ -0,0 +1,71 @@
+import { expect, test } from "vitest";
+import { parseCsv, toCsv } from "./csv";
+
+const columns = [
+  { header: "Name", value: (row) => row.name },
+  { header: "Notes", value: (row) => row.notes },
+];
+
+test("writes a header row and CRLF line endings", () => {
+  expect(toCsv(columns, [{ name: "Ada", notes: "On time" }])).toBe("Name,Notes\r\nAda,On time");
+});
+
+test("quotes values with commas, quotes and line breaks", () => {
+  const csv = toCsv(columns, [{ name: "Lovelace, Ada", notes: 'Said "hi"\nthen left' }]);
+
+  expect(csv).toBe('Name,Notes\r\n"Lovelace, Ada","Said ""hi""\nthen left"');
+});
+
+test("writes empty cells for missing values and JSON for objects", () => {
+  const csv = toCsv(columns, [{ name: null, notes: { status: "late" } }]);
+
+  expect(csv).toBe('Name,Notes\r\n,"{""status"":""late""}"');
+});
+
+test("keeps text that would run as a formula as text", () => {
+  const rows = ["=HYPERLINK(\"http://x\")", "+1", "-2+3", "@SUM(A1)", "\tTab", "\rReturn"].map(
+    (notes) => ({ name: "Ada", notes })
+  );
+
+  expect(parseCsv(toCsv(columns, rows)).slice(1).map((row) => row[1])).toEqual([
+    "'=HYPERLINK(\"http://x\")",
+    "'+1",
+    "'-2+3",
+    "'@SUM(A1)",
+    "'\tTab",
+    "'\rReturn",
+  ]);
+});
+
+test("leaves numbers and ordinary text alone", () => {
+  const csv = toCsv(columns, [{ name: "Ada-Lovelace", notes: -5 }]);
+
+  expect(csv).toBe("Name,Notes\r\nAda-Lovelace,-5");
+});
+
+test("reads quoted cells, escaped quotes and embedded line breaks", () => {
+  expect(parseCsv('Name,Notes\r\n"Lovelace, Ada","Said ""hi""\nthen left"\n')).toEqual([
+    ["Name", "Notes"],
+    ["Lovelace, Ada", 'Said "hi"\nthen left'],
+  ]);
+});
+
+test("skips blank lines and reads a last line without a line break", () => {
+  expect(parseCsv("a,b\n\n , \r\nc,d")).toEqual([
+    ["a", "b"],
+    ["c", "d"],
+  ]);
+});
+
+test("reads back what it writes", () => {
+  const rows = [
+    { name: "Lovelace, Ada", notes: 'Said "hi"' },
+    { name: "Turing", notes: "" },
+  ];
+
+  expect(parseCsv(toCsv(columns, rows))).toEqual([
+    ["Name", "Notes"],
+    ["Lovelace, Ada", 'Said "hi"'],
+    ["Turing", ""],
+  ]);
+});
@@ -0,0 +1,67 @@
+// Helpers for YYYY-MM-DD date strings. Dates are handled in UTC so adding
+// days never crosses a daylight saving change.
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+
+const formatDate = (date) => date.toISOString().split("T")[0];
+
+const getToday = () => formatDate(new Date());
+
+const addDays = (date, days) => {
+  const result = parseDate(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return formatDate(result);
+};
+
+const isWeekday = (date) => {
+  const day = parseDate(date).getUTCDay();
+  return day !== 0 && day !== 6;
+};
+
+// Monday to Friday of the week containing date
+const getWeekDates = (date) => {
+  const monday = addDays(date, -((parseDate(date).getUTCDay() + 6) % 7));
+  return [0, 1, 2, 3, 4].map((offset) => addDays(monday, offset));
+};
+
+// Weekdays of the month containing date
+const getMonthDates = (date) => {
+  const month = parseDate(date).getUTCMonth();
+  const dates = [];
+  for (
+    let current = `${date.slice(0, 7)}-01`;
+    parseDate(current).getUTCMonth() === month;
+    current = addDays(current, 1)
+  ) {
+    if (isWeekday(current)) dates.push(current);
+  }
+  return dates;
+};
+
+// Same day in the previous or next month, clamped to the month's length
+const addMonths = (date, months) => {
+  const current = parseDate(date);
+  const target = new Date(
+    Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + months, 1)
+  );
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  target.setUTCDate(Math.min(current.getUTCDate(), lastDay));
+  return formatDate(target);
+};
+
+const formatShortDate = (date, options) =>
+  parseDate(date).toLocaleDateString("en-GB", { timeZone: "UTC", ...options });
+
+export {
+  parseDate,
+  formatDate,
+  getToday,
+  addDays,
+  addMonths,
+  isWeekday,
+  getWeekDates,
+  getMonthDates,
+  formatShortDate,
+};
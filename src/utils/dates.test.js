@@ -0,0 +1,65 @@
+import { afterEach, expect, test, vi } from "vitest";
+import {
+  addDays,
+  addMonths,
+  formatShortDate,
+  getMonthDates,
+  getToday,
+  getWeekDates,
+  isWeekday,
+} from "./dates";
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+test("today is the UTC date", () => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-03-09T23:30:00Z"));
+
+  expect(getToday()).toBe("2025-03-09");
+});
+
+test("adds days across month, year and daylight saving boundaries", () => {
+  expect(addDays("2025-01-31", 1)).toBe("2025-02-01");
+  expect(addDays("2025-01-01", -1)).toBe("2024-12-31");
+  expect(addDays("2025-03-29", 2)).toBe("2025-03-31");
+  expect(addDays("2024-02-28", 1)).toBe("2024-02-29");
+});
+
+test("tells weekdays from weekends", () => {
+  expect(isWeekday("2025-03-07")).toBe(true);
+  expect(isWeekday("2025-03-08")).toBe(false);
+  expect(isWeekday("2025-03-09")).toBe(false);
+});
+
+test("week dates run Monday to Friday of the week containing the date", () => {
+  const week = ["2025-03-03", "2025-03-04", "2025-03-05", "2025-03-06", "2025-03-07"];
+
+  expect(getWeekDates("2025-03-03")).toEqual(week);
+  expect(getWeekDates("2025-03-06")).toEqual(week);
+  // Sunday belongs to the week that started the Monday before
+  expect(getWeekDates("2025-03-09")).toEqual(week);
+});
+
+test("month dates are the weekdays of the month", () => {
+  const dates = getMonthDates("2025-02-14");
+
+  expect(dates).toHaveLength(20);
+  expect(dates[0]).toBe("2025-02-03");
+  expect(dates[dates.length - 1]).toBe("2025-02-28");
+  expect(dates.every(isWeekday)).toBe(true);
+});
+
+test("adding months keeps the day, clamped to the month's length", () => {
+  expect(addMonths("2025-01-15", 1)).toBe("2025-02-15");
+  expect(addMonths("2025-01-31", 1)).toBe("2025-02-28");
+  expect(addMonths("2024-01-31", 1)).toBe("2024-02-29");
+  expect(addMonths("2025-01-31", -2)).toBe("2024-11-30");
+  expect(addMonths("2025-12-10", 1)).toBe("2026-01-10");
+});
+
+test("formats dates in British order without shifting the day", () => {
+  expect(formatShortDate("2025-03-04")).toBe("04/03/2025");
+  expect(formatShortDate("2025-03-04", { month: "long", year: "numeric" })).toBe("March 2025");
+});
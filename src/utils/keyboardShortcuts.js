@@ -0,0 +1,102 @@
+// Keyboard marking preferences, kept per device in localStorage
+
+const KEY_BINDINGS_STORAGE_KEY = "attendance.keyBindings";
+const KEYBOARD_MODE_STORAGE_KEY = "attendance.keyboardMode";
+
+// Keys with a fixed meaning in keyboard mode that cannot mark a status
+const RESERVED_KEYS = ["n", " "];
+
+const readStorage = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value === null ? fallback : JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error("Error saving keyboard preferences:", error);
+  }
+};
+
+// Custom keys by status code. Statuses without one get a default key from
+// getStatusKeys.
+const loadKeyBindings = () => readStorage(KEY_BINDINGS_STORAGE_KEY, {});
+
+const saveKeyBindings = (bindings) =>
+  writeStorage(KEY_BINDINGS_STORAGE_KEY, bindings);
+
+const loadKeyboardMode = () => readStorage(KEYBOARD_MODE_STORAGE_KEY, false) === true;
+
+const saveKeyboardMode = (enabled) =>
+  writeStorage(KEYBOARD_MODE_STORAGE_KEY, enabled);
+
+const isSingleCharacter = (key) => [...key].length === 1;
+
+// Keys tried, in order, for a status without a custom binding
+const getDefaultKeyCandidates = (status) =>
+  [...`${status.short_code || ""}${status.label || ""}123456789`.toLowerCase()].filter(
+    (char) => /^[\p{L}\p{N}]$/u.test(char)
+  );
+
+// The key that marks each status, by status code. Custom bindings come
+// first, then every other status takes the first free character of its
+// short code, its label or a digit. Reserved keys are never used and no two
+// statuses share a key; a status left without a free key is absent.
+const getStatusKeys = (bindings, statuses) => {
+  const keys = {};
+  const used = new Set(RESERVED_KEYS);
+  const claim = (status, key) => {
+    keys[status.code] = key;
+    used.add(key);
+  };
+
+  statuses.forEach((status) => {
+    const key = (bindings[status.code] || "").toLowerCase();
+    if (isSingleCharacter(key) && !used.has(key)) claim(status, key);
+  });
+  statuses.forEach((status) => {
+    if (keys[status.code]) return;
+    const key = getDefaultKeyCandidates(status).find((char) => !used.has(char));
+    if (key) claim(status, key);
+  });
+
+  return keys;
+};
+
+// The status marked by a key press, or undefined
+const findStatusForKey = (bindings, statuses, key) => {
+  const keys = getStatusKeys(bindings, statuses);
+  return statuses.find((status) => keys[status.code] === key.toLowerCase());
+};
+
+// Returns an error message when key cannot be bound to the status
+const validateStatusKey = (bindings, statuses, statusCode, key) => {
+  const normalised = key.toLowerCase();
+  if (!isSingleCharacter(normalised)) {
+    return "Use a single key";
+  }
+  if (RESERVED_KEYS.includes(normalised)) {
+    return `"${key.toUpperCase()}" is reserved`;
+  }
+  const keys = getStatusKeys(bindings, statuses);
+  const clash = statuses.find(
+    (status) => status.code !== statusCode && keys[status.code] === normalised
+  );
+  return clash ? `"${key.toUpperCase()}" already marks ${clash.label}` : null;
+};
+
+export {
+  RESERVED_KEYS,
+  loadKeyBindings,
+  saveKeyBindings,
+  loadKeyboardMode,
+  saveKeyboardMode,
+  getStatusKeys,
+  findStatusForKey,
+  validateStatusKey,
+};
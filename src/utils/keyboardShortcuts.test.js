@@ -0,0 +1,103 @@
+import { beforeEach, expect, test, vi } from "vitest";
+import {
+  findStatusForKey,
+  getStatusKeys,
+  loadKeyBindings,
+  loadKeyboardMode,
+  saveKeyBindings,
+  saveKeyboardMode,
+  validateStatusKey,
+} from "./keyboardShortcuts";
+
+const statuses = [
+  { code: "present", label: "Present", short_code: "P" },
+  { code: "absent", label: "Absent", short_code: "A" },
+  { code: "late", label: "Late", short_code: "L" },
+];
+
+beforeEach(() => {
+  const values = new Map();
+  vi.stubGlobal("localStorage", {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+  });
+});
+
+test("uses short codes as the default keys", () => {
+  expect(getStatusKeys({}, statuses)).toEqual({ present: "p", absent: "a", late: "l" });
+});
+
+test("gives longer short codes a single free character", () => {
+  const keys = getStatusKeys({}, [
+    ...statuses,
+    { code: "authorised_absence", label: "Authorised Absence", short_code: "AA" },
+    { code: "medical", label: "Medical", short_code: "MED" },
+  ]);
+
+  expect(keys.authorised_absence).toBe("u");
+  expect(keys.medical).toBe("m");
+});
+
+test("never gives a status a reserved key by default", () => {
+  const keys = getStatusKeys({}, [
+    ...statuses,
+    { code: "not_required", label: "Not Required", short_code: "N" },
+  ]);
+
+  expect(keys.not_required).toBe("o");
+  expect(Object.values(keys)).not.toContain("n");
+});
+
+test("falls back to a digit when no letter is free", () => {
+  const keys = getStatusKeys({}, [
+    ...statuses,
+    { code: "pal", label: "Pal", short_code: "PAL" },
+  ]);
+
+  expect(keys.pal).toBe("1");
+});
+
+test("custom bindings win over short codes", () => {
+  const keys = getStatusKeys({ late: "p" }, statuses);
+
+  expect(keys.late).toBe("p");
+  expect(keys.present).toBe("r");
+  expect(new Set(Object.values(keys)).size).toBe(statuses.length);
+});
+
+test("ignores stored bindings that are reserved or repeated", () => {
+  const keys = getStatusKeys({ present: "x", absent: "x", late: "n" }, statuses);
+
+  expect(keys).toEqual({ present: "x", absent: "a", late: "l" });
+});
+
+test("finds the status for a key press regardless of case", () => {
+  expect(findStatusForKey({}, statuses, "A").code).toBe("absent");
+  expect(findStatusForKey({}, statuses, "z")).toBeUndefined();
+  expect(findStatusForKey({}, statuses, "n")).toBeUndefined();
+});
+
+test("rejects keys that are reserved, repeated or longer than one character", () => {
+  expect(validateStatusKey({}, statuses, "late", "Enter")).toBe("Use a single key");
+  expect(validateStatusKey({}, statuses, "late", "n")).toBe('"N" is reserved');
+  expect(validateStatusKey({}, statuses, "late", "a")).toBe('"A" already marks Absent');
+  expect(validateStatusKey({}, statuses, "late", "l")).toBeNull();
+  expect(validateStatusKey({}, statuses, "late", "t")).toBeNull();
+});
+
+test("keeps bindings and keyboard mode in local storage", () => {
+  expect(loadKeyBindings()).toEqual({});
+  expect(loadKeyboardMode()).toBe(false);
+
+  saveKeyBindings({ late: "t" });
+  saveKeyboardMode(true);
+
+  expect(loadKeyBindings()).toEqual({ late: "t" });
+  expect(loadKeyboardMode()).toBe(true);
+});
+
+test("falls back to defaults when stored preferences are unreadable", () => {
+  localStorage.setItem("attendance.keyBindings", "{not json");
+
+  expect(loadKeyBindings()).toEqual({});
+});
@@ -0,0 +1,129 @@
+// IndexedDB storage for taking attendance without a connection.
+//
+// "cache" holds the last known class list, sessions and rosters so the register
+// can be opened offline, and drafts of registers that have not been saved.
+// "queue" holds registers that could not be saved, keyed by class, date and
+// session, until they are replayed against the server.
+const DB_NAME = "attendance-offline";
+const DB_VERSION = 1;
+const CACHE_STORE = "cache";
+const QUEUE_STORE = "queue";
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE);
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: "key" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const getQueueKey = (classId, date, sessionId) => `${classId}:${date}:${sessionId}`;
+
+const cacheSet = (key, value) =>
+  runRequest(CACHE_STORE, "readwrite", (store) =>
+    store.put({ value, cachedAt: new Date().toISOString() }, key)
+  );
+
+const cacheGet = async (key) => {
+  const entry = await runRequest(CACHE_STORE, "readonly", (store) => store.get(key));
+  return entry?.value ?? null;
+};
+
+const clearCache = () =>
+  runRequest(CACHE_STORE, "readwrite", (store) => store.clear());
+
+// Drafts are cached so they are cleared on sign-out with everything else
+const getDraftKey = (classId, date, sessionId) =>
+  `draft:${getQueueKey(classId, date, sessionId)}`;
+
+const saveDraft = (classId, date, sessionId, draft) =>
+  cacheSet(getDraftKey(classId, date, sessionId), draft);
+
+const getDraft = (classId, date, sessionId) =>
+  cacheGet(getDraftKey(classId, date, sessionId));
+
+const removeDraft = (classId, date, sessionId) =>
+  runRequest(CACHE_STORE, "readwrite", (store) =>
+    store.delete(getDraftKey(classId, date, sessionId))
+  );
+
+// Queues a register for later sync. Marks for a register that is already
+// queued are merged, newer marks winning per student.
+const queueRegister = async (entry) => {
+  const key = getQueueKey(entry.classId, entry.date, entry.sessionId);
+  const existing = await runRequest(QUEUE_STORE, "readonly", (store) => store.get(key));
+
+  const recordsByStudent = {};
+  (existing?.records || []).forEach((record) => {
+    recordsByStudent[record.student_id] = record;
+  });
+  entry.records.forEach((record) => {
+    recordsByStudent[record.student_id] = {
+      ...record,
+      // Keep the server version the first offline edit was based on
+      baseUpdatedAt: recordsByStudent[record.student_id]?.baseUpdatedAt ?? record.baseUpdatedAt,
+    };
+  });
+
+  return runRequest(QUEUE_STORE, "readwrite", (store) =>
+    store.put({
+      ...entry,
+      key,
+      records: Object.values(recordsByStudent),
+      queuedAt: new Date().toISOString(),
+    })
+  );
+};
+
+const getQueuedRegister = (classId, date, sessionId) =>
+  runRequest(QUEUE_STORE, "readonly", (store) =>
+    store.get(getQueueKey(classId, date, sessionId))
+  );
+
+const getQueuedRegisters = () =>
+  runRequest(QUEUE_STORE, "readonly", (store) => store.getAll());
+
+const removeQueuedRegister = (key) =>
+  runRequest(QUEUE_STORE, "readwrite", (store) => store.delete(key));
+
+export {
+  cacheSet,
+  cacheGet,
+  clearCache,
+  saveDraft,
+  getDraft,
+  removeDraft,
+  queueRegister,
+  getQueuedRegister,
+  getQueuedRegisters,
+  removeQueuedRegister,
+};
@@ -0,0 +1,166 @@
+import supabase, { fetchAllRows } from "./supabase";
+import { findStatus } from "./attendanceStatus";
+import { formatShortDate, getMonthDates } from "./dates";
+
+const getMarkKey = (studentId, date, sessionId) => `${studentId}|${date}|${sessionId}`;
+
+// Students, sessions and marks for one class's register for a month, given
+// as YYYY-MM. Students who have left still appear if they were marked that
+// month, and so do retired sessions. Resolves to { data, error } like a
+// Supabase query.
+const fetchMonthlyRegister = async (cls, month) => {
+  const dates = getMonthDates(`${month}-01`);
+  const [studentsResult, sessionsResult, attendanceResult] = await Promise.all([
+    supabase
+      .from("students")
+      .select("id, student_number, first_name, last_name, is_active")
+      .eq("class_id", cls.id)
+      .order("last_name", { ascending: true })
+      .order("first_name", { ascending: true }),
+    supabase
+      .from("attendance_sessions")
+      .select("id, short_name, sort_order, is_active")
+      .order("sort_order", { ascending: true }),
+    // A month of marks for a large class can exceed one page of results
+    fetchAllRows(() =>
+      supabase
+        .from("attendance_records")
+        .select("student_id, attendance_date, session_id, status")
+        .eq("class_id", cls.id)
+        .gte("attendance_date", dates[0])
+        .lte("attendance_date", dates[dates.length - 1])
+        .order("id", { ascending: true })
+    ),
+  ]);
+
+  const error = studentsResult.error || sessionsResult.error || attendanceResult.error;
+  if (error) return { data: null, error };
+
+  const marks = {};
+  attendanceResult.data.forEach((record) => {
+    marks[getMarkKey(record.student_id, record.attendance_date, record.session_id)] = record.status;
+  });
+  const markedStudents = new Set(attendanceResult.data.map((record) => record.student_id));
+  const markedSessions = new Set(attendanceResult.data.map((record) => record.session_id));
+
+  return {
+    data: {
+      cls,
+      month,
+      dates,
+      students: studentsResult.data.filter(
+        (student) => student.is_active || markedStudents.has(student.id)
+      ),
+      sessions: sessionsResult.data.filter(
+        (session) => session.is_active || markedSessions.has(session.id)
+      ),
+      marks,
+    },
+    error: null,
+  };
+};
+
+// Draws one register: students down the side, a column per school day and
+// session, attendance codes in the cells and attended totals for each
+// student and each column, followed by the status key and signature lines
+const drawRegister = (doc, autoTable, register, statuses) => {
+  const { cls, month, dates, sessions, students, marks } = register;
+  const isPresent = (code) => Boolean(code) && findStatus(statuses, code).counts_as_present;
+  const columns = dates.flatMap((date) => sessions.map((session) => ({ date, session })));
+  const splitSessions = sessions.length > 1;
+
+  doc.setFontSize(14);
+  doc.text(`${cls.name} - Attendance Register`, 10, 12);
+  doc.setFontSize(10);
+  doc.text(formatShortDate(`${month}-01`, { month: "long", year: "numeric" }), 10, 18);
+
+  const dayHeaders = dates.map((date) => ({
+    content: `${formatShortDate(date, { weekday: "narrow" })}\n${Number(date.slice(8))}`,
+    colSpan: sessions.length,
+  }));
+  const head = [
+    [
+      { content: "No.", rowSpan: splitSessions ? 2 : 1 },
+      { content: "Student", rowSpan: splitSessions ? 2 : 1 },
+      ...dayHeaders,
+      { content: "Att.", rowSpan: splitSessions ? 2 : 1 },
+      { content: "Poss.", rowSpan: splitSessions ? 2 : 1 },
+    ],
+  ];
+  if (splitSessions) {
+    head.push(columns.map(({ session }) => session.short_name));
+  }
+
+  const body = students.map((student) => {
+    const codes = columns.map(({ date, session }) => marks[getMarkKey(student.id, date, session.id)]);
+    const marked = codes.filter(Boolean);
+    return [
+      student.student_number,
+      `${student.last_name}, ${student.first_name}`,
+      ...codes.map((code) => (code ? findStatus(statuses, code).short_code : "")),
+      marked.filter(isPresent).length,
+      marked.length,
+    ];
+  });
+
+  const columnTotals = columns.map(({ date, session }) =>
+    students.filter((student) => isPresent(marks[getMarkKey(student.id, date, session.id)])).length
+  );
+  const totalAttended = columnTotals.reduce((sum, count) => sum + count, 0);
+  const totalMarked = students.reduce(
+    (sum, student) =>
+      sum + columns.filter(({ date, session }) => marks[getMarkKey(student.id, date, session.id)]).length,
+    0
+  );
+
+  autoTable(doc, {
+    startY: 22,
+    margin: { left: 10, right: 10 },
+    theme: "grid",
+    head,
+    body,
+    foot: [["", "Attended", ...columnTotals, totalAttended, totalMarked]],
+    styles: { fontSize: 6, cellPadding: 0.6, halign: "center", valign: "middle", lineWidth: 0.1 },
+    headStyles: { fillColor: [230, 230, 230], textColor: 20 },
+    footStyles: { fillColor: [245, 245, 245], textColor: 20 },
+    columnStyles: { 1: { halign: "left", cellWidth: 38 } },
+  });
+
+  const usedStatuses = statuses.filter((status) =>
+    Object.values(marks).includes(status.code)
+  );
+  let y = doc.lastAutoTable.finalY + 6;
+  if (y > doc.internal.pageSize.getHeight() - 25) {
+    doc.addPage();
+    y = 15;
+  }
+
+  doc.setFontSize(8);
+  doc.text(
+    `Key: ${usedStatuses.map((status) => `${status.short_code} ${status.label}`).join("   ") || "no marks recorded"}`,
+    10,
+    y
+  );
+  doc.setFontSize(10);
+  doc.text("Teacher signature: ________________________________", 10, y + 14);
+  doc.text("Date: ________________", 140, y + 14);
+};
+
+// Downloads one PDF holding each register, starting each on a new page.
+// The PDF libraries are only loaded when a register is printed.
+const downloadRegisterPdf = async (registers, statuses, fileName) => {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([
+    import("jspdf"),
+    import("jspdf-autotable"),
+  ]);
+  const doc = new jsPDF({ orientation: "landscape", unit: "mm", format: "a4" });
+
+  registers.forEach((register, index) => {
+    if (index > 0) doc.addPage();
+    drawRegister(doc, autoTable, register, statuses);
+  });
+
+  doc.save(fileName);
+};
+
+export { fetchMonthlyRegister, downloadRegisterPdf };
@@ -0,0 +1,64 @@
+import { downloadFile, parseCsv } from "./csv";
+
+const XLSX_MIME_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Cell values as text. Date cells are read as midnight UTC on the day the
+// sheet shows, so they become YYYY-MM-DD whatever the browser's time zone.
+const cellToString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+// Rows of cell strings from a .csv or .xlsx file. The spreadsheet library is
+// only loaded when a workbook is imported.
+const readSpreadsheet = async (file) => {
+  if (/\.csv$/i.test(file.name)) {
+    return parseCsv((await file.text()).replace(/^\uFEFF/, ""));
+  }
+
+  const { readSheet } = await import("read-excel-file/universal");
+  return (await readSheet(file))
+    .map((row) => row.map(cellToString))
+    .filter((row) => row.some((value) => value.trim() !== ""));
+};
+
+// Column index for each field, or -1 when no header matches. Each field
+// lists the header spellings it accepts in aliases, written in lowercase
+// letters and digits only.
+const guessColumnMapping = (headers, fields) => {
+  const normalised = headers.map(normaliseHeader);
+  return Object.fromEntries(
+    fields.map((field) => [
+      field.key,
+      normalised.findIndex((header) => field.aliases.includes(header)),
+    ])
+  );
+};
+
+// Mapped cell values of a row, trimmed, keyed by field
+const readMappedRow = (row, mapping, fields) =>
+  Object.fromEntries(
+    fields.map((field) => [
+      field.key,
+      mapping[field.key] >= 0 ? (row[mapping[field.key]] || "").trim() : "",
+    ])
+  );
+
+// Downloads rows as a single-sheet .xlsx workbook. columns is a list of
+// { header, value } like toCsv.
+const downloadXlsx = async (columns, rows, fileName, sheetName = "Sheet1") => {
+  const { default: writeExcelFile } = await import("write-excel-file/universal");
+  const blob = await writeExcelFile(
+    [
+      columns.map((column) => column.header),
+      ...rows.map((row) => columns.map((column) => column.value(row) ?? null)),
+    ],
+    { sheet: sheetName }
+  ).toBlob();
+  downloadFile(blob, fileName, XLSX_MIME_TYPE);
+};
+
+export { readSpreadsheet, guessColumnMapping, readMappedRow, downloadXlsx };
@@ -0,0 +1,30 @@
+import { expect, test } from "vitest";
+import writeExcelFile from "write-excel-file/universal";
+import { readSpreadsheet } from "./spreadsheet";
+
+const workbookFile = async (rows, fileName) =>
+  new File([await writeExcelFile(rows, { dateFormat: "dd/mm/yyyy" }).toBlob()], fileName);
+
+test("reads Excel date cells as YYYY-MM-DD", async () => {
+  const file = await workbookFile(
+    [
+      ["Student Number", "Date of Birth"],
+      ["S-1", new Date(Date.UTC(2015, 2, 4))],
+    ],
+    "students.xlsx"
+  );
+
+  expect(await readSpreadsheet(file)).toEqual([
+    ["Student Number", "Date of Birth"],
+    ["S-1", "2015-03-04"],
+  ]);
+});
+
+test("strips the byte order mark from CSV files", async () => {
+  const file = new File(["\uFEFFStudent Number,First Name\r\nS-1,Ada\r\n"], "students.csv");
+
+  expect(await readSpreadsheet(file)).toEqual([
+    ["Student Number", "First Name"],
+    ["S-1", "Ada"],
+  ]);
+});
@@ -0,0 +1,122 @@
+import { getToday } from "./dates";
+import { readMappedRow } from "./spreadsheet";
+
+// Student fields an import can fill, in the order the mapping is shown, with
+// the header spellings recognised when guessing the mapping
+const STUDENT_IMPORT_FIELDS = [
+  {
+    key: "student_number",
+    label: "Student Number",
+    required: true,
+    aliases: ["studentnumber", "studentno", "number", "studentid", "id"],
+  },
+  {
+    key: "first_name",
+    label: "First Name",
+    required: true,
+    aliases: ["firstname", "forename", "givenname", "first"],
+  },
+  {
+    key: "last_name",
+    label: "Last Name",
+    required: true,
+    aliases: ["lastname", "surname", "familyname", "last"],
+  },
+  {
+    key: "class_name",
+    label: "Class",
+    required: true,
+    aliases: ["class", "classname", "form", "group"],
+  },
+  {
+    key: "date_of_birth",
+    label: "Date of Birth",
+    required: false,
+    aliases: ["dateofbirth", "dob", "birthdate", "birthday"],
+  },
+  {
+    key: "enrollment_date",
+    label: "Enrollment Date",
+    required: false,
+    aliases: ["enrollmentdate", "enrolmentdate", "enrolled", "startdate", "joined"],
+  },
+];
+
+// YYYY-MM-DD from ISO or day-first dates, or null when the value is not a real date
+const parseImportDate = (value) => {
+  const text = value.trim();
+  const match =
+    text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/)?.slice(1) ||
+    text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/)?.slice(1).reverse();
+  if (!match) return null;
+
+  const [year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split("T")[0];
+};
+
+// Checks every data row and builds the student to insert for valid ones.
+// existingNumbers holds the student numbers already in the database.
+const validateImportRows = (rows, mapping, classes, existingNumbers) => {
+  const today = getToday();
+  const classesByName = new Map(
+    classes.filter((cls) => cls.is_active).map((cls) => [cls.name.trim().toLowerCase(), cls])
+  );
+  const seenNumbers = new Map();
+
+  return rows.map((row, index) => {
+    const values = readMappedRow(row, mapping, STUDENT_IMPORT_FIELDS);
+    const errors = STUDENT_IMPORT_FIELDS.filter(
+      (field) => field.required && !values[field.key]
+    ).map((field) => `${field.label} is required`);
+
+    const numberKey = values.student_number.toLowerCase();
+    if (values.student_number) {
+      if (existingNumbers.has(numberKey)) {
+        errors.push(`Student number ${values.student_number} already exists`);
+      } else if (seenNumbers.has(numberKey)) {
+        errors.push(`Student number ${values.student_number} is repeated on row ${seenNumbers.get(numberKey)}`);
+      }
+      if (!seenNumbers.has(numberKey)) seenNumbers.set(numberKey, index + 2);
+    }
+
+    const cls = classesByName.get(values.class_name.toLowerCase());
+    if (values.class_name && !cls) {
+      errors.push(`Class "${values.class_name}" does not exist or is archived`);
+    }
+
+    const dateOfBirth = values.date_of_birth ? parseImportDate(values.date_of_birth) : null;
+    if (values.date_of_birth && !dateOfBirth) {
+      errors.push(`Date of birth "${values.date_of_birth}" is not a valid date`);
+    } else if (dateOfBirth && dateOfBirth > today) {
+      errors.push("Date of birth cannot be in the future");
+    }
+
+    const enrollmentDate = values.enrollment_date ? parseImportDate(values.enrollment_date) : today;
+    if (!enrollmentDate) {
+      errors.push(`Enrollment date "${values.enrollment_date}" is not a valid date`);
+    }
+
+    return {
+      // Spreadsheet row number, counting the header row
+      rowNumber: index + 2,
+      values,
+      errors,
+      student:
+        errors.length === 0
+          ? {
+              student_number: values.student_number,
+              first_name: values.first_name,
+              last_name: values.last_name,
+              class_id: cls.id,
+              date_of_birth: dateOfBirth,
+              enrollment_date: enrollmentDate,
+              is_active: true,
+            }
+          : null,
+    };
+  });
+};
+
+export { STUDENT_IMPORT_FIELDS, parseImportDate, validateImportRows };
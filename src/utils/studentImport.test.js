@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, expect, test, vi } from "vitest";
+import { guessColumnMapping } from "./spreadsheet";
+import { STUDENT_IMPORT_FIELDS, parseImportDate, validateImportRows } from "./studentImport";
+
+const HEADERS = ["Student No", "First Name", "Surname", "Class", "DOB", "Enrolled"];
+const CLASSES = [
+  { id: "class-1", name: "Year 3 Blue", is_active: true },
+  { id: "class-2", name: "Year 4 Red", is_active: false },
+];
+
+const mapping = guessColumnMapping(HEADERS, STUDENT_IMPORT_FIELDS);
+const validate = (rows, existingNumbers = new Set()) =>
+  validateImportRows(rows, mapping, CLASSES, existingNumbers);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-03-04T10:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+test("reads ISO and day-first dates", () => {
+  expect(parseImportDate("2015-03-04")).toBe("2015-03-04");
+  expect(parseImportDate("2015-3-4")).toBe("2015-03-04");
+  expect(parseImportDate("04/03/2015")).toBe("2015-03-04");
+  expect(parseImportDate(" 4.3.2015 ")).toBe("2015-03-04");
+  expect(parseImportDate("4-3-2015")).toBe("2015-03-04");
+});
+
+test("rejects dates that do not exist or cannot be read", () => {
+  expect(parseImportDate("2015-02-30")).toBeNull();
+  expect(parseImportDate("31/04/2015")).toBeNull();
+  expect(parseImportDate("2015/03/04")).toBeNull();
+  expect(parseImportDate("March 4th")).toBeNull();
+  expect(parseImportDate("")).toBeNull();
+});
+
+test("guesses the columns from common header spellings", () => {
+  expect(mapping).toEqual({
+    student_number: 0,
+    first_name: 1,
+    last_name: 2,
+    class_name: 3,
+    date_of_birth: 4,
+    enrollment_date: 5,
+  });
+});
+
+test("builds the student for a valid row", () => {
+  const [row] = validate([["S-1", " Ada ", "Lovelace", "year 3 blue", "10/12/2015", ""]]);
+
+  expect(row.errors).toEqual([]);
+  expect(row.rowNumber).toBe(2);
+  expect(row.student).toEqual({
+    student_number: "S-1",
+    first_name: "Ada",
+    last_name: "Lovelace",
+    class_id: "class-1",
+    date_of_birth: "2015-12-10",
+    // Students without an enrollment date start today
+    enrollment_date: "2025-03-04",
+    is_active: true,
+  });
+});
+
+test("reports missing required fields", () => {
+  const [row] = validate([["", "Ada", "", "Year 3 Blue", "", ""]]);
+
+  expect(row.student).toBeNull();
+  expect(row.errors).toEqual(["Student Number is required", "Last Name is required"]);
+});
+
+test("rejects existing and repeated student numbers regardless of case", () => {
+  const rows = validate(
+    [
+      ["s-1", "Ada", "Lovelace", "Year 3 Blue", "", ""],
+      ["S-2", "Alan", "Turing", "Year 3 Blue", "", ""],
+      ["s-2", "Grace", "Hopper", "Year 3 Blue", "", ""],
+    ],
+    new Set(["s-1"])
+  );
+
+  expect(rows[0].errors).toEqual(["Student number s-1 already exists"]);
+  expect(rows[1].errors).toEqual([]);
+  expect(rows[2].errors).toEqual(["Student number s-2 is repeated on row 3"]);
+});
+
+test("rejects unknown and archived classes", () => {
+  const rows = validate([
+    ["S-1", "Ada", "Lovelace", "Year 9 Green", "", ""],
+    ["S-2", "Alan", "Turing", "Year 4 Red", "", ""],
+  ]);
+
+  expect(rows[0].errors).toEqual(['Class "Year 9 Green" does not exist or is archived']);
+  expect(rows[1].errors).toEqual(['Class "Year 4 Red" does not exist or is archived']);
+});
+
+test("rejects invalid and future dates", () => {
+  const rows = validate([
+    ["S-1", "Ada", "Lovelace", "Year 3 Blue", "30/02/2015", "someday"],
+    ["S-2", "Alan", "Turing", "Year 3 Blue", "2025-03-05", ""],
+  ]);
+
+  expect(rows[0].errors).toEqual([
+    'Date of birth "30/02/2015" is not a valid date',
+    'Enrollment date "someday" is not a valid date',
+  ]);
+  expect(rows[1].errors).toEqual(["Date of birth cannot be in the future"]);
+});
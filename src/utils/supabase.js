@@ -4,4 +4,22 @@ const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+// Reads every row of a query a page at a time. buildQuery must return a
+// new query with a stable order each time it is called. Resolves to
+// { data, error } like a Supabase query.
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(start, start + PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return { data: rows, error: null };
+  }
+};
+
+export { fetchAllRows };
 export default supabase;
@@ -0,0 +1,103 @@
+import { readMappedRow } from "./spreadsheet";
+
+// Staff fields an invitation import can fill, in the order the mapping is
+// shown, with the header spellings recognised when guessing the mapping
+const TEACHER_IMPORT_FIELDS = [
+  {
+    key: "full_name",
+    label: "Full Name",
+    required: true,
+    aliases: ["fullname", "name", "teacher", "teachername", "staffname"],
+  },
+  {
+    key: "email",
+    label: "Email",
+    required: true,
+    aliases: ["email", "emailaddress", "mail"],
+  },
+  {
+    key: "role",
+    label: "Role",
+    required: false,
+    aliases: ["role", "type", "accounttype"],
+  },
+  {
+    key: "classes",
+    label: "Classes",
+    required: false,
+    aliases: ["classes", "class", "classnames", "groups"],
+  },
+];
+
+const ROLES = ["teacher", "admin"];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Checks every data row and builds the invitation to send for valid ones.
+// Classes are written as names separated by ";" or ","; the first becomes
+// the teacher's default class. existingEmails holds the emails of accounts
+// that already exist.
+const validateInvitationRows = (rows, mapping, classes, existingEmails) => {
+  const classesByName = new Map(
+    classes.filter((cls) => cls.is_active).map((cls) => [cls.name.trim().toLowerCase(), cls])
+  );
+  const seenEmails = new Map();
+
+  return rows.map((row, index) => {
+    const values = readMappedRow(row, mapping, TEACHER_IMPORT_FIELDS);
+    const errors = TEACHER_IMPORT_FIELDS.filter(
+      (field) => field.required && !values[field.key]
+    ).map((field) => `${field.label} is required`);
+
+    const email = values.email.toLowerCase();
+    if (email) {
+      if (!EMAIL_REGEX.test(email)) {
+        errors.push(`Email ${values.email} is not valid`);
+      } else if (existingEmails.has(email)) {
+        errors.push(`An account for ${values.email} already exists`);
+      } else if (seenEmails.has(email)) {
+        errors.push(`Email ${values.email} is repeated on row ${seenEmails.get(email)}`);
+      }
+      if (!seenEmails.has(email)) seenEmails.set(email, index + 2);
+    }
+
+    const role = values.role.toLowerCase() || "teacher";
+    if (!ROLES.includes(role)) {
+      errors.push(`Role "${values.role}" must be teacher or admin`);
+    }
+
+    const classNames = values.classes
+      .split(/[;,]/)
+      .map((name) => name.trim())
+      .filter(Boolean);
+    const classIds = [];
+    classNames.forEach((name) => {
+      const cls = classesByName.get(name.toLowerCase());
+      if (!cls) {
+        errors.push(`Class "${name}" does not exist or is archived`);
+      } else if (!classIds.includes(cls.id)) {
+        classIds.push(cls.id);
+      }
+    });
+    if (role === "admin" && classNames.length > 0) {
+      errors.push("Admins are not assigned to classes");
+    }
+
+    return {
+      // Spreadsheet row number, counting the header row
+      rowNumber: index + 2,
+      values,
+      errors,
+      invitation:
+        errors.length === 0
+          ? {
+              email,
+              full_name: values.full_name,
+              role,
+              class_ids: classIds,
+            }
+          : null,
+    };
+  });
+};
+
+export { TEACHER_IMPORT_FIELDS, validateInvitationRows };
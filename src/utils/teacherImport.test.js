@@ -0,0 +1,81 @@
+import { expect, test } from "vitest";
+import { guessColumnMapping } from "./spreadsheet";
+import { TEACHER_IMPORT_FIELDS, validateInvitationRows } from "./teacherImport";
+
+const HEADERS = ["Name", "Email Address", "Role", "Classes"];
+const CLASSES = [
+  { id: "class-1", name: "Year 3 Blue", is_active: true },
+  { id: "class-2", name: "Year 4 Red", is_active: true },
+  { id: "class-3", name: "Year 5 Green", is_active: false },
+];
+
+const mapping = guessColumnMapping(HEADERS, TEACHER_IMPORT_FIELDS);
+const validate = (rows, existingEmails = new Set()) =>
+  validateInvitationRows(rows, mapping, CLASSES, existingEmails);
+
+test("guesses the columns from common header spellings", () => {
+  expect(mapping).toEqual({ full_name: 0, email: 1, role: 2, classes: 3 });
+});
+
+test("builds the invitation for a valid row", () => {
+  const [row] = validate([["Ada Lovelace", "Ada@School.test", "", "year 4 red; Year 3 Blue, Year 4 Red"]]);
+
+  expect(row.errors).toEqual([]);
+  expect(row.rowNumber).toBe(2);
+  expect(row.invitation).toEqual({
+    email: "ada@school.test",
+    full_name: "Ada Lovelace",
+    // Teacher by default, with the first class listed as the default class
+    role: "teacher",
+    class_ids: ["class-2", "class-1"],
+  });
+});
+
+test("accepts admins without classes", () => {
+  const [row] = validate([["Alan Turing", "alan@school.test", "Admin", ""]]);
+
+  expect(row.errors).toEqual([]);
+  expect(row.invitation).toMatchObject({ role: "admin", class_ids: [] });
+});
+
+test("reports missing required fields", () => {
+  const [row] = validate([["", "", "", ""]]);
+
+  expect(row.invitation).toBeNull();
+  expect(row.errors).toEqual(["Full Name is required", "Email is required"]);
+});
+
+test("rejects invalid, existing and repeated emails regardless of case", () => {
+  const rows = validate(
+    [
+      ["Ada Lovelace", "ada@school", "", ""],
+      ["Alan Turing", "ALAN@school.test", "", ""],
+      ["Grace Hopper", "grace@school.test", "", ""],
+      ["Grace H", "Grace@School.test", "", ""],
+    ],
+    new Set(["alan@school.test"])
+  );
+
+  expect(rows[0].errors).toEqual(["Email ada@school is not valid"]);
+  expect(rows[1].errors).toEqual(["An account for ALAN@school.test already exists"]);
+  expect(rows[2].errors).toEqual([]);
+  expect(rows[3].errors).toEqual(["Email Grace@School.test is repeated on row 4"]);
+});
+
+test("rejects unknown roles", () => {
+  const [row] = validate([["Ada Lovelace", "ada@school.test", "Headteacher", ""]]);
+
+  expect(row.errors).toEqual(['Role "Headteacher" must be teacher or admin']);
+});
+
+test("rejects unknown and archived classes, and classes for admins", () => {
+  const rows = validate([
+    ["Ada Lovelace", "ada@school.test", "", "Year 3 Blue; Year 9 Purple"],
+    ["Alan Turing", "alan@school.test", "", "Year 5 Green"],
+    ["Grace Hopper", "grace@school.test", "admin", "Year 3 Blue"],
+  ]);
+
+  expect(rows[0].errors).toEqual(['Class "Year 9 Purple" does not exist or is archived']);
+  expect(rows[1].errors).toEqual(['Class "Year 5 Green" does not exist or is archived']);
+  expect(rows[2].errors).toEqual(["Admins are not assigned to classes"]);
+});
@@ -7,4 +7,42 @@ const todoValidationSchema = yup.object({
     .required("Todo is required"),
 });
 
-export { todoValidationSchema };
+const isNotInFuture = (value) =>
+  !value || value <= new Date().toISOString().split("T")[0];
+
+const teacherValidationSchema = yup.object({
+  full_name: yup
+    .string("Enter the full name")
+    .trim()
+    .min(2, "Name should be at least 2 characters")
+    .required("Full name is required"),
+  role: yup
+    .string("Select a role")
+    .oneOf(["teacher", "admin"], "Select a valid role")
+    .required("Role is required"),
+  default_class_id: yup.string("Select a default class"),
+});
+
+const studentValidationSchema = yup.object({
+  student_number: yup
+    .string("Enter the student number")
+    .trim()
+    .required("Student number is required"),
+  first_name: yup
+    .string("Enter the first name")
+    .trim()
+    .required("First name is required"),
+  last_name: yup
+    .string("Enter the last name")
+    .trim()
+    .required("Last name is required"),
+  class_id: yup.string("Select a class").required("Class is required"),
+  date_of_birth: yup
+    .string("Enter the date of birth")
+    .test("not-in-future", "Date of birth cannot be in the future", isNotInFuture),
+  enrollment_date: yup
+    .string("Enter the enrollment date")
+    .required("Enrollment date is required"),
+});
+
+export { todoValidationSchema, teacherValidationSchema, studentValidationSchema };
@@ -0,0 +1,50 @@
+import { createClient, SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import { HttpError } from "./http.ts";
+
+// Client with the service role key. Bypasses RLS, so only use it after the
+// caller has been authorised. Pass the caller's id so the audit log records
+// them, not the system, as the one who made the changes.
+export const createAdminClient = (actorId?: string): SupabaseClient =>
+  createClient(
+    Deno.env.get("SUPABASE_URL")!,
+    Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+    {
+      global: { headers: actorId ? { "X-Actor-Id": actorId } : {} },
+      auth: { autoRefreshToken: false, persistSession: false },
+    },
+  );
+
+// Resolves the calling user from the request's JWT and checks that they are
+// an active administrator, using their own RLS-scoped client.
+export const requireAdmin = async (req: Request) => {
+  const authorization = req.headers.get("Authorization");
+  if (!authorization) {
+    throw new HttpError(401, "unauthenticated", "Missing authorization header");
+  }
+
+  const callerClient = createClient(
+    Deno.env.get("SUPABASE_URL")!,
+    Deno.env.get("SUPABASE_ANON_KEY")!,
+    {
+      global: { headers: { Authorization: authorization } },
+      auth: { autoRefreshToken: false, persistSession: false },
+    },
+  );
+
+  const { data: { user }, error: userError } = await callerClient.auth.getUser();
+  if (userError || !user) {
+    throw new HttpError(401, "unauthenticated", "Invalid or expired session");
+  }
+
+  const { data: isAdmin, error: roleError } = await callerClient.rpc("is_admin");
+  if (roleError) {
+    console.error("Error checking caller role:", roleError);
+    throw new HttpError(500, "role_check_failed", "Unable to verify permissions");
+  }
+
+  if (!isAdmin) {
+    throw new HttpError(403, "forbidden", "Admin privileges required");
+  }
+
+  return user;
+};
@@ -0,0 +1,7 @@
+// CORS headers for functions invoked from the browser with supabase.functions.invoke
+export const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
@@ -0,0 +1,22 @@
+import { corsHeaders } from "./cors.ts";
+
+// Error with an HTTP status and a stable code the client can switch on
+export class HttpError extends Error {
+  status: number;
+  code: string;
+
+  constructor(status: number, code: string, message: string) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+
+export const errorResponse = (status: number, code: string, message: string) =>
+  jsonResponse({ error: { code, message } }, status);
@@ -0,0 +1,70 @@
+// Sends email from Edge Functions through a transport chosen with MAILER:
+//
+//   smtp  delivers through SMTP_HOST and SMTP_PORT, with SMTP_USER and
+//         SMTP_PASSWORD when the server needs them. In development, point it
+//         at the local Supabase mail catcher (see supabase/functions/.env.example).
+//   log   writes each message to the function logs instead of sending it.
+//         Only for local development: invitation links are sign-in links.
+//
+// MAILER has no default, so a deployment that forgot to configure email
+// fails instead of reporting messages as sent.
+//
+// Other providers can be added as another transport returning a Mailer.
+import nodemailer from "npm:nodemailer@6.9.16";
+
+export type MailMessage = {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+};
+
+export type Mailer = {
+  send: (message: MailMessage) => Promise<void>;
+};
+
+const createSmtpMailer = (from: string): Mailer => {
+  const host = Deno.env.get("SMTP_HOST");
+  if (!host) {
+    throw new Error("SMTP_HOST must be set when MAILER is smtp");
+  }
+
+  const port = Number(Deno.env.get("SMTP_PORT") ?? 587);
+  const user = Deno.env.get("SMTP_USER");
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass: Deno.env.get("SMTP_PASSWORD") } : undefined,
+  });
+
+  return {
+    send: async (message) => {
+      await transport.sendMail({ from, ...message });
+    },
+  };
+};
+
+const createLogMailer = (from: string): Mailer => ({
+  send: (message) => {
+    console.log(`Email from ${from} to ${message.to}: ${message.subject}\n${message.text}`);
+    return Promise.resolve();
+  },
+});
+
+export const createMailer = (): Mailer => {
+  const from = Deno.env.get("MAIL_FROM") ?? "School Attendance <no-reply@school.test>";
+  const transport = Deno.env.get("MAILER");
+
+  switch (transport) {
+    case "smtp":
+      return createSmtpMailer(from);
+    case "log":
+      return createLogMailer(from);
+    case undefined:
+    case "":
+      throw new Error("MAILER must be set to smtp or log");
+    default:
+      throw new Error(`Unknown MAILER transport: ${transport}`);
+  }
+};
@@ -0,0 +1,39 @@
+import { HttpError } from "./http.ts";
+
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+export const ROLES = ["admin", "teacher"];
+
+export type StaffAccount = {
+  email: string;
+  full_name: string;
+  role: string;
+};
+
+// Checks the email, name and role every staff account needs. The email is
+// lowercased and the name trimmed; the role defaults to teacher.
+export const parseStaffAccount = (body: Record<string, unknown>): StaffAccount => {
+  const email = String(body.email ?? "").toLowerCase().trim();
+  const fullName = String(body.full_name ?? "").trim();
+  const role = String(body.role ?? "teacher");
+
+  if (!EMAIL_REGEX.test(email)) {
+    throw new HttpError(400, "invalid_email", "Enter a valid email address");
+  }
+  if (!fullName) {
+    throw new HttpError(400, "invalid_full_name", "Full name is required");
+  }
+  if (!ROLES.includes(role)) {
+    throw new HttpError(400, "invalid_role", "Role must be admin or teacher");
+  }
+
+  return { email, full_name: fullName, role };
+};
+
+// Rejects class ids that are not UUIDs before they reach the database
+export const assertClassIds = (classIds: string[], message: string) => {
+  if (classIds.some((classId) => !UUID_REGEX.test(classId))) {
+    throw new HttpError(400, "invalid_class", message);
+  }
+};
@@ -0,0 +1,111 @@
+// Creates a staff account: the auth user and its profile.
+//
+// The browser cannot call supabase.auth.admin (it needs the service role key),
+// so AdminDashboard invokes this function instead. The caller must be an
+// active admin. If the profile cannot be inserted, the auth user is deleted
+// again so no orphaned logins are left behind.
+import { corsHeaders } from "../_shared/cors.ts";
+import { errorResponse, HttpError, jsonResponse } from "../_shared/http.ts";
+import { createAdminClient, requireAdmin } from "../_shared/auth.ts";
+import { assertClassIds, parseStaffAccount, StaffAccount } from "../_shared/validation.ts";
+
+type CreateUserPayload = StaffAccount & {
+  password: string;
+  default_class_id: string | null;
+};
+
+const parsePayload = (body: Record<string, unknown>): CreateUserPayload => {
+  const account = parseStaffAccount(body);
+  const password = String(body.password ?? "");
+  const defaultClassId = body.default_class_id ? String(body.default_class_id) : null;
+
+  if (password.length < 8) {
+    throw new HttpError(400, "invalid_password", "Password should be of minimum 8 characters length");
+  }
+  if (defaultClassId) {
+    assertClassIds([defaultClassId], "Default class is not valid");
+  }
+
+  return {
+    ...account,
+    password,
+    // Admins are not tied to a class
+    default_class_id: account.role === "teacher" ? defaultClassId : null,
+  };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  if (req.method !== "POST") {
+    return errorResponse(405, "method_not_allowed", "Use POST");
+  }
+
+  try {
+    const caller = await requireAdmin(req);
+
+    const payload = parsePayload(await req.json());
+    const adminClient = createAdminClient(caller.id);
+
+    const { data: authData, error: authError } = await adminClient.auth.admin.createUser({
+      email: payload.email,
+      password: payload.password,
+      email_confirm: true,
+      user_metadata: {
+        full_name: payload.full_name,
+        role: payload.role,
+      },
+    });
+
+    if (authError) {
+      if (authError.code === "email_exists" || authError.message?.includes("already been registered")) {
+        throw new HttpError(409, "email_exists", "A user with this email already exists");
+      }
+      throw authError;
+    }
+
+    const { data: profile, error: profileError } = await adminClient
+      .from("profiles")
+      .insert({
+        id: authData.user.id,
+        email: payload.email,
+        full_name: payload.full_name,
+        role: payload.role,
+        default_class_id: payload.default_class_id,
+        status: "active",
+      })
+      .select("id, email, full_name, role, status, default_class_id")
+      .single();
+
+    if (profileError) {
+      console.error("Profile insert failed, rolling back auth user:", profileError);
+
+      const { error: deleteError } = await adminClient.auth.admin.deleteUser(authData.user.id);
+      if (deleteError) {
+        console.error("Rollback failed, orphaned auth user:", authData.user.id, deleteError);
+      }
+
+      if (profileError.code === "23505") {
+        throw new HttpError(409, "email_exists", "A user with this email already exists");
+      }
+      if (profileError.code === "23503") {
+        throw new HttpError(400, "invalid_class", "Default class does not exist");
+      }
+      throw profileError;
+    }
+
+    return jsonResponse({ profile }, 201);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return errorResponse(error.status, error.code, error.message);
+    }
+    if (error instanceof SyntaxError) {
+      return errorResponse(400, "invalid_json", "Request body must be JSON");
+    }
+
+    console.error("Error creating user:", error);
+    return errorResponse(500, "internal_error", "Failed to create user");
+  }
+});
@@ -0,0 +1,205 @@
+// Invites staff in bulk: each invitation creates an auth user, an 'invited'
+// profile and the teacher's class assignments, then emails a sign-up link
+// through the configured mailer.
+//
+// Invitations are handled one at a time and reported individually, so one
+// bad row does not stop the rest. A failed invitation is rolled back by
+// deleting its auth user, which cascades to the profile and assignments.
+// The profile becomes active once the link is followed (see the
+// 20250831090000_teacher_invitations migration).
+import { SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import { corsHeaders } from "../_shared/cors.ts";
+import { errorResponse, HttpError, jsonResponse } from "../_shared/http.ts";
+import { createAdminClient, requireAdmin } from "../_shared/auth.ts";
+import { createMailer, Mailer } from "../_shared/mailer.ts";
+import { assertClassIds, parseStaffAccount, StaffAccount } from "../_shared/validation.ts";
+
+const MAX_INVITATIONS = 100;
+
+type Invitation = StaffAccount & {
+  class_ids: string[];
+};
+
+type InvitationResult = {
+  email: string;
+  status: "invited" | "failed";
+  error?: { code: string; message: string };
+};
+
+const parseInvitation = (body: Record<string, unknown>): Invitation => {
+  const account = parseStaffAccount(body);
+  const classIds = Array.isArray(body.class_ids) ? body.class_ids.map(String) : [];
+  assertClassIds(classIds, "Class is not valid");
+
+  return {
+    ...account,
+    // Admins are not tied to a class
+    class_ids: account.role === "teacher" ? [...new Set(classIds)] : [],
+  };
+};
+
+const parsePayload = (body: Record<string, unknown>) => {
+  if (!Array.isArray(body.invitations) || body.invitations.length === 0) {
+    throw new HttpError(400, "invalid_invitations", "Provide at least one invitation");
+  }
+  if (body.invitations.length > MAX_INVITATIONS) {
+    throw new HttpError(
+      400,
+      "invalid_invitations",
+      `Send at most ${MAX_INVITATIONS} invitations at a time`,
+    );
+  }
+
+  let redirectTo: string | undefined;
+  if (body.redirect_to) {
+    try {
+      redirectTo = new URL(String(body.redirect_to)).toString();
+    } catch {
+      throw new HttpError(400, "invalid_redirect", "Redirect URL is not valid");
+    }
+  }
+
+  return { invitations: body.invitations as Record<string, unknown>[], redirectTo };
+};
+
+const invitationEmail = (invitation: Invitation, link: string) => ({
+  to: invitation.email,
+  subject: "You're invited to the School Attendance System",
+  text: [
+    `Hello ${invitation.full_name},`,
+    "",
+    `You have been invited to take registers as ${invitation.role === "admin" ? "an admin" : "a teacher"}.`,
+    "Follow this link to choose your password and sign in:",
+    "",
+    link,
+  ].join("\n"),
+});
+
+const rollbackUser = async (adminClient: SupabaseClient, userId: string) => {
+  const { error } = await adminClient.auth.admin.deleteUser(userId);
+  if (error) {
+    console.error("Rollback failed, orphaned auth user:", userId, error);
+  }
+};
+
+const invite = async (
+  adminClient: SupabaseClient,
+  mailer: Mailer,
+  invitation: Invitation,
+  redirectTo: string | undefined,
+) => {
+  // generateLink creates the user without sending Supabase's own email, so
+  // the invitation goes out through our mailer
+  const { data: linkData, error: linkError } = await adminClient.auth.admin.generateLink({
+    type: "invite",
+    email: invitation.email,
+    options: {
+      data: { full_name: invitation.full_name, role: invitation.role },
+      redirectTo,
+    },
+  });
+
+  if (linkError) {
+    if (linkError.code === "email_exists" || linkError.message?.includes("already been registered")) {
+      throw new HttpError(409, "email_exists", "A user with this email already exists");
+    }
+    throw linkError;
+  }
+
+  const userId = linkData.user.id;
+  const [defaultClassId = null, ...otherClassIds] = invitation.class_ids;
+
+  try {
+    // The default class becomes a lead assignment through the
+    // profiles_assign_default_class trigger
+    const { error: profileError } = await adminClient
+      .from("profiles")
+      .insert({
+        id: userId,
+        email: invitation.email,
+        full_name: invitation.full_name,
+        role: invitation.role,
+        default_class_id: defaultClassId,
+        status: "invited",
+      });
+
+    if (profileError) {
+      if (profileError.code === "23505") {
+        throw new HttpError(409, "email_exists", "A user with this email already exists");
+      }
+      if (profileError.code === "23503") {
+        throw new HttpError(400, "invalid_class", "Class does not exist");
+      }
+      throw profileError;
+    }
+
+    if (otherClassIds.length > 0) {
+      const { error: assignmentError } = await adminClient
+        .from("teacher_class_assignments")
+        .insert(otherClassIds.map((classId) => ({ teacher_id: userId, class_id: classId, role: "lead" })));
+
+      if (assignmentError) {
+        if (assignmentError.code === "23503") {
+          throw new HttpError(400, "invalid_class", "Class does not exist");
+        }
+        throw assignmentError;
+      }
+    }
+
+    await mailer.send(invitationEmail(invitation, linkData.properties.action_link));
+  } catch (error) {
+    await rollbackUser(adminClient, userId);
+    throw error;
+  }
+};
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  if (req.method !== "POST") {
+    return errorResponse(405, "method_not_allowed", "Use POST");
+  }
+
+  try {
+    const caller = await requireAdmin(req);
+
+    const { invitations, redirectTo } = parsePayload(await req.json());
+    const adminClient = createAdminClient(caller.id);
+    const mailer = createMailer();
+    const results: InvitationResult[] = [];
+
+    for (const body of invitations) {
+      const email = String(body?.email ?? "");
+      try {
+        const invitation = parseInvitation(body ?? {});
+        await invite(adminClient, mailer, invitation, redirectTo);
+        results.push({ email: invitation.email, status: "invited" });
+      } catch (error) {
+        if (error instanceof HttpError) {
+          results.push({ email, status: "failed", error: { code: error.code, message: error.message } });
+        } else {
+          console.error("Error inviting user:", email, error);
+          results.push({
+            email,
+            status: "failed",
+            error: { code: "internal_error", message: "Failed to send the invitation" },
+          });
+        }
+      }
+    }
+
+    return jsonResponse({ results });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return errorResponse(error.status, error.code, error.message);
+    }
+    if (error instanceof SyntaxError) {
+      return errorResponse(400, "invalid_json", "Request body must be JSON");
+    }
+
+    console.error("Error inviting users:", error);
+    return errorResponse(500, "internal_error", "Failed to invite users");
+  }
+});
@@ -0,0 +1,117 @@
+--
+-- Core schema for the School Attendance System.
+--
+-- Creates the classes, profiles, students and attendance_records tables used by
+-- the app, plus the get_user_status RPC called from the sign-in page.
+--
+
+-- Keep updated_at current on every update
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = timezone('utc'::text, now());
+  return new;
+end;
+$$;
+
+-- Classes (e.g. "Year 3 Blue")
+create table public.classes (
+  id uuid default gen_random_uuid() primary key,
+  name text not null check (char_length(name) > 0),
+  year_level smallint not null check (year_level between 0 and 13),
+  section text,
+  is_active boolean default true not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  unique (name)
+);
+
+create index classes_year_level_idx on public.classes (year_level);
+
+create trigger classes_set_updated_at
+  before update on public.classes
+  for each row execute function public.set_updated_at();
+
+-- Staff profiles, one per auth user
+create table public.profiles (
+  id uuid references auth.users on delete cascade primary key,
+  email text not null unique,
+  full_name text not null,
+  role text default 'teacher' not null check (role in ('admin', 'teacher')),
+  status text default 'active' not null check (status in ('active', 'paused', 'deleted')),
+  default_class_id uuid references public.classes on delete set null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create index profiles_default_class_id_idx on public.profiles (default_class_id);
+create index profiles_role_status_idx on public.profiles (role, status);
+-- Sign-in looks profiles up by email regardless of how it was capitalised
+create index profiles_email_lower_idx on public.profiles (lower(email));
+
+create trigger profiles_set_updated_at
+  before update on public.profiles
+  for each row execute function public.set_updated_at();
+
+-- Students enrolled in a class
+create table public.students (
+  id uuid default gen_random_uuid() primary key,
+  student_number text not null unique,
+  first_name text not null,
+  last_name text not null,
+  class_id uuid references public.classes on delete restrict,
+  date_of_birth date,
+  enrollment_date date default current_date not null,
+  is_active boolean default true not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create index students_class_id_idx on public.students (class_id);
+create index students_last_name_idx on public.students (last_name);
+
+create trigger students_set_updated_at
+  before update on public.students
+  for each row execute function public.set_updated_at();
+
+-- One attendance mark per student, class and day
+create table public.attendance_records (
+  id uuid default gen_random_uuid() primary key,
+  student_id uuid references public.students on delete cascade not null,
+  class_id uuid references public.classes on delete cascade not null,
+  teacher_id uuid references public.profiles on delete set null,
+  attendance_date date default current_date not null,
+  status text not null check (status in ('present', 'absent', 'late')),
+  notes text,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create index attendance_records_class_date_idx on public.attendance_records (class_id, attendance_date);
+create index attendance_records_student_date_idx on public.attendance_records (student_id, attendance_date);
+create index attendance_records_teacher_created_idx on public.attendance_records (teacher_id, created_at desc);
+
+create trigger attendance_records_set_updated_at
+  before update on public.attendance_records
+  for each row execute function public.set_updated_at();
+
+-- Account status lookup used by the sign-in page before authenticating.
+-- Runs as the owner so anonymous callers can see the status of a single
+-- email address without being able to read the profiles table.
+create or replace function public.get_user_status(user_email text)
+returns table (status text, full_name text, role text)
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select p.status, p.full_name, p.role
+  from public.profiles p
+  where lower(p.email) = lower(trim(user_email))
+  limit 1;
+$$;
+
+revoke all on function public.get_user_status(text) from public;
+grant execute on function public.get_user_status(text) to anon, authenticated;
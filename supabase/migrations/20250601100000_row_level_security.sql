@@ -0,0 +1,148 @@
+--
+-- Row Level Security for the attendance schema.
+--
+-- Admins can read and write everything. Teachers can read and write students
+-- and attendance only for the classes they teach, and can never change their
+-- own role, status or class assignment.
+--
+
+-- True when the signed-in user is an active administrator.
+-- Security definer so policies on profiles can call it without recursing.
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select exists (
+    select 1
+    from public.profiles p
+    where p.id = (select auth.uid())
+      and p.role = 'admin'
+      and p.status = 'active'
+  );
+$$;
+
+-- True when the signed-in user is an active teacher of the given class.
+create or replace function public.teaches_class(p_class_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select exists (
+    select 1
+    from public.profiles p
+    where p.id = (select auth.uid())
+      and p.status = 'active'
+      and p.default_class_id = p_class_id
+  );
+$$;
+
+revoke all on function public.is_admin() from public;
+revoke all on function public.teaches_class(uuid) from public;
+grant execute on function public.is_admin() to authenticated;
+grant execute on function public.teaches_class(uuid) to authenticated;
+
+alter table public.classes enable row level security;
+alter table public.profiles enable row level security;
+alter table public.students enable row level security;
+alter table public.attendance_records enable row level security;
+
+-- Classes: readable by any signed-in user, managed by admins
+create policy "CLASSES_SELECT_POLICY" on public.classes for
+    select to authenticated using (true);
+create policy "CLASSES_INSERT_POLICY" on public.classes for
+    insert to authenticated with check ((select public.is_admin()));
+create policy "CLASSES_UPDATE_POLICY" on public.classes for
+    update to authenticated using ((select public.is_admin()));
+create policy "CLASSES_DELETE_POLICY" on public.classes for
+    delete to authenticated using ((select public.is_admin()));
+
+-- Profiles: users see and edit their own, admins see and edit everyone's
+create policy "PROFILES_SELECT_POLICY" on public.profiles for
+    select to authenticated using (id = (select auth.uid()) or (select public.is_admin()));
+create policy "PROFILES_INSERT_POLICY" on public.profiles for
+    insert to authenticated with check ((select public.is_admin()));
+create policy "PROFILES_UPDATE_POLICY" on public.profiles for
+    update to authenticated
+    using (id = (select auth.uid()) or (select public.is_admin()))
+    with check (id = (select auth.uid()) or (select public.is_admin()));
+create policy "PROFILES_DELETE_POLICY" on public.profiles for
+    delete to authenticated using ((select public.is_admin()));
+
+-- Policies cannot compare old and new values, so privileged columns are
+-- guarded by a trigger. default_class_id is included because it grants
+-- access to a class. Requests without a user (service role, migrations,
+-- seeding) are not restricted.
+create or replace function public.protect_profile_privileged_columns()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if (select auth.uid()) is not null and not public.is_admin() then
+    if new.role is distinct from old.role
+      or new.status is distinct from old.status
+      or new.default_class_id is distinct from old.default_class_id then
+      raise exception 'Only administrators can change role, status or default class'
+        using errcode = '42501';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger profiles_protect_privileged_columns
+  before update on public.profiles
+  for each row execute function public.protect_profile_privileged_columns();
+
+-- Students: teachers read their own classes, admins manage everything
+create policy "STUDENTS_SELECT_POLICY" on public.students for
+    select to authenticated
+    using ((select public.is_admin()) or public.teaches_class(class_id));
+create policy "STUDENTS_INSERT_POLICY" on public.students for
+    insert to authenticated with check ((select public.is_admin()));
+create policy "STUDENTS_UPDATE_POLICY" on public.students for
+    update to authenticated using ((select public.is_admin()));
+create policy "STUDENTS_DELETE_POLICY" on public.students for
+    delete to authenticated using ((select public.is_admin()));
+
+-- Attendance: teachers record marks for their own classes under their own id,
+-- and only for students who belong to that class
+create policy "ATTENDANCE_SELECT_POLICY" on public.attendance_records for
+    select to authenticated
+    using ((select public.is_admin()) or public.teaches_class(class_id));
+create policy "ATTENDANCE_INSERT_POLICY" on public.attendance_records for
+    insert to authenticated
+    with check (
+      (select public.is_admin())
+      or (
+        public.teaches_class(class_id)
+        and teacher_id = (select auth.uid())
+        and exists (
+          select 1 from public.students s
+          where s.id = student_id and s.class_id = attendance_records.class_id
+        )
+      )
+    );
+create policy "ATTENDANCE_UPDATE_POLICY" on public.attendance_records for
+    update to authenticated
+    using ((select public.is_admin()) or public.teaches_class(class_id))
+    with check (
+      (select public.is_admin())
+      or (
+        public.teaches_class(class_id)
+        and teacher_id = (select auth.uid())
+        and exists (
+          select 1 from public.students s
+          where s.id = student_id and s.class_id = attendance_records.class_id
+        )
+      )
+    );
+create policy "ATTENDANCE_DELETE_POLICY" on public.attendance_records for
+    delete to authenticated using ((select public.is_admin()));
@@ -0,0 +1,22 @@
+--
+-- One attendance mark per student, class and day.
+--
+-- Backs the single upsert AttendancePage uses to save a register, so a save
+-- either writes every mark or none of them.
+--
+
+-- Keep only the most recently updated mark where duplicates already exist
+delete from public.attendance_records a
+using public.attendance_records b
+where a.student_id = b.student_id
+  and a.class_id = b.class_id
+  and a.attendance_date = b.attendance_date
+  and (a.updated_at, a.id) < (b.updated_at, b.id);
+
+alter table public.attendance_records
+  add constraint attendance_records_student_class_date_key
+  unique (student_id, class_id, attendance_date);
+
+-- attendance_records_student_date_idx stays: class_id comes before
+-- attendance_date in the unique key, so its index cannot serve lookups of
+-- a student's marks by date
@@ -0,0 +1,11 @@
+--
+-- Broadcast attendance changes so an open register updates live when a
+-- co-teacher or admin marks the same class. Realtime applies the table's RLS
+-- policies, so subscribers only receive rows they are allowed to read.
+--
+
+-- Include the full old row on updates and deletes so clients can match them
+-- to a student without another query
+alter table public.attendance_records replica identity full;
+
+alter publication supabase_realtime add table public.attendance_records;
@@ -0,0 +1,99 @@
+--
+-- Attendance sessions (AM/PM registers or secondary school periods).
+--
+-- A class can now be marked several times a day: attendance_records gains a
+-- session_id and the one-mark-per-day constraint becomes one mark per session.
+-- Existing marks are assigned to the first session.
+--
+
+create table public.attendance_sessions (
+  id uuid default gen_random_uuid() primary key,
+  name text not null unique check (char_length(name) > 0),
+  short_name text not null unique check (char_length(short_name) between 1 and 8),
+  start_time time,
+  sort_order smallint default 0 not null,
+  is_active boolean default true not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create trigger attendance_sessions_set_updated_at
+  before update on public.attendance_sessions
+  for each row execute function public.set_updated_at();
+
+insert into public.attendance_sessions (name, short_name, start_time, sort_order) values
+  ('Morning', 'AM', '09:00', 1),
+  ('Afternoon', 'PM', '13:00', 2);
+
+alter table public.attendance_sessions enable row level security;
+
+create policy "SESSIONS_SELECT_POLICY" on public.attendance_sessions for
+    select to authenticated using (true);
+create policy "SESSIONS_INSERT_POLICY" on public.attendance_sessions for
+    insert to authenticated with check ((select public.is_admin()));
+create policy "SESSIONS_UPDATE_POLICY" on public.attendance_sessions for
+    update to authenticated using ((select public.is_admin()));
+create policy "SESSIONS_DELETE_POLICY" on public.attendance_sessions for
+    delete to authenticated using ((select public.is_admin()));
+
+-- First active session, used when a mark is saved without one
+create or replace function public.default_attendance_session()
+returns uuid
+language sql
+stable
+set search_path = ''
+as $$
+  select s.id
+  from public.attendance_sessions s
+  where s.is_active
+  order by s.sort_order, s.name
+  limit 1;
+$$;
+
+alter table public.attendance_records
+  add column session_id uuid references public.attendance_sessions on delete restrict;
+
+update public.attendance_records
+set session_id = public.default_attendance_session()
+where session_id is null;
+
+alter table public.attendance_records
+  alter column session_id set default public.default_attendance_session(),
+  alter column session_id set not null;
+
+alter table public.attendance_records
+  drop constraint attendance_records_student_class_date_key;
+
+alter table public.attendance_records
+  add constraint attendance_records_student_class_date_session_key
+  unique (student_id, class_id, attendance_date, session_id);
+
+drop index if exists public.attendance_records_class_date_idx;
+create index attendance_records_class_date_session_idx
+  on public.attendance_records (class_id, attendance_date, session_id);
+
+-- Marks per class, day and session
+create view public.attendance_session_summary with (security_invoker = on) as
+select
+  r.class_id,
+  r.attendance_date,
+  r.session_id,
+  count(*) filter (where r.status = 'present') as present_count,
+  count(*) filter (where r.status = 'late') as late_count,
+  count(*) filter (where r.status = 'absent') as absent_count,
+  count(*) as total_count
+from public.attendance_records r
+group by r.class_id, r.attendance_date, r.session_id;
+
+-- Marks per class and day, across all sessions
+create view public.attendance_daily_summary with (security_invoker = on) as
+select
+  r.class_id,
+  r.attendance_date,
+  count(distinct r.session_id) as session_count,
+  count(*) filter (where r.status = 'present') as present_count,
+  count(*) filter (where r.status = 'late') as late_count,
+  count(*) filter (where r.status = 'absent') as absent_count,
+  count(*) as total_count
+from public.attendance_records r
+group by r.class_id, r.attendance_date;
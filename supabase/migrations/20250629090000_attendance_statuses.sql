@@ -0,0 +1,82 @@
+--
+-- Admin-managed catalogue of attendance status codes.
+--
+-- Replaces the hard-coded present/late/absent check on attendance_records with
+-- a foreign key, so schools can add codes such as excused or school trip.
+-- counts_as_present decides whether a mark counts towards attendance totals.
+--
+
+create table public.attendance_statuses (
+  code text primary key check (code ~ '^[a-z][a-z0-9_]*$'),
+  label text not null check (char_length(label) > 0),
+  short_code text not null unique check (char_length(short_code) between 1 and 3),
+  color text default '#9E9E9E' not null check (color ~ '^#[0-9A-Fa-f]{6}$'),
+  icon text default '•' not null,
+  counts_as_present boolean default false not null,
+  sort_order smallint default 0 not null,
+  is_active boolean default true not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create trigger attendance_statuses_set_updated_at
+  before update on public.attendance_statuses
+  for each row execute function public.set_updated_at();
+
+insert into public.attendance_statuses (code, label, short_code, color, icon, counts_as_present, sort_order) values
+  ('present', 'Present', 'P', '#4CAF50', '✓', true, 1),
+  ('late', 'Late', 'L', '#FF9800', '⏰', true, 2),
+  ('absent', 'Absent', 'A', '#F44336', '✗', false, 3),
+  ('excused', 'Excused', 'E', '#2196F3', '📝', false, 4),
+  ('authorised_absence', 'Authorised Absence', 'C', '#3F51B5', '✔', false, 5),
+  ('medical', 'Medical', 'M', '#009688', '🩺', false, 6),
+  ('school_trip', 'School Trip', 'V', '#9C27B0', '🚌', true, 7);
+
+alter table public.attendance_statuses enable row level security;
+
+create policy "STATUSES_SELECT_POLICY" on public.attendance_statuses for
+    select to authenticated using (true);
+create policy "STATUSES_INSERT_POLICY" on public.attendance_statuses for
+    insert to authenticated with check ((select public.is_admin()));
+create policy "STATUSES_UPDATE_POLICY" on public.attendance_statuses for
+    update to authenticated using ((select public.is_admin()));
+create policy "STATUSES_DELETE_POLICY" on public.attendance_statuses for
+    delete to authenticated using ((select public.is_admin()));
+
+alter table public.attendance_records
+  drop constraint attendance_records_status_check;
+
+alter table public.attendance_records
+  add constraint attendance_records_status_fkey
+  foreign key (status) references public.attendance_statuses (code)
+  on update cascade on delete restrict;
+
+create index attendance_records_status_idx on public.attendance_records (status);
+
+-- Summaries count marks by whether their status counts as present
+drop view public.attendance_session_summary;
+drop view public.attendance_daily_summary;
+
+create view public.attendance_session_summary with (security_invoker = on) as
+select
+  r.class_id,
+  r.attendance_date,
+  r.session_id,
+  count(*) filter (where st.counts_as_present) as attended_count,
+  count(*) filter (where not st.counts_as_present) as missed_count,
+  count(*) as total_count
+from public.attendance_records r
+join public.attendance_statuses st on st.code = r.status
+group by r.class_id, r.attendance_date, r.session_id;
+
+create view public.attendance_daily_summary with (security_invoker = on) as
+select
+  r.class_id,
+  r.attendance_date,
+  count(distinct r.session_id) as session_count,
+  count(*) filter (where st.counts_as_present) as attended_count,
+  count(*) filter (where not st.counts_as_present) as missed_count,
+  count(*) as total_count
+from public.attendance_records r
+join public.attendance_statuses st on st.code = r.status
+group by r.class_id, r.attendance_date;
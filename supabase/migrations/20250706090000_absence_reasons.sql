@@ -0,0 +1,111 @@
+--
+-- Structured absence reasons and the excuse workflow.
+--
+-- Teachers pick a reason when marking a student with a status that does not
+-- count as present. Whether an absence is excused is decided later by an
+-- administrator, usually when a note from home arrives.
+--
+
+create table public.absence_reasons (
+  id uuid default gen_random_uuid() primary key,
+  label text not null unique check (char_length(label) > 0),
+  sort_order smallint default 0 not null,
+  is_active boolean default true not null,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create trigger absence_reasons_set_updated_at
+  before update on public.absence_reasons
+  for each row execute function public.set_updated_at();
+
+insert into public.absence_reasons (label, sort_order) values
+  ('Illness', 1),
+  ('Medical appointment', 2),
+  ('Family emergency', 3),
+  ('Religious observance', 4),
+  ('Holiday in term time', 5),
+  ('Transport problems', 6),
+  ('Other', 7);
+
+alter table public.absence_reasons enable row level security;
+
+create policy "ABSENCE_REASONS_SELECT_POLICY" on public.absence_reasons for
+    select to authenticated using (true);
+create policy "ABSENCE_REASONS_INSERT_POLICY" on public.absence_reasons for
+    insert to authenticated with check ((select public.is_admin()));
+create policy "ABSENCE_REASONS_UPDATE_POLICY" on public.absence_reasons for
+    update to authenticated using ((select public.is_admin()));
+create policy "ABSENCE_REASONS_DELETE_POLICY" on public.absence_reasons for
+    delete to authenticated using ((select public.is_admin()));
+
+alter table public.attendance_records
+  add column absence_reason_id uuid references public.absence_reasons (id) on delete set null,
+  add column is_excused boolean default false not null,
+  add column excused_by uuid references public.profiles (id) on delete set null,
+  add column excused_at timestamp with time zone,
+  add column excuse_note text;
+
+-- Supports the pending excuses queue
+create index attendance_records_unexcused_date_idx
+  on public.attendance_records (attendance_date)
+  where not is_excused;
+
+-- Teachers may record a reason but only administrators may excuse an
+-- absence. Marks that count as present carry no absence details, so
+-- changing a mark to present clears them. The excuse is stamped with the
+-- administrator and time. Requests without a user are not restricted.
+create or replace function public.protect_attendance_excuse()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if exists (
+    select 1 from public.attendance_statuses st
+    where st.code = new.status and st.counts_as_present
+  ) then
+    new.absence_reason_id := null;
+    new.is_excused := false;
+    new.excused_by := null;
+    new.excused_at := null;
+    new.excuse_note := null;
+    return new;
+  end if;
+
+  if (select auth.uid()) is not null and not public.is_admin() then
+    if tg_op = 'INSERT' then
+      if new.is_excused
+        or new.excused_by is not null
+        or new.excused_at is not null
+        or new.excuse_note is not null then
+        raise exception 'Only administrators can excuse an absence'
+          using errcode = '42501';
+      end if;
+    elsif new.is_excused is distinct from old.is_excused
+      or new.excused_by is distinct from old.excused_by
+      or new.excused_at is distinct from old.excused_at
+      or new.excuse_note is distinct from old.excuse_note then
+      raise exception 'Only administrators can excuse an absence'
+        using errcode = '42501';
+    end if;
+
+    return new;
+  end if;
+
+  if new.is_excused and (tg_op = 'INSERT' or not old.is_excused) then
+    new.excused_by := (select auth.uid());
+    new.excused_at := timezone('utc'::text, now());
+  elsif not new.is_excused then
+    new.excused_by := null;
+    new.excused_at := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger attendance_records_protect_excuse
+  before insert or update on public.attendance_records
+  for each row execute function public.protect_attendance_excuse();
@@ -0,0 +1,96 @@
+--
+-- Arrival times for late marks.
+--
+-- Statuses flagged captures_arrival_time (late, by default) record when the
+-- student arrived, and minutes_late is derived from the class start time.
+-- The class start time applies to the first session of the day; later
+-- sessions are measured from their own start time.
+--
+
+alter table public.classes
+  add column start_time time;
+
+alter table public.attendance_statuses
+  add column captures_arrival_time boolean default false not null;
+
+update public.attendance_statuses set captures_arrival_time = true where code = 'late';
+
+alter table public.attendance_records
+  add column arrival_time time,
+  add column minutes_late smallint check (minutes_late >= 0);
+
+-- Derives minutes_late from arrival_time, and clears both when the status
+-- does not capture an arrival time
+create or replace function public.set_attendance_minutes_late()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  v_start_time time;
+begin
+  if not exists (
+    select 1 from public.attendance_statuses st
+    where st.code = new.status and st.captures_arrival_time
+  ) then
+    new.arrival_time := null;
+    new.minutes_late := null;
+    return new;
+  end if;
+
+  select case
+      when s.id = public.default_attendance_session() then coalesce(c.start_time, s.start_time)
+      else coalesce(s.start_time, c.start_time)
+    end
+  into v_start_time
+  from public.classes c
+  cross join public.attendance_sessions s
+  where c.id = new.class_id and s.id = new.session_id;
+
+  if new.arrival_time is null or v_start_time is null then
+    new.minutes_late := null;
+  else
+    new.minutes_late := greatest(
+      0,
+      floor(extract(epoch from (new.arrival_time - v_start_time)) / 60)
+    )::smallint;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger attendance_records_set_minutes_late
+  before insert or update on public.attendance_records
+  for each row execute function public.set_attendance_minutes_late();
+
+-- Summaries gain late totals. New columns go last so the views can be
+-- replaced in place.
+create or replace view public.attendance_session_summary with (security_invoker = on) as
+select
+  r.class_id,
+  r.attendance_date,
+  r.session_id,
+  count(*) filter (where st.counts_as_present) as attended_count,
+  count(*) filter (where not st.counts_as_present) as missed_count,
+  count(*) as total_count,
+  count(*) filter (where r.minutes_late > 0) as late_count,
+  coalesce(sum(r.minutes_late), 0) as late_minutes
+from public.attendance_records r
+join public.attendance_statuses st on st.code = r.status
+group by r.class_id, r.attendance_date, r.session_id;
+
+create or replace view public.attendance_daily_summary with (security_invoker = on) as
+select
+  r.class_id,
+  r.attendance_date,
+  count(distinct r.session_id) as session_count,
+  count(*) filter (where st.counts_as_present) as attended_count,
+  count(*) filter (where not st.counts_as_present) as missed_count,
+  count(*) as total_count,
+  count(*) filter (where r.minutes_late > 0) as late_count,
+  coalesce(sum(r.minutes_late), 0) as late_minutes
+from public.attendance_records r
+join public.attendance_statuses st on st.code = r.status
+group by r.class_id, r.attendance_date;
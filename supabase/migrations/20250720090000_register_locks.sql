@@ -0,0 +1,202 @@
+--
+-- Register finalisation and locking.
+--
+-- A class register for a date is locked once a teacher or admin finalises it,
+-- or automatically once it is older than app_settings.auto_lock_after_days.
+-- Only administrators can unlock a register, and must give a reason. Locks
+-- are enforced by a trigger on attendance_records, so re-saving through the
+-- API is rejected too. Reasons and excuses can still be recorded on locked
+-- registers, since notes from home usually arrive after the fact.
+--
+
+-- School-wide settings, kept in a single row
+create table public.app_settings (
+  id smallint default 1 primary key check (id = 1),
+  -- Null turns automatic locking off
+  auto_lock_after_days smallint check (auto_lock_after_days > 0),
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null
+);
+
+create trigger app_settings_set_updated_at
+  before update on public.app_settings
+  for each row execute function public.set_updated_at();
+
+insert into public.app_settings (id, auto_lock_after_days) values (1, 7);
+
+alter table public.app_settings enable row level security;
+
+create policy "APP_SETTINGS_SELECT_POLICY" on public.app_settings for
+    select to authenticated using (true);
+create policy "APP_SETTINGS_UPDATE_POLICY" on public.app_settings for
+    update to authenticated using ((select public.is_admin()));
+
+-- Explicit lock state per class and date. A row overrides the automatic lock,
+-- so an unlocked row keeps an old register open until it is finalised again.
+create table public.register_locks (
+  class_id uuid references public.classes on delete cascade not null,
+  attendance_date date not null,
+  is_locked boolean not null,
+  locked_by uuid references public.profiles (id) on delete set null,
+  locked_at timestamp with time zone,
+  unlocked_by uuid references public.profiles (id) on delete set null,
+  unlocked_at timestamp with time zone,
+  unlock_reason text,
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  primary key (class_id, attendance_date),
+  check (is_locked or char_length(unlock_reason) > 0)
+);
+
+create trigger register_locks_set_updated_at
+  before update on public.register_locks
+  for each row execute function public.set_updated_at();
+
+-- Changed only through finalise_register and unlock_register
+alter table public.register_locks enable row level security;
+
+create policy "REGISTER_LOCKS_SELECT_POLICY" on public.register_locks for
+    select to authenticated
+    using ((select public.is_admin()) or public.teaches_class(class_id));
+
+-- True when the register for the class and date cannot be changed
+create or replace function public.is_register_locked(p_class_id uuid, p_date date)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select coalesce(
+    (
+      select rl.is_locked
+      from public.register_locks rl
+      where rl.class_id = p_class_id and rl.attendance_date = p_date
+    ),
+    (
+      select p_date < current_date - s.auto_lock_after_days
+      from public.app_settings s
+      where s.auto_lock_after_days is not null
+    ),
+    false
+  );
+$$;
+
+-- Locked dates of a class between two dates, for registers covering a period
+create or replace function public.locked_register_dates(p_class_id uuid, p_from date, p_to date)
+returns setof date
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select d::date
+  from generate_series(p_from, p_to, interval '1 day') as d
+  where (public.is_admin() or public.teaches_class(p_class_id))
+    and public.is_register_locked(p_class_id, d::date);
+$$;
+
+create or replace function public.finalise_register(p_class_id uuid, p_date date)
+returns void
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if not (public.is_admin() or public.teaches_class(p_class_id)) then
+    raise exception 'Only teachers of this class can finalise its register'
+      using errcode = '42501';
+  end if;
+
+  if p_date > current_date then
+    raise exception 'Registers cannot be finalised in advance'
+      using errcode = '22023';
+  end if;
+
+  insert into public.register_locks (class_id, attendance_date, is_locked, locked_by, locked_at)
+  values (p_class_id, p_date, true, (select auth.uid()), timezone('utc'::text, now()))
+  on conflict (class_id, attendance_date) do update
+    set is_locked = true,
+        locked_by = excluded.locked_by,
+        locked_at = excluded.locked_at;
+end;
+$$;
+
+create or replace function public.unlock_register(p_class_id uuid, p_date date, p_reason text)
+returns void
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only administrators can unlock a register'
+      using errcode = '42501';
+  end if;
+
+  if char_length(trim(coalesce(p_reason, ''))) = 0 then
+    raise exception 'A reason is required to unlock a register'
+      using errcode = '22023';
+  end if;
+
+  insert into public.register_locks (class_id, attendance_date, is_locked, unlocked_by, unlocked_at, unlock_reason)
+  values (p_class_id, p_date, false, (select auth.uid()), timezone('utc'::text, now()), trim(p_reason))
+  on conflict (class_id, attendance_date) do update
+    set is_locked = false,
+        unlocked_by = excluded.unlocked_by,
+        unlocked_at = excluded.unlocked_at,
+        unlock_reason = excluded.unlock_reason;
+end;
+$$;
+
+revoke all on function public.is_register_locked(uuid, date) from public;
+revoke all on function public.locked_register_dates(uuid, date, date) from public;
+revoke all on function public.finalise_register(uuid, date) from public;
+revoke all on function public.unlock_register(uuid, date, text) from public;
+grant execute on function public.is_register_locked(uuid, date) to authenticated;
+grant execute on function public.locked_register_dates(uuid, date, date) to authenticated;
+grant execute on function public.finalise_register(uuid, date) to authenticated;
+grant execute on function public.unlock_register(uuid, date, text) to authenticated;
+
+-- Rejects changes to marks on a locked register. Requests without a user
+-- (service role, migrations, seeding) are not restricted.
+create or replace function public.check_register_lock()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if (select auth.uid()) is null then
+    return coalesce(new, old);
+  end if;
+
+  -- Only the reason and excuse changed
+  if tg_op = 'UPDATE'
+    and new.student_id = old.student_id
+    and new.class_id = old.class_id
+    and new.teacher_id is not distinct from old.teacher_id
+    and new.attendance_date = old.attendance_date
+    and new.session_id = old.session_id
+    and new.status = old.status
+    and new.notes is not distinct from old.notes
+    and new.arrival_time is not distinct from old.arrival_time then
+    return new;
+  end if;
+
+  if tg_op in ('UPDATE', 'DELETE') and public.is_register_locked(old.class_id, old.attendance_date) then
+    raise exception 'The register for % is locked', old.attendance_date
+      using errcode = '55000';
+  end if;
+
+  if tg_op in ('INSERT', 'UPDATE') and public.is_register_locked(new.class_id, new.attendance_date) then
+    raise exception 'The register for % is locked', new.attendance_date
+      using errcode = '55000';
+  end if;
+
+  return coalesce(new, old);
+end;
+$$;
+
+create trigger attendance_records_check_register_lock
+  before insert or update or delete on public.attendance_records
+  for each row execute function public.check_register_lock();
@@ -0,0 +1,73 @@
+--
+-- Revision history for attendance marks.
+--
+-- Every insert and every change to a mark's status, notes, arrival time or
+-- absence reason is recorded with who made it and the old and new values.
+-- Rows are written by a trigger only, so the history cannot be edited
+-- through the API. Teachers cannot read other users' profiles, so the name
+-- of whoever made the change is kept alongside their id.
+--
+
+create table public.attendance_record_history (
+  id uuid default gen_random_uuid() primary key,
+  record_id uuid references public.attendance_records on delete cascade not null,
+  class_id uuid references public.classes on delete cascade not null,
+  changed_by uuid references public.profiles (id) on delete set null,
+  changed_by_name text,
+  changed_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  old_status text,
+  new_status text not null,
+  old_notes text,
+  new_notes text,
+  old_arrival_time time,
+  new_arrival_time time,
+  old_absence_reason_id uuid,
+  new_absence_reason_id uuid
+);
+
+create index attendance_record_history_record_idx
+  on public.attendance_record_history (record_id, changed_at desc);
+
+alter table public.attendance_record_history enable row level security;
+
+create policy "ATTENDANCE_HISTORY_SELECT_POLICY" on public.attendance_record_history for
+    select to authenticated
+    using ((select public.is_admin()) or public.teaches_class(class_id));
+
+create or replace function public.record_attendance_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  -- Excusing, stamping updated_at and similar changes are not revisions
+  if tg_op = 'UPDATE'
+    and new.status = old.status
+    and new.notes is not distinct from old.notes
+    and new.arrival_time is not distinct from old.arrival_time
+    and new.absence_reason_id is not distinct from old.absence_reason_id then
+    return new;
+  end if;
+
+  insert into public.attendance_record_history (
+    record_id, class_id, changed_by, changed_by_name,
+    old_status, new_status, old_notes, new_notes,
+    old_arrival_time, new_arrival_time, old_absence_reason_id, new_absence_reason_id
+  )
+  select
+    new.id, new.class_id, p.id, p.full_name,
+    case when tg_op = 'UPDATE' then old.status end, new.status,
+    case when tg_op = 'UPDATE' then old.notes end, new.notes,
+    case when tg_op = 'UPDATE' then old.arrival_time end, new.arrival_time,
+    case when tg_op = 'UPDATE' then old.absence_reason_id end, new.absence_reason_id
+  from (select 1) as one
+  left join public.profiles p on p.id = (select auth.uid());
+
+  return new;
+end;
+$$;
+
+create trigger attendance_records_record_history
+  after insert or update on public.attendance_records
+  for each row execute function public.record_attendance_history();
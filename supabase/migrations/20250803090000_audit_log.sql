@@ -0,0 +1,133 @@
+--
+-- System-wide audit log.
+--
+-- Every create, update and delete of profiles, classes, students and
+-- attendance records is recorded by a trigger with who made it and the
+-- values that changed, including changes Edge Functions make for an admin. Deactivating a row (pausing an account, retiring a
+-- student or class) is recorded as a suspend, and the reverse as a
+-- reactivate. Only administrators can read the log, and nobody can write
+-- to it through the API.
+--
+
+create table public.audit_events (
+  id uuid default gen_random_uuid() primary key,
+  occurred_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  actor_id uuid references public.profiles (id) on delete set null,
+  actor_name text,
+  entity text not null check (entity in ('profiles', 'classes', 'students', 'attendance_records')),
+  entity_id uuid not null,
+  -- Readable name of the row at the time, e.g. the student's name
+  entity_label text,
+  action text not null check (action in ('create', 'update', 'suspend', 'reactivate', 'delete')),
+  -- Only the columns that changed; every column for creates and deletes
+  old_values jsonb,
+  new_values jsonb
+);
+
+create index audit_events_occurred_at_idx on public.audit_events (occurred_at desc);
+create index audit_events_entity_idx on public.audit_events (entity, entity_id);
+create index audit_events_actor_idx on public.audit_events (actor_id);
+
+alter table public.audit_events enable row level security;
+
+create policy "AUDIT_EVENTS_SELECT_POLICY" on public.audit_events for
+    select to authenticated using ((select public.is_admin()));
+
+-- The user a change is attributed to. Edge Functions write with the service
+-- role on behalf of the calling admin and name that admin in the X-Actor-Id
+-- request header, which is only trusted from the service role. Changes with
+-- neither are shown as made by the system.
+create or replace function public.audit_actor_id()
+returns uuid
+language sql
+stable
+set search_path = ''
+as $$
+  select coalesce(
+    (select auth.uid()),
+    case when (select auth.role()) = 'service_role' then
+      (nullif(current_setting('request.headers', true), '')::json ->> 'x-actor-id')::uuid
+    end
+  );
+$$;
+
+create or replace function public.record_audit_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  v_old jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end;
+  v_new jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end;
+  v_row jsonb := coalesce(v_new, v_old);
+  v_old_values jsonb;
+  v_new_values jsonb;
+  v_action text;
+  v_label text;
+begin
+  if tg_op = 'UPDATE' then
+    select
+      jsonb_object_agg(o.key, o.value),
+      jsonb_object_agg(o.key, v_new -> o.key)
+    into v_old_values, v_new_values
+    from jsonb_each(v_old) o
+    where o.key <> 'updated_at' and o.value is distinct from v_new -> o.key;
+
+    if v_old_values is null then
+      return new;
+    end if;
+
+    v_action := case
+      when tg_table_name = 'profiles' and v_new_values ? 'status' then
+        case when v_new ->> 'status' = 'active' then 'reactivate' else 'suspend' end
+      when tg_table_name in ('classes', 'students') and v_new_values ? 'is_active' then
+        case when (v_new ->> 'is_active')::boolean then 'reactivate' else 'suspend' end
+      else 'update'
+    end;
+  elsif tg_op = 'INSERT' then
+    v_action := 'create';
+    v_new_values := v_new;
+  else
+    v_action := 'delete';
+    v_old_values := v_old;
+  end if;
+
+  v_label := case tg_table_name
+    when 'profiles' then coalesce(v_row ->> 'full_name', v_row ->> 'email')
+    when 'classes' then v_row ->> 'name'
+    when 'students' then concat_ws(' ', v_row ->> 'first_name', v_row ->> 'last_name')
+    when 'attendance_records' then (
+      select concat_ws(' ', s.first_name, s.last_name, v_row ->> 'attendance_date')
+      from public.students s
+      where s.id = (v_row ->> 'student_id')::uuid
+    )
+  end;
+
+  insert into public.audit_events (
+    actor_id, actor_name, entity, entity_id, entity_label, action, old_values, new_values
+  )
+  select
+    p.id, p.full_name, tg_table_name, (v_row ->> 'id')::uuid, v_label, v_action, v_old_values, v_new_values
+  from (select 1) as one
+  left join public.profiles p on p.id = public.audit_actor_id();
+
+  return coalesce(new, old);
+end;
+$$;
+
+create trigger profiles_record_audit_event
+  after insert or update or delete on public.profiles
+  for each row execute function public.record_audit_event();
+
+create trigger classes_record_audit_event
+  after insert or update or delete on public.classes
+  for each row execute function public.record_audit_event();
+
+create trigger students_record_audit_event
+  after insert or update or delete on public.students
+  for each row execute function public.record_audit_event();
+
+create trigger attendance_records_record_audit_event
+  after insert or update or delete on public.attendance_records
+  for each row execute function public.record_audit_event();
@@ -0,0 +1,44 @@
+--
+-- Archiving classes.
+--
+-- A class is archived by setting is_active to false. Archiving is refused
+-- while the class still has active students or is a teacher's default
+-- class, so nobody is left pointing at a class that no longer appears in
+-- the app. Students and teachers have to be moved first.
+--
+
+create or replace function public.prevent_archiving_class_in_use()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  v_student_count integer;
+  v_teacher_count integer;
+begin
+  if new.is_active or not old.is_active then
+    return new;
+  end if;
+
+  select count(*) into v_student_count
+  from public.students s
+  where s.class_id = new.id and s.is_active;
+
+  select count(*) into v_teacher_count
+  from public.profiles p
+  where p.default_class_id = new.id and p.status <> 'deleted';
+
+  if v_student_count > 0 or v_teacher_count > 0 then
+    raise exception 'Class % still has % active students and is the default class of % teachers',
+      new.name, v_student_count, v_teacher_count
+      using errcode = '55000';
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger classes_prevent_archiving_in_use
+  before update on public.classes
+  for each row execute function public.prevent_archiving_class_in_use();
@@ -0,0 +1,83 @@
+--
+-- Teacher to class assignments.
+--
+-- Teachers were linked to a single class through profiles.default_class_id,
+-- which also decided which class they could read and mark. Assignments let
+-- a teacher work with several classes, as the lead teacher, an assistant or
+-- a substitute, and a class have several teachers. Access now follows the
+-- assignments; default_class_id only picks the class the dashboard opens.
+--
+
+create table public.teacher_class_assignments (
+  id uuid default gen_random_uuid() primary key,
+  teacher_id uuid references public.profiles (id) on delete cascade not null,
+  class_id uuid references public.classes on delete cascade not null,
+  role text default 'lead' not null check (role in ('lead', 'assistant', 'substitute')),
+  created_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  updated_at timestamp with time zone default timezone('utc'::text, now()) not null,
+  unique (teacher_id, class_id)
+);
+
+create index teacher_class_assignments_class_id_idx on public.teacher_class_assignments (class_id);
+
+create trigger teacher_class_assignments_set_updated_at
+  before update on public.teacher_class_assignments
+  for each row execute function public.set_updated_at();
+
+alter table public.teacher_class_assignments enable row level security;
+
+create policy "TEACHER_CLASS_ASSIGNMENTS_SELECT_POLICY" on public.teacher_class_assignments for
+    select to authenticated
+    using (teacher_id = (select auth.uid()) or (select public.is_admin()));
+create policy "TEACHER_CLASS_ASSIGNMENTS_INSERT_POLICY" on public.teacher_class_assignments for
+    insert to authenticated with check ((select public.is_admin()));
+create policy "TEACHER_CLASS_ASSIGNMENTS_UPDATE_POLICY" on public.teacher_class_assignments for
+    update to authenticated using ((select public.is_admin()));
+create policy "TEACHER_CLASS_ASSIGNMENTS_DELETE_POLICY" on public.teacher_class_assignments for
+    delete to authenticated using ((select public.is_admin()));
+
+-- Existing links become lead assignments
+insert into public.teacher_class_assignments (teacher_id, class_id, role)
+select p.id, p.default_class_id, 'lead'
+from public.profiles p
+where p.default_class_id is not null;
+
+-- True when the signed-in user is an active teacher assigned to the class
+create or replace function public.teaches_class(p_class_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select exists (
+    select 1
+    from public.teacher_class_assignments a
+    join public.profiles p on p.id = a.teacher_id
+    where a.teacher_id = (select auth.uid())
+      and a.class_id = p_class_id
+      and p.status = 'active'
+  );
+$$;
+
+-- A teacher's default class is always one they are assigned to
+create or replace function public.assign_default_class()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if new.default_class_id is not null then
+    insert into public.teacher_class_assignments (teacher_id, class_id, role)
+    values (new.id, new.default_class_id, 'lead')
+    on conflict (teacher_id, class_id) do nothing;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger profiles_assign_default_class
+  after insert or update of default_class_id on public.profiles
+  for each row execute function public.assign_default_class();
@@ -0,0 +1,85 @@
+--
+-- Substitute cover.
+--
+-- Substitute assignments are limited to a date range. A substitute can
+-- only see the class while the cover lasts, and can only take registers for
+-- dates inside it. Marks saved under a substitute's teacher_id are tagged
+-- is_cover so reports can tell cover apart from the class's own teachers.
+--
+
+alter table public.teacher_class_assignments
+  add column starts_on date,
+  add column ends_on date;
+
+-- Substitutes assigned before cover dates existed cover the day they were added
+update public.teacher_class_assignments
+set starts_on = created_at::date, ends_on = created_at::date
+where role = 'substitute';
+
+alter table public.teacher_class_assignments
+  add constraint teacher_class_assignments_cover_dates_check check (
+    ends_on >= starts_on
+    and (role = 'substitute') = (starts_on is not null and ends_on is not null)
+  );
+
+alter table public.attendance_records
+  add column is_cover boolean default false not null;
+
+-- True when the signed-in user is an active teacher assigned to the class,
+-- and any cover they are providing has started and not yet ended
+create or replace function public.teaches_class(p_class_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select exists (
+    select 1
+    from public.teacher_class_assignments a
+    join public.profiles p on p.id = a.teacher_id
+    where a.teacher_id = (select auth.uid())
+      and a.class_id = p_class_id
+      and p.status = 'active'
+      and (a.starts_on is null or a.starts_on <= current_date)
+      and (a.ends_on is null or a.ends_on >= current_date)
+  );
+$$;
+
+-- Tags marks taken by a substitute as cover, and keeps substitutes to the
+-- dates they cover. Requests without a user (service role, migrations,
+-- seeding) are not restricted.
+create or replace function public.set_attendance_cover()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  v_assignment public.teacher_class_assignments;
+begin
+  if tg_op = 'UPDATE' and new.teacher_id is not distinct from old.teacher_id then
+    return new;
+  end if;
+
+  select * into v_assignment
+  from public.teacher_class_assignments a
+  where a.teacher_id = new.teacher_id and a.class_id = new.class_id;
+
+  new.is_cover := coalesce(v_assignment.role = 'substitute', false);
+
+  if new.is_cover
+    and (select auth.uid()) is not null
+    and not public.is_admin()
+    and new.attendance_date not between v_assignment.starts_on and v_assignment.ends_on then
+    raise exception 'Cover for this class runs from % to %', v_assignment.starts_on, v_assignment.ends_on
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger attendance_records_set_cover
+  before insert or update on public.attendance_records
+  for each row execute function public.set_attendance_cover();
@@ -0,0 +1,33 @@
+--
+-- Staff invitations.
+--
+-- The invite-users Edge Function creates accounts for staff who have not
+-- chosen a password yet. Their profiles start as 'invited', which grants
+-- no access (is_admin and teaches_class require 'active'), and become
+-- active when the invitation link is followed and the email is confirmed.
+--
+
+alter table public.profiles
+  drop constraint profiles_status_check,
+  add constraint profiles_status_check check (status in ('invited', 'active', 'paused', 'deleted'));
+
+create or replace function public.activate_invited_profile()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  if old.email_confirmed_at is null and new.email_confirmed_at is not null then
+    update public.profiles
+    set status = 'active'
+    where id = new.id and status = 'invited';
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger on_auth_user_confirmed_activate_profile
+  after update of email_confirmed_at on auth.users
+  for each row execute function public.activate_invited_profile();
@@ -1 +1,105 @@
--- Empty Supabase Seed file
+--
+-- Local development seed data.
+--
+-- Every seeded account uses the password "password123".
+--   admin@school.test    - administrator
+--   teacher1@school.test - teacher, default class Year 1 Red
+--   teacher2@school.test - teacher, default class Year 2 Blue
+--   paused@school.test   - suspended teacher (exercises the sign-in block)
+--
+
+-- Auth users
+insert into auth.users (
+  instance_id, id, aud, role, email, encrypted_password, email_confirmed_at,
+  raw_app_meta_data, raw_user_meta_data, created_at, updated_at,
+  confirmation_token, email_change, email_change_token_new, recovery_token
+)
+select
+  '00000000-0000-0000-0000-000000000000',
+  u.id,
+  'authenticated',
+  'authenticated',
+  u.email,
+  extensions.crypt('password123', extensions.gen_salt('bf')),
+  now(),
+  '{"provider": "email", "providers": ["email"]}',
+  jsonb_build_object('full_name', u.full_name),
+  now(),
+  now(),
+  '', '', '', ''
+from (values
+  ('a0000000-0000-0000-0000-000000000001'::uuid, 'admin@school.test', 'Alice Admin'),
+  ('a0000000-0000-0000-0000-000000000002'::uuid, 'teacher1@school.test', 'Tom Teacher'),
+  ('a0000000-0000-0000-0000-000000000003'::uuid, 'teacher2@school.test', 'Beth Baker'),
+  ('a0000000-0000-0000-0000-000000000004'::uuid, 'paused@school.test', 'Paul Paused')
+) as u (id, email, full_name);
+
+insert into auth.identities (id, user_id, provider_id, identity_data, provider, last_sign_in_at, created_at, updated_at)
+select
+  gen_random_uuid(),
+  u.id,
+  u.id::text,
+  jsonb_build_object('sub', u.id::text, 'email', u.email, 'email_verified', true),
+  'email',
+  now(),
+  now(),
+  now()
+from auth.users u
+where u.email like '%@school.test';
+
+-- Classes
+insert into public.classes (id, name, year_level, section, start_time) values
+  ('c0000000-0000-0000-0000-000000000000', 'Reception', 0, null, '09:00'),
+  ('c0000000-0000-0000-0000-000000000001', 'Year 1 Red', 1, 'Red', '08:50'),
+  ('c0000000-0000-0000-0000-000000000002', 'Year 2 Blue', 2, 'Blue', '08:50'),
+  ('c0000000-0000-0000-0000-000000000003', 'Year 3 Green', 3, 'Green', '08:45');
+
+insert into public.classes (name, year_level, section, is_active) values
+  ('Year 6 (2023 intake)', 6, null, false);
+
+-- Staff profiles
+insert into public.profiles (id, email, full_name, role, status, default_class_id) values
+  ('a0000000-0000-0000-0000-000000000001', 'admin@school.test', 'Alice Admin', 'admin', 'active', null),
+  ('a0000000-0000-0000-0000-000000000002', 'teacher1@school.test', 'Tom Teacher', 'teacher', 'active', 'c0000000-0000-0000-0000-000000000001'),
+  ('a0000000-0000-0000-0000-000000000003', 'teacher2@school.test', 'Beth Baker', 'teacher', 'active', 'c0000000-0000-0000-0000-000000000002'),
+  ('a0000000-0000-0000-0000-000000000004', 'paused@school.test', 'Paul Paused', 'teacher', 'paused', 'c0000000-0000-0000-0000-000000000003');
+
+-- Teachers lead their default class automatically. Tom also assists in
+-- Year 3 while Paul is away.
+insert into public.teacher_class_assignments (teacher_id, class_id, role) values
+  ('a0000000-0000-0000-0000-000000000002', 'c0000000-0000-0000-0000-000000000003', 'assistant');
+
+-- Students: eight per active class
+insert into public.students (student_number, first_name, last_name, class_id, date_of_birth, enrollment_date)
+select
+  format('STU%s%s', c.year_level, lpad(n::text, 2, '0')),
+  (array['Amelia', 'Oliver', 'Isla', 'George', 'Ava', 'Noah', 'Mia', 'Leo'])[n],
+  (array['Patel', 'Jones', 'Williams', 'Brown', 'Taylor', 'Davies', 'Evans', 'Wilson'])[1 + (n + c.year_level) % 8],
+  c.id,
+  make_date(extract(year from current_date)::int - 5 - c.year_level, 1 + (n * 3) % 12, 1 + (n * 7) % 28),
+  make_date(extract(year from current_date)::int - 1, 9, 4)
+from public.classes c
+cross join generate_series(1, 8) as n
+where c.is_active;
+
+-- Attendance for both sessions of the last five school days in Year 1 and Year 2
+insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, session_id, status, notes, arrival_time)
+select
+  s.id,
+  s.class_id,
+  p.id,
+  d.day::date,
+  ses.id,
+  case
+    when (abs(hashtext(s.id::text || d.day::text || ses.short_name)) % 10) = 0 then 'absent'
+    when (abs(hashtext(s.id::text || d.day::text || ses.short_name)) % 10) = 1 then 'late'
+    else 'present'
+  end,
+  null,
+  -- Late arrivals turn up between 2 and 40 minutes after the session starts
+  ses.start_time + make_interval(mins => 2 + abs(hashtext(s.id::text || d.day::text)) % 39)
+from public.students s
+join public.profiles p on p.default_class_id = s.class_id and p.status = 'active'
+cross join generate_series(current_date - 7, current_date - 1, interval '1 day') as d (day)
+cross join public.attendance_sessions ses
+where extract(isodow from d.day) < 6;
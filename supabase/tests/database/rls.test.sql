@@ -0,0 +1,435 @@
+--
+-- Row Level Security tests. Run against the local stack with:
+--   supabase test db
+--
+begin;
+
+create extension if not exists pgtap with schema extensions;
+
+select plan(50);
+
+-- Fixtures: one admin, two teachers in different classes, one student each
+insert into auth.users (id, email, aud, role) values
+  ('b0000000-0000-0000-0000-000000000001', 'rls-admin@test.local', 'authenticated', 'authenticated'),
+  ('b0000000-0000-0000-0000-000000000002', 'rls-teacher-a@test.local', 'authenticated', 'authenticated'),
+  ('b0000000-0000-0000-0000-000000000003', 'rls-teacher-b@test.local', 'authenticated', 'authenticated');
+
+insert into public.classes (id, name, year_level) values
+  ('d0000000-0000-0000-0000-00000000000a', 'RLS Class A', 4),
+  ('d0000000-0000-0000-0000-00000000000b', 'RLS Class B', 4);
+
+insert into public.profiles (id, email, full_name, role, default_class_id) values
+  ('b0000000-0000-0000-0000-000000000001', 'rls-admin@test.local', 'RLS Admin', 'admin', null),
+  ('b0000000-0000-0000-0000-000000000002', 'rls-teacher-a@test.local', 'RLS Teacher A', 'teacher', 'd0000000-0000-0000-0000-00000000000a'),
+  ('b0000000-0000-0000-0000-000000000003', 'rls-teacher-b@test.local', 'RLS Teacher B', 'teacher', 'd0000000-0000-0000-0000-00000000000b');
+
+insert into public.students (id, student_number, first_name, last_name, class_id) values
+  ('e0000000-0000-0000-0000-00000000000a', 'RLS-A-1', 'Ada', 'Alpha', 'd0000000-0000-0000-0000-00000000000a'),
+  ('e0000000-0000-0000-0000-00000000000b', 'RLS-B-1', 'Ben', 'Beta', 'd0000000-0000-0000-0000-00000000000b');
+
+insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, status) values
+  ('e0000000-0000-0000-0000-00000000000b', 'd0000000-0000-0000-0000-00000000000b', 'b0000000-0000-0000-0000-000000000003', '2025-01-06', 'present');
+
+-- The fixture dates are in the past, so start with automatic locking off
+update public.app_settings set auto_lock_after_days = null;
+
+-- Anonymous users see nothing
+set local role anon;
+
+select is_empty(
+  $$ select id from public.students where student_number like 'RLS-%' $$,
+  'anonymous users cannot read students'
+);
+
+-- Teacher A
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "b0000000-0000-0000-0000-000000000002", "role": "authenticated"}';
+
+select results_eq(
+  $$ select student_number from public.students where student_number like 'RLS-%' $$,
+  $$ values ('RLS-A-1') $$,
+  'teachers only read students in the classes they teach'
+);
+
+select results_eq(
+  $$ select email from public.profiles $$,
+  $$ values ('rls-teacher-a@test.local') $$,
+  'teachers only read their own profile'
+);
+
+select is_empty(
+  $$ select id from public.attendance_records where class_id = 'd0000000-0000-0000-0000-00000000000b' $$,
+  'teachers cannot read attendance for other classes'
+);
+
+select lives_ok(
+  $$ insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, status)
+     values ('e0000000-0000-0000-0000-00000000000a', 'd0000000-0000-0000-0000-00000000000a',
+             'b0000000-0000-0000-0000-000000000002', '2025-01-06', 'late') $$,
+  'teachers can record attendance for their own class'
+);
+
+select results_eq(
+  $$ update public.attendance_records set arrival_time = '09:12'
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-06'
+     returning minutes_late $$,
+  $$ values (12::smallint) $$,
+  'late arrivals are measured from the start of the session'
+);
+
+select results_eq(
+  $$ select count(*)::int from public.attendance_record_history
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' $$,
+  $$ values (2) $$,
+  'recording and changing a mark are both kept in its history'
+);
+
+select results_eq(
+  $$ select old_status, new_status, changed_by_name from public.attendance_record_history
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and new_arrival_time = '09:12' $$,
+  $$ values ('late', 'late', 'RLS Teacher A') $$,
+  'history records who changed a mark'
+);
+
+select is_empty(
+  $$ select id from public.attendance_record_history where class_id = 'd0000000-0000-0000-0000-00000000000b' $$,
+  'teachers cannot read history for other classes'
+);
+
+select throws_ok(
+  $$ insert into public.attendance_record_history (record_id, class_id, new_status)
+     select id, class_id, 'present' from public.attendance_records
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' $$,
+  '42501',
+  null,
+  'history cannot be written directly'
+);
+
+select is_empty(
+  $$ select id from public.audit_events $$,
+  'teachers cannot read the audit log'
+);
+
+select throws_ok(
+  $$ insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, status)
+     values ('e0000000-0000-0000-0000-00000000000b', 'd0000000-0000-0000-0000-00000000000b',
+             'b0000000-0000-0000-0000-000000000002', '2025-01-07', 'present') $$,
+  '42501',
+  null,
+  'teachers cannot record attendance for other classes'
+);
+
+select throws_ok(
+  $$ insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, status)
+     values ('e0000000-0000-0000-0000-00000000000b', 'd0000000-0000-0000-0000-00000000000a',
+             'b0000000-0000-0000-0000-000000000002', '2025-01-07', 'present') $$,
+  '42501',
+  null,
+  'teachers cannot record attendance for a student outside the class'
+);
+
+select throws_ok(
+  $$ insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, status)
+     values ('e0000000-0000-0000-0000-00000000000a', 'd0000000-0000-0000-0000-00000000000a',
+             'b0000000-0000-0000-0000-000000000003', '2025-01-07', 'present') $$,
+  '42501',
+  null,
+  'teachers cannot record attendance under another teacher'
+);
+
+select is_empty(
+  $$ update public.attendance_records set status = 'absent'
+     where class_id = 'd0000000-0000-0000-0000-00000000000b' returning id $$,
+  'teachers cannot update attendance for other classes'
+);
+
+select lives_ok(
+  $$ insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, status, absence_reason_id)
+     values ('e0000000-0000-0000-0000-00000000000a', 'd0000000-0000-0000-0000-00000000000a',
+             'b0000000-0000-0000-0000-000000000002', '2025-01-08', 'absent',
+             (select id from public.absence_reasons where label = 'Illness')) $$,
+  'teachers can record a reason for an absence'
+);
+
+select throws_ok(
+  $$ update public.attendance_records set is_excused = true
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-08' $$,
+  '42501',
+  null,
+  'teachers cannot excuse an absence'
+);
+
+select lives_ok(
+  $$ select public.finalise_register('d0000000-0000-0000-0000-00000000000a', '2025-01-08') $$,
+  'teachers can finalise a register for their own class'
+);
+
+select throws_ok(
+  $$ update public.attendance_records set status = 'present'
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-08' $$,
+  '55000',
+  null,
+  'marks on a finalised register cannot be changed'
+);
+
+select lives_ok(
+  $$ update public.attendance_records
+     set absence_reason_id = (select id from public.absence_reasons where label = 'Medical appointment')
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-08' $$,
+  'reasons can still be recorded on a finalised register'
+);
+
+select throws_ok(
+  $$ select public.unlock_register('d0000000-0000-0000-0000-00000000000a', '2025-01-08', 'Typo') $$,
+  '42501',
+  null,
+  'teachers cannot unlock a register'
+);
+
+select lives_ok(
+  $$ update public.profiles set full_name = 'Teacher A Renamed'
+     where id = 'b0000000-0000-0000-0000-000000000002' $$,
+  'teachers can update their own name'
+);
+
+select throws_ok(
+  $$ update public.profiles set role = 'admin'
+     where id = 'b0000000-0000-0000-0000-000000000002' $$,
+  '42501',
+  null,
+  'teachers cannot change their own role'
+);
+
+select throws_ok(
+  $$ update public.profiles set default_class_id = 'd0000000-0000-0000-0000-00000000000b'
+     where id = 'b0000000-0000-0000-0000-000000000002' $$,
+  '42501',
+  null,
+  'teachers cannot move themselves to another class'
+);
+
+select results_eq(
+  $$ select class_id from public.teacher_class_assignments $$,
+  $$ values ('d0000000-0000-0000-0000-00000000000a'::uuid) $$,
+  'teachers only read their own class assignments'
+);
+
+select throws_ok(
+  $$ insert into public.teacher_class_assignments (teacher_id, class_id, role)
+     values ('b0000000-0000-0000-0000-000000000002', 'd0000000-0000-0000-0000-00000000000b', 'assistant') $$,
+  '42501',
+  null,
+  'teachers cannot assign themselves to a class'
+);
+
+select throws_ok(
+  $$ insert into public.students (student_number, first_name, last_name, class_id)
+     values ('RLS-A-2', 'Eve', 'Intruder', 'd0000000-0000-0000-0000-00000000000a') $$,
+  '42501',
+  null,
+  'teachers cannot create students'
+);
+
+-- Admin
+set local request.jwt.claims to '{"sub": "b0000000-0000-0000-0000-000000000001", "role": "authenticated"}';
+
+select results_eq(
+  $$ select count(*)::int from public.students where student_number like 'RLS-%' $$,
+  $$ values (2) $$,
+  'admins read every student'
+);
+
+select lives_ok(
+  $$ update public.attendance_records set is_excused = true, excuse_note = 'Doctor''s note received'
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-08' $$,
+  'admins can excuse an absence'
+);
+
+select results_eq(
+  $$ select excused_by from public.attendance_records
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-08' $$,
+  $$ values ('b0000000-0000-0000-0000-000000000001'::uuid) $$,
+  'excused absences record the administrator who excused them'
+);
+
+-- The teacher who took the mark has since been removed
+reset role;
+set local request.jwt.claims to '';
+update public.attendance_records set teacher_id = null
+where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-08';
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "b0000000-0000-0000-0000-000000000001", "role": "authenticated"}';
+
+select lives_ok(
+  $$ update public.attendance_records set excuse_note = 'Doctor''s note on file'
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-08' $$,
+  'excuses can be edited on a finalised register after the teacher is removed'
+);
+
+select throws_ok(
+  $$ select public.unlock_register('d0000000-0000-0000-0000-00000000000a', '2025-01-08', '  ') $$,
+  '22023',
+  null,
+  'unlocking a register requires a reason'
+);
+
+select lives_ok(
+  $$ select public.unlock_register('d0000000-0000-0000-0000-00000000000a', '2025-01-08', 'Student was marked in the wrong class') $$,
+  'admins can unlock a register with a reason'
+);
+
+select lives_ok(
+  $$ update public.app_settings set auto_lock_after_days = 7 $$,
+  'admins can turn on automatic locking'
+);
+
+select throws_ok(
+  $$ update public.attendance_records set status = 'present'
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = '2025-01-06' $$,
+  '55000',
+  null,
+  'registers lock automatically after the configured number of days'
+);
+
+select throws_ok(
+  $$ insert into public.teacher_class_assignments (teacher_id, class_id, role)
+     values ('b0000000-0000-0000-0000-000000000003', 'd0000000-0000-0000-0000-00000000000a', 'substitute') $$,
+  '23514',
+  null,
+  'substitutes need cover dates'
+);
+
+select lives_ok(
+  $$ insert into public.teacher_class_assignments (teacher_id, class_id, role, starts_on, ends_on)
+     values ('b0000000-0000-0000-0000-000000000003', 'd0000000-0000-0000-0000-00000000000a', 'substitute',
+             current_date, current_date) $$,
+  'admins can assign a teacher to another class'
+);
+
+-- Teacher B covering class A for today
+set local request.jwt.claims to '{"sub": "b0000000-0000-0000-0000-000000000003", "role": "authenticated"}';
+
+select lives_ok(
+  $$ insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, status)
+     values ('e0000000-0000-0000-0000-00000000000a', 'd0000000-0000-0000-0000-00000000000a',
+             'b0000000-0000-0000-0000-000000000003', current_date, 'present') $$,
+  'substitutes can take the register while covering'
+);
+
+select results_eq(
+  $$ select is_cover from public.attendance_records
+     where class_id = 'd0000000-0000-0000-0000-00000000000a' and attendance_date = current_date $$,
+  $$ values (true) $$,
+  'marks taken while covering are tagged as cover'
+);
+
+select throws_ok(
+  $$ insert into public.attendance_records (student_id, class_id, teacher_id, attendance_date, status)
+     values ('e0000000-0000-0000-0000-00000000000a', 'd0000000-0000-0000-0000-00000000000a',
+             'b0000000-0000-0000-0000-000000000003', current_date + 30, 'present') $$,
+  '42501',
+  null,
+  'substitutes cannot take registers outside their cover dates'
+);
+
+set local request.jwt.claims to '{"sub": "b0000000-0000-0000-0000-000000000001", "role": "authenticated"}';
+
+select lives_ok(
+  $$ update public.profiles set status = 'paused'
+     where id = 'b0000000-0000-0000-0000-000000000003' $$,
+  'admins can suspend a teacher'
+);
+
+select throws_ok(
+  $$ update public.classes set is_active = false where id = 'd0000000-0000-0000-0000-00000000000a' $$,
+  '55000',
+  null,
+  'classes with active students cannot be archived'
+);
+
+insert into public.classes (name, year_level) values ('RLS Empty Class', 5);
+
+select lives_ok(
+  $$ update public.classes set is_active = false where name = 'RLS Empty Class' $$,
+  'classes without students can be archived'
+);
+
+insert into public.classes (name, year_level) values ('RLS Default Class', 5);
+update public.profiles
+set default_class_id = (select id from public.classes where name = 'RLS Default Class')
+where id = 'b0000000-0000-0000-0000-000000000002';
+
+select throws_ok(
+  $$ update public.classes set is_active = false where name = 'RLS Default Class' $$,
+  '55000',
+  null,
+  'classes that are a teacher''s default class cannot be archived'
+);
+
+select results_eq(
+  $$ select entity_label, actor_name, new_values ->> 'status' from public.audit_events
+     where entity = 'profiles' and entity_id = 'b0000000-0000-0000-0000-000000000003' and action = 'suspend' $$,
+  $$ values ('RLS Teacher B', 'RLS Admin', 'paused') $$,
+  'suspending a teacher is audited'
+);
+
+select results_eq(
+  $$ select actor_name from public.audit_events
+     where entity = 'attendance_records' and action = 'create' and entity_label = 'Ada Alpha 2025-01-06' $$,
+  $$ values ('RLS Teacher A') $$,
+  'attendance changes are audited with the teacher who made them'
+);
+
+-- A suspended teacher loses access to their class
+set local request.jwt.claims to '{"sub": "b0000000-0000-0000-0000-000000000003", "role": "authenticated"}';
+
+select is_empty(
+  $$ select id from public.students where student_number like 'RLS-%' $$,
+  'suspended teachers cannot read students'
+);
+
+-- An invited teacher has no access until they accept the invitation
+reset role;
+set local request.jwt.claims to '';
+insert into auth.users (id, email, aud, role) values
+  ('b0000000-0000-0000-0000-000000000004', 'rls-invited@test.local', 'authenticated', 'authenticated');
+
+-- The invite-users Edge Function writes the profile with the service role on
+-- behalf of the admin
+set local role service_role;
+set local request.jwt.claims to '{"role": "service_role"}';
+set local request.headers to '{"x-actor-id": "b0000000-0000-0000-0000-000000000001"}';
+insert into public.profiles (id, email, full_name, role, status, default_class_id) values
+  ('b0000000-0000-0000-0000-000000000004', 'rls-invited@test.local', 'RLS Invited', 'teacher', 'invited', 'd0000000-0000-0000-0000-00000000000a');
+reset role;
+set local request.headers to '';
+
+select results_eq(
+  $$ select actor_name from public.audit_events
+     where entity = 'profiles' and entity_id = 'b0000000-0000-0000-0000-000000000004' and action = 'create' $$,
+  $$ values ('RLS Admin') $$,
+  'accounts created by Edge Functions are audited with the admin who created them'
+);
+
+set local role authenticated;
+set local request.jwt.claims to '{"sub": "b0000000-0000-0000-0000-000000000004", "role": "authenticated"}';
+
+select is_empty(
+  $$ select id from public.students where student_number like 'RLS-%' $$,
+  'invited teachers cannot read students'
+);
+
+-- Auth confirms the email without a user in the request
+reset role;
+set local request.jwt.claims to '';
+update auth.users set email_confirmed_at = now() where id = 'b0000000-0000-0000-0000-000000000004';
+
+select results_eq(
+  $$ select status from public.profiles where id = 'b0000000-0000-0000-0000-000000000004' $$,
+  $$ values ('active') $$,
+  'confirming the invitation email activates the profile'
+);
+
+select * from finish();
+
+rollback;